@@ -0,0 +1,27 @@
+const { RotatingFile } = require('./logger');
+
+// Append-only record of who did what, kept apart from the operational log so it can be
+// retained and reviewed on its own. One JSON object per line: {time, event, ...fields}.
+// Events: connection_refused, register, register_refused, auth_failed, disconnect,
+// session_expired, private_message, admin and reload. Message bodies are never written;
+// private messages are recorded as sender, recipients and size only.
+class AuditLog {
+    constructor(filePath, options = {}) {
+        this.file = new RotatingFile(filePath, options);
+    }
+
+    record(event, fields = {}) {
+        const entry = Object.assign({ time: new Date().toISOString(), event: event }, fields);
+        try {
+            this.file.write(JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error(`Audit log write failed (${error.message}): ${JSON.stringify(entry)}`);
+        }
+    }
+
+    close(callback) {
+        this.file.close(callback);
+    }
+}
+
+module.exports = AuditLog;
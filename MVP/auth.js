@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Authenticators decide whether a register request may claim an identity.
+// Each one exposes:
+//   requiresSecret - whether clients must send a secret when registering
+//   authenticate({ systemId, clientId, fullId, secret, remoteAddress }) -> Promise<boolean>
+// Any object with that shape can be passed to TCPServer as options.authenticator.
+
+// Keeps the original behaviour: any well-formed, free ID may register
+class OpenAuthenticator {
+    constructor() {
+        this.requiresSecret = false;
+    }
+
+    async authenticate() {
+        return true;
+    }
+}
+
+// Checks secrets against a JSON file of salted scrypt hashes:
+// {
+//   "system1.alice": { "salt": "<hex>", "hash": "<hex>" },  // per-client password
+//   "system2.*":     { "salt": "<hex>", "hash": "<hex>" }   // pre-shared token for a whole system
+// }
+class FileAuthenticator {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.requiresSecret = true;
+        this.credentials = {};
+        this.reload();
+    }
+
+    reload() {
+        if (!fs.existsSync(this.filePath)) {
+            this.credentials = {};
+            return;
+        }
+        this.credentials = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    save() {
+        fs.writeFileSync(this.filePath, JSON.stringify(this.credentials, null, 2) + '\n', { mode: 0o600 });
+    }
+
+    setSecret(identity, secret) {
+        this.credentials[identity] = FileAuthenticator.hashSecret(secret);
+        this.save();
+    }
+
+    removeSecret(identity) {
+        const existed = identity in this.credentials;
+        delete this.credentials[identity];
+        this.save();
+        return existed;
+    }
+
+    async authenticate({ systemId, fullId, secret }) {
+        if (typeof secret !== 'string' || !secret) return false;
+
+        // An exact client entry wins over a system-wide token
+        const entry = this.credentials[fullId] || this.credentials[`${systemId}.*`];
+        if (!entry) return false;
+
+        return FileAuthenticator.verifySecret(secret, entry);
+    }
+
+    static hashSecret(secret) {
+        const salt = crypto.randomBytes(16);
+        const hash = crypto.scryptSync(secret, salt, 64);
+        return {
+            salt: salt.toString('hex'),
+            hash: hash.toString('hex')
+        };
+    }
+
+    static verifySecret(secret, entry) {
+        return new Promise((resolve) => {
+            const expected = Buffer.from(entry.hash, 'hex');
+            crypto.scrypt(secret, Buffer.from(entry.salt, 'hex'), expected.length, (err, derived) => {
+                if (err) return resolve(false);
+                resolve(crypto.timingSafeEqual(derived, expected));
+            });
+        });
+    }
+}
+
+// 'open' (or nothing) gives an OpenAuthenticator, anything else is a credentials file path
+function createAuthenticator(spec) {
+    if (!spec || spec === 'open') {
+        return new OpenAuthenticator();
+    }
+    return new FileAuthenticator(spec);
+}
+
+// Manage a credentials file from the command line
+if (require.main === module) {
+    const [command, filePath, identity, secret] = process.argv.slice(2);
+
+    if (command === 'add' && filePath && identity && secret) {
+        new FileAuthenticator(filePath).setSecret(identity, secret);
+        console.log(`Stored secret for ${identity} in ${filePath}`);
+    } else if (command === 'remove' && filePath && identity) {
+        const removed = new FileAuthenticator(filePath).removeSecret(identity);
+        console.log(removed ? `Removed ${identity} from ${filePath}` : `${identity} not found in ${filePath}`);
+    } else if (command === 'list' && filePath) {
+        Object.keys(new FileAuthenticator(filePath).credentials).sort().forEach(id => console.log(id));
+    } else {
+        console.log('Usage: node auth.js <command> <file> [identity] [secret]');
+        console.log('\nCommands:');
+        console.log('  add <file> <identity> <secret>   - Add or replace a secret');
+        console.log('  remove <file> <identity>         - Remove an identity');
+        console.log('  list <file>                      - List identities');
+        console.log('\nIdentity is systemId.clientId, or systemId.* for a token shared by a whole system');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    OpenAuthenticator,
+    FileAuthenticator,
+    createAuthenticator
+};
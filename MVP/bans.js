@@ -0,0 +1,91 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// Bans by fullId ("system1.alice"), systemId ("system1") or IP address.
+// With a file path every change is written to disk so bans survive restarts.
+class BanList {
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.bans = []; // [{kind, value, until (ms, null = permanent), reason, by, createdAt}]
+        this.reload();
+    }
+
+    reload() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+        this.bans = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.prune();
+    }
+
+    save() {
+        if (!this.filePath) return;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(this.bans, null, 2) + '\n');
+    }
+
+    prune() {
+        const now = Date.now();
+        const before = this.bans.length;
+        this.bans = this.bans.filter(ban => ban.until === null || ban.until > now);
+        return this.bans.length !== before;
+    }
+
+    // Works out whether a target is an IP, a fullId or a systemId
+    static kindOf(target) {
+        if (net.isIP(target)) return 'ip';
+        if (target.includes('.')) return 'fullId';
+        return 'systemId';
+    }
+
+    add(target, { duration = null, reason = '', by = null } = {}) {
+        const kind = BanList.kindOf(target);
+        this.remove(target);
+
+        const ban = {
+            kind: kind,
+            value: target,
+            until: duration ? Date.now() + duration : null,
+            reason: reason,
+            by: by,
+            createdAt: new Date().toISOString()
+        };
+        this.bans.push(ban);
+        this.save();
+        return ban;
+    }
+
+    remove(target) {
+        const before = this.bans.length;
+        this.bans = this.bans.filter(ban => ban.value !== target);
+        if (this.bans.length !== before) {
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    // Returns the matching active ban, or null
+    find({ fullId, systemId, ip }) {
+        if (this.prune()) {
+            this.save();
+        }
+
+        // IPv4 clients on a dual-stack listener show up as ::ffff:a.b.c.d
+        if (ip) {
+            ip = ip.replace(/^::ffff:/, '');
+        }
+
+        return this.bans.find(ban =>
+            (ban.kind === 'fullId' && ban.value === fullId) ||
+            (ban.kind === 'systemId' && ban.value === systemId) ||
+            (ban.kind === 'ip' && ban.value === ip)
+        ) || null;
+    }
+
+    list() {
+        this.prune();
+        return this.bans.slice();
+    }
+}
+
+module.exports = BanList;
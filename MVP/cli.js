@@ -0,0 +1,1031 @@
+const readline = require('readline');
+const { Writable } = require('stream');
+const TCPClient = require('./client');
+const { IncomingTransfer, OutgoingTransfer, formatBytes } = require('./filetransfer');
+const { CLIENT_SETTINGS, resolveConfig, describeSettings } = require('./config');
+const { discoverServers } = require('./discovery');
+
+// Terminal front end for TCPClient: a readline prompt for commands, and a line or two of
+// output for each event the client emits. Everything that talks to the server lives in
+// client.js; this file only decides what to show and which method a command calls.
+class ChatCLI {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.systemId = null;
+        this.clientId = null;
+        this.secretFromEnv = !!options.secretFromEnv; // A configured secret (CHAT_SECRET, --secret) is fixed: a wrong one can't be retyped
+        this.rl = null;
+        this.muted = false; // Typing a secret: readline's echo is swallowed
+        this.currentRoom = null; // Room that plain input is sent to
+        this.sentMessages = new Map(); // messageId -> {to, content, status: Map(fullId -> 'sent'|'queued'|'delivered'|'read')}
+        this.unreadMessages = []; // Private message IDs shown but not yet marked read
+        this.typingSent = new Map(); // fullId -> when we last told them we're typing
+        this.typingShown = new Map(); // fullId -> when we last said they're typing
+        this.exiting = false;
+        this.attachEvents();
+    }
+
+    start(systemId, clientId) {
+        this.systemId = systemId;
+        this.clientId = clientId;
+        this.setupCLI();
+
+        // If connect() gives up, reconnectFailed has already said so and exited
+        this.client.connect()
+            .then(() => this.login())
+            .catch(() => {});
+    }
+
+    login() {
+        const register = () => {
+            this.client.register(this.systemId, this.clientId)
+                .catch(error => this.showError(error));
+        };
+
+        if (this.client.authRequired && !this.client.secret) {
+            this.promptSecret(register);
+        } else {
+            register();
+        }
+    }
+
+    promptSecret(callback) {
+        if (!this.rl) {
+            callback();
+            return;
+        }
+
+        // Hide what is typed: the question goes straight to the terminal, readline's echo is muted
+        readline.cursorTo(process.stdout, 0);
+        readline.clearLine(process.stdout, 0);
+        process.stdout.write(`Secret for ${this.systemId}.${this.clientId}: `);
+        this.muted = true;
+        this.rl.question('', (answer) => {
+            this.muted = false;
+            process.stdout.write('\n');
+            this.client.secret = answer.trim() || null;
+            callback();
+        });
+    }
+
+    handleAuthFailed(message) {
+        if (message.locked || this.secretFromEnv) {
+            // Retrying can't help: either we're locked out or the secret is fixed by CHAT_SECRET
+            console.log(`[${this.getTimestamp()}] Check CHAT_SECRET or ask the server admin for access. Exiting...`);
+            this.exiting = true;
+            this.cleanup();
+            process.exit(1);
+            return;
+        }
+
+        this.client.secret = null;
+        this.promptSecret(() => this.login());
+    }
+
+    // Prints above the prompt without mangling what is being typed
+    output(...lines) {
+        if (this.rl) {
+            this.rl.pause();
+        }
+        lines.forEach(line => console.log(line));
+        if (this.rl) {
+            this.rl.resume();
+            this.rl.prompt();
+        }
+    }
+
+    time(message) {
+        return message && message.timestamp ? new Date(message.timestamp).toLocaleTimeString() : this.getTimestamp();
+    }
+
+    // Errors from the server come as err.response; our own (and socket errors) don't
+    showError(error) {
+        const response = error.response;
+        if (response && response.type === 'auth_failed') {
+            const remaining = response.attemptsRemaining ? ` (${response.attemptsRemaining} attempts left)` : '';
+            this.output(`\n[${this.time(response)}] Authentication failed! : ${response.message}${remaining}`);
+            this.handleAuthFailed(response);
+            return;
+        }
+        if (error.syscall) {
+            const lines = [`\n[${this.getTimestamp()}] Connection error: ${error.message}`];
+            if (error.code === 'ECONNREFUSED') {
+                lines.push('Server appears to be offline');
+            }
+            this.output(...lines);
+            return;
+        }
+        this.output(`\n[${this.time(response)}] Error! : ${error.message}`);
+    }
+
+    // For commands whose reply arrives as an event anyway. A refusal from the server
+    // rejects the request it answers, so it is printed here rather than as an 'error'
+    // event; a reply that never arrives isn't worth interrupting the prompt for.
+    report(promise) {
+        promise.catch((error) => {
+            if (error.code !== 'TIMEOUT') {
+                this.showError(error);
+            }
+        });
+    }
+
+    attachEvents() {
+        const client = this.client;
+
+        client.on('connecting', ({ host, port }) => {
+            this.output(`\n[${this.getTimestamp()}] Connecting to ${host}:${port}...`);
+        });
+
+        client.on('connected', (welcome) => {
+            this.output(
+                `[${this.getTimestamp()}] ✓ Connected to server${client.tlsConfig ? ' (TLS)' : ''}`,
+                `\n[${this.time(welcome)}] 🌐 Server: ${welcome.message}`
+            );
+        });
+
+        client.on('heartbeatTimeout', ({ silentFor }) => {
+            this.output(`\n[${this.getTimestamp()}] ⚠  No response from server for ${Math.round(silentFor / 1000)} seconds, dropping the connection`);
+        });
+
+        client.on('disconnected', ({ willReconnect }) => {
+            this.output(`\n[${this.getTimestamp()}] Disconnected from server`);
+            if (!willReconnect) {
+                this.disconnect();
+            }
+        });
+
+        client.on('reconnecting', ({ attempt, maxAttempts, delay, announced }) => {
+            if (announced) {
+                this.output(`\n[${this.getTimestamp()}] Reconnecting in ${(delay / 1000).toFixed(1)} seconds, as the server asked...`);
+                return;
+            }
+            this.output(`\n[${this.getTimestamp()}] Attempting to reconnect (${attempt}/${maxAttempts}) in ${delay / 1000} seconds...`);
+        });
+
+        client.on('reconnectFailed', () => {
+            console.log(`\n[${this.getTimestamp()}] Max reconnection attempts reached. Exiting...`);
+            this.exiting = true;
+            this.cleanup();
+            process.exit(1);
+        });
+
+        client.on('error', error => this.showError(error));
+
+        client.on('registered', (message) => {
+            const timestamp = this.time(message);
+            if (message.resumed) {
+                // Server kept our rooms and buffered what we missed
+                this.output(`\n[${timestamp}] ✓ ${message.message}`);
+                return;
+            }
+            this.output(`\n[${timestamp}] ✓ ${message.message}`, `[${timestamp}] Your ID: ${message.fullId}`, ...this.helpLines());
+        });
+
+        client.on('message', (message) => {
+            this.output(`\n[${this.time(message)}] [BROADCAST] ${message.from}: ${message.content}`);
+        });
+
+        client.on('history', message => this.displayHistory(message));
+
+        client.on('private', (message) => {
+            const held = message.offline ? ' (sent while you were offline)' : '';
+            this.output(`\n[${this.time(message)}] [PRIVATE from ${message.from}]${held}: ${message.content}`);
+            if (message.id) {
+                // It's read once we next type something
+                this.unreadMessages.push(message.id);
+            }
+        });
+
+        client.on('receipt', message => this.updateMessageStatus(message));
+
+        client.on('privateSent', (message) => {
+            const timestamp = this.time(message);
+            if (!message.delivered) {
+                this.output(`\n[${timestamp}] ✓ Private message sent to ${message.to}`);
+                return;
+            }
+            const lines = [message.type === 'private_queued'
+                ? `\n[${timestamp}] ⏳ Private message to ${message.to} queued (recipient offline, delivered when they reconnect)`
+                : `\n[${timestamp}] ✓ Private message sent to ${message.to} (${message.delivered.length} delivered)`];
+            if (message.delivered.length > 1) {
+                lines.push(`   Delivered: ${message.delivered.join(', ')}`);
+            }
+            if (message.pending && message.pending.length > 0) {
+                lines.push(`   Waiting on a slow connection: ${message.pending.join(', ')}`);
+            }
+            if (message.queued && message.queued.length > 0) {
+                lines.push(`   Queued: ${message.queued.join(', ')}`);
+            }
+            if (message.offline.length > 0) {
+                lines.push(`   Offline: ${message.offline.join(', ')}`);
+            }
+            this.output(...lines);
+            if (message.id) {
+                this.trackSentMessage(message);
+            }
+        });
+
+        client.on('clientList', (message) => {
+            const lines = [`\n[${this.time(message)}] Connected clients (${message.count}):`];
+            if (message.clients.length === 0) {
+                lines.push('   (No other clients connected)');
+            } else {
+                const unreachable = new Set(message.unreachable || []);
+                const details = new Map((message.clientDetails || []).map(detail => [detail.fullId, detail]));
+                message.clients.forEach((fullId, index) => {
+                    const detail = details.get(fullId) || {};
+                    const status = detail.status && (detail.status !== 'online' || detail.statusText)
+                        ? ` [${detail.status}${detail.statusText ? `: ${detail.statusText}` : ''}]`
+                        : '';
+                    const idle = detail.idle >= 60 ? ` idle ${this.formatIdle(detail.idle)}` : '';
+                    lines.push(`   ${index + 1}. ${fullId}${status}${idle}${unreachable.has(fullId) ? ' (unreachable)' : ''}`);
+                });
+            }
+            this.output(...lines);
+        });
+
+        client.on('roomMessage', (message) => {
+            this.output(`\n[${this.time(message)}] [#${message.room}] ${message.from}: ${message.content}`);
+        });
+
+        client.on('roomJoined', (message, { rejoined }) => {
+            // Rooms joined again after a reconnect don't move us out of the current one
+            if (!rejoined) {
+                this.currentRoom = message.room;
+            }
+            this.updatePrompt();
+            this.output(`\n[${this.time(message)}] ✓ Joined room #${message.room} (${message.members.length} members: ${message.members.join(', ')})`);
+        });
+
+        client.on('roomLeft', (message) => {
+            if (this.currentRoom === message.room) {
+                // Fall back to another joined room, or to broadcast mode
+                this.currentRoom = client.joinedRooms.size > 0 ? Array.from(client.joinedRooms).pop() : null;
+            }
+            this.updatePrompt();
+            this.output(`\n[${this.time(message)}] ✓ Left room #${message.room}`);
+        });
+
+        client.on('roomMemberJoined', (message) => {
+            this.output(`\n[${this.time(message)}] =>  ${message.fullId} joined #${message.room}`);
+        });
+
+        client.on('roomMemberLeft', (message) => {
+            this.output(`\n[${this.time(message)}] <=  ${message.fullId} left #${message.room}`);
+        });
+
+        client.on('roomList', (message) => {
+            const lines = [`\n[${this.time(message)}] Rooms (${message.count}):`];
+            if (message.rooms.length === 0) {
+                lines.push('   (No active rooms)');
+            } else {
+                message.rooms.forEach((room) => {
+                    lines.push(`   #${room.name} (${room.count} members)${room.joined ? ' *' : ''}`);
+                });
+            }
+            this.output(...lines);
+        });
+
+        client.on('joined', (message) => {
+            this.output(`\n[${this.time(message)}] =>  ${message.fullId} joined the chat${message.server ? ` (via ${message.server})` : ''}`);
+        });
+
+        client.on('left', (message) => {
+            this.output(`\n[${this.time(message)}] <=  ${message.fullId} left the chat${message.server ? ` (via ${message.server})` : ''}`);
+        });
+
+        client.on('unreachable', (message) => {
+            this.output(`\n[${this.time(message)}] ⚠  ${message.message}: ${message.clients.join(', ')}`);
+        });
+
+        client.on('reachable', (message) => {
+            this.output(`\n[${this.time(message)}] ✓ ${message.message}: ${message.clients.join(', ')}`);
+        });
+
+        client.on('pong', ({ rtt }) => {
+            const time = rtt !== null ? ` (${rtt} ms)` : '';
+            this.output(`\n[${this.getTimestamp()}]  Pong received from server${time}`);
+        });
+
+        client.on('announcement', (message) => {
+            this.output(`\n[${this.time(message)}] 📢 [ANNOUNCEMENT from ${message.from}]: ${message.content}`);
+        });
+
+        client.on('presence', (message) => {
+            const text = message.text ? `: ${message.text}` : '';
+            if (message.fullId !== client.fullId) {
+                this.output(`\n[${this.time(message)}] ●  ${message.fullId} is ${message.auto ? 'away (idle)' : message.status}${text}`);
+                return;
+            }
+            this.updatePrompt();
+            this.output(message.auto
+                ? `\n[${this.time(message)}] ●  You are now away (idle). Type anything to come back`
+                : `\n[${this.time(message)}] ✓ Status: ${message.status}${text}`);
+        });
+
+        client.on('typing', (message) => {
+            // Senders repeat the notice while they type; once every few seconds is plenty
+            const shownAt = this.typingShown.get(message.from) || 0;
+            if (!message.active || Date.now() - shownAt < 10000) return;
+            this.typingShown.set(message.from, Date.now());
+            this.output(`\n[${this.time(message)}] ✎  ${message.from} is typing...`);
+        });
+
+        client.on('lastSeen', (message) => {
+            let line;
+            if (message.online) {
+                const status = message.status !== 'online' || message.statusText
+                    ? ` (${message.status}${message.statusText ? `: ${message.statusText}` : ''})`
+                    : '';
+                const idle = message.idle >= 60 ? `, idle ${this.formatIdle(message.idle)}` : '';
+                line = `${message.fullId} is online${status}${idle}`;
+            } else if (message.lastSeen) {
+                line = `${message.fullId} was last seen ${new Date(message.lastSeen).toLocaleString()}`;
+            } else {
+                line = `${message.fullId} ${message.known ? 'is offline (last seen unknown)' : 'has not been seen on this server'}`;
+            }
+            this.output(`\n[${this.time(message)}] ${line}`);
+        });
+
+        client.on('adminResult', (message) => {
+            this.output(`\n[${this.time(message)}] ✓ [ADMIN] ${message.message}`);
+        });
+
+        client.on('notice', (message) => {
+            const timestamp = this.time(message);
+            if (message.type === 'rate_limited') {
+                const retry = message.retryAfter ? ` (retry in ${message.retryAfter}s)` : '';
+                this.output(`\n[${timestamp}] Rate limited! : ${message.message}${retry}`);
+            } else {
+                const until = message.until ? ` (until ${new Date(message.until).toLocaleString()})` : '';
+                this.output(`\n[${timestamp}] Warning!! : ${message.message}${until}`);
+            }
+        });
+
+        client.on('unhandled', (message) => {
+            this.output(`\n[${this.time(message)}] Undefined message type! : ${JSON.stringify(message)}`);
+        });
+
+        // File transfers
+        const notify = text => this.output(`\n[${this.getTimestamp()}] ${text}`);
+
+        client.on('fileOffered', (transfer) => {
+            notify(`📤 Offered ${transfer.name} (${formatBytes(transfer.size)}) to ${transfer.to} [${transfer.id}], waiting for them to accept`);
+        });
+
+        client.on('fileOffer', (transfer) => {
+            notify(`📥 ${transfer.from} wants to send you ${transfer.name} (${formatBytes(transfer.size)}). ` +
+                `Type /accept ${transfer.id} [dir] to receive it or /cancel ${transfer.id} to decline`);
+        });
+
+        client.on('fileResumed', (transfer) => {
+            notify(`📥 Resuming ${transfer.name} from ${formatBytes(transfer.received)}`);
+        });
+
+        client.on('fileAccepted', (transfer, { offset, by }) => {
+            notify(offset > 0
+                ? `📤 ${by} is receiving ${transfer.name}, continuing from ${formatBytes(offset)}`
+                : `📤 ${by} accepted ${transfer.name}, sending...`);
+        });
+
+        client.on('fileProgress', (transfer, { bytes }) => {
+            const label = transfer instanceof OutgoingTransfer
+                ? `📤 ${transfer.name} -> ${transfer.to}`
+                : `📥 ${transfer.name} <- ${transfer.from}`;
+            this.reportProgress(transfer, bytes, label);
+        });
+
+        client.on('fileComplete', (transfer, { ok, message }) => {
+            if (transfer instanceof IncomingTransfer) {
+                notify(ok
+                    ? `✓ Saved ${transfer.name} from ${transfer.from} to ${transfer.path} (checksum verified)`
+                    : `Error! : ${transfer.name} from ${transfer.from} was discarded: ${message}`);
+            } else {
+                notify(ok ? `✓ ${message}` : `Error! : ${message}`);
+            }
+        });
+
+        client.on('fileCancelled', (transfer, { message }) => notify(`✗ ${message}`));
+        client.on('filePaused', (transfer, { message }) => notify(`⏸  ${message}`));
+        client.on('fileError', (transfer, error) => notify(`Error! : ${error.message}`));
+    }
+
+    trackSentMessage(message) {
+        const status = new Map();
+        message.delivered.concat(message.pending || []).forEach(fullId => status.set(fullId, 'sent'));
+        (message.queued || []).forEach(fullId => status.set(fullId, 'queued'));
+
+        // Only keep the most recent messages around for status updates
+        if (this.sentMessages.size >= 200) {
+            this.sentMessages.delete(this.sentMessages.keys().next().value);
+        }
+        this.sentMessages.set(message.id, {
+            to: message.to,
+            content: message.content,
+            status: status
+        });
+    }
+
+    updateMessageStatus(message) {
+        const timestamp = new Date(message.timestamp).toLocaleTimeString();
+        const sent = this.sentMessages.get(message.id);
+        if (!sent) {
+            this.output(`\n[${timestamp}] ${message.type === 'read' ? '👁 Read' : '✓✓ Delivered'} by ${message.by}`);
+            return;
+        }
+
+        sent.status.set(message.by, message.type);
+        const preview = sent.content.length > 30 ? `${sent.content.substring(0, 30)}...` : sent.content;
+        const icon = message.type === 'read' ? '👁 Read' : '✓✓ Delivered';
+        const lines = [`\n[${timestamp}] ${icon} by ${message.by}: "${preview}"`];
+
+        // For group messages show where every recipient is at
+        if (sent.status.size > 1) {
+            const summary = Array.from(sent.status).map(([fullId, state]) => `${fullId}: ${state}`).join(', ');
+            lines.push(`   Status: ${summary}`);
+        }
+        this.output(...lines);
+    }
+
+    markMessagesRead() {
+        this.unreadMessages.forEach(id => this.client.markRead(id));
+        this.unreadMessages = [];
+    }
+
+    displayHistory(message) {
+        if (message.replay && message.messages.length === 0) return;
+
+        const lines = [message.replay
+            ? `\n--- Recent messages (${message.messages.length}) ---`
+            : `\n--- History (${message.peer ? `with ${message.peer}` : 'all'}, ${message.messages.length} messages) ---`];
+
+        message.messages.forEach((entry) => {
+            const time = new Date(entry.timestamp).toLocaleString();
+            if (entry.type === 'private_message') {
+                lines.push(`[${time}] [PRIVATE ${entry.from} -> ${entry.to}]: ${entry.content}`);
+            } else {
+                lines.push(`[${time}] [BROADCAST] ${entry.from}: ${entry.content}`);
+            }
+        });
+
+        if (message.hasMore && !message.replay) {
+            lines.push(`   (older messages available)`);
+        }
+        lines.push('---');
+        this.output(...lines);
+    }
+
+    helpLines() {
+        const lines = [];
+        lines.push('\n╔════════════════════════════════════════════════════════╗');
+        lines.push('║                     COMMANDS                           ║');
+        lines.push('╠════════════════════════════════════════════════════════╣');
+        lines.push('║  <message>              - Send to current room or all  ║');
+        lines.push('║  @<client> <message>    - Private message to client    ║');
+        lines.push('║  @<sys>.* <message>     - Private message to a system  ║');
+        lines.push('║  @<a>,<b> <message>     - Private message to several   ║');
+        lines.push('║  list                   - Show connected clients       ║');
+        lines.push('║  /join <room>           - Join (and switch to) a room  ║');
+        lines.push('║  /leave [room]          - Leave current or named room  ║');
+        lines.push('║  /rooms                 - Show active rooms            ║');
+        lines.push('║  /history [peer] [n]    - Show last n messages         ║');
+        lines.push('║  /send <client> <path>  - Offer a file to a client     ║');
+        lines.push('║  /accept <id> [dir]     - Receive an offered file      ║');
+        lines.push('║  /cancel <id>           - Cancel or decline a file     ║');
+        lines.push('║  /transfers             - Show file transfers          ║');
+        lines.push('║  /status [state] [text] - online, away, busy + note    ║');
+        lines.push('║  /seen <client>         - When a client was last on    ║');
+        lines.push('║  ping                   - Test connection to server    ║');
+        lines.push('║  /ping <n>              - Round trip stats, n pings    ║');
+        lines.push('║  help                   - Show this help               ║');
+        lines.push('║  clear                  - Clear screen                 ║');
+        lines.push('║  quit / exit            - Disconnect                   ║');
+        if (this.client.isAdmin) {
+            lines.push('╠════════════════════════════════════════════════════════╣');
+            lines.push('║                  ADMIN COMMANDS                        ║');
+            lines.push('╠════════════════════════════════════════════════════════╣');
+            lines.push('║  /kick <client> [why]   - Disconnect a client          ║');
+            lines.push('║  /ban <target> [t] [why]- Ban client, system or IP     ║');
+            lines.push('║  /unban <target>        - Lift a ban                   ║');
+            lines.push('║  /mute <client> [t]     - Stop a client from talking   ║');
+            lines.push('║  /unmute <client>       - Let a client talk again      ║');
+            lines.push('║  /announce <message>    - Server-wide announcement     ║');
+            lines.push('║  (t = duration like 30s, 10m, 2h, 1d)                  ║');
+        }
+        lines.push('╚════════════════════════════════════════════════════════╝\n');
+        return lines;
+    }
+
+    showHelp() {
+        this.helpLines().forEach(line => console.log(line));
+    }
+
+    // Print progress in 10% steps rather than once per chunk
+    reportProgress(transfer, done, label) {
+        const percent = transfer.size > 0 ? Math.floor((done / transfer.size) * 10) * 10 : 100;
+        if (percent > (transfer.reportedPercent || 0) && percent < 100) {
+            transfer.reportedPercent = percent;
+            this.output(`\n[${this.getTimestamp()}] ${label}: ${percent}% (${formatBytes(done)} of ${formatBytes(transfer.size)})`);
+        }
+    }
+
+    sendFile(target, filePath) {
+        console.log(`\n[${this.getTimestamp()}] Computing checksum of ${filePath}...`);
+        this.client.sendFile(target, filePath)
+            .catch(error => this.output(`\n[${this.getTimestamp()}] Error! : ${error.message}`));
+    }
+
+    acceptFile(id, dir) {
+        let transfer;
+        try {
+            transfer = this.client.acceptFile(id, dir);
+        } catch (error) {
+            const hint = error.code === 'NO_TRANSFER' ? '. Type /transfers to see offers' : '';
+            console.log(`\n[${this.getTimestamp()}] Error! : ${error.message}${hint}`);
+            return;
+        }
+        console.log(`\n[${this.getTimestamp()}] 📥 Receiving ${transfer.name} into ${transfer.path}` +
+            (transfer.received > 0 ? ` (continuing from ${formatBytes(transfer.received)})` : ''));
+    }
+
+    cancelFile(id) {
+        try {
+            this.client.cancelFile(id);
+        } catch (error) {
+            console.log(`\n[${this.getTimestamp()}] Error! : ${error.message}`);
+            return;
+        }
+        console.log(`\n[${this.getTimestamp()}] ✗ Cancelled file transfer ${id}`);
+    }
+
+    listTransfers() {
+        const { outgoingFiles, incomingFiles } = this.client;
+        if (outgoingFiles.size === 0 && incomingFiles.size === 0) {
+            console.log(`\n[${this.getTimestamp()}] No file transfers`);
+            return;
+        }
+        console.log(`\n[${this.getTimestamp()}] File transfers:`);
+        outgoingFiles.forEach(t => console.log(`   ${t.id}  📤 ${t.name} -> ${t.to}  ${t.state}, ${formatBytes(t.acked)} of ${formatBytes(t.size)}`));
+        incomingFiles.forEach(t => console.log(`   ${t.id}  📥 ${t.name} <- ${t.from}  ${t.state}, ${formatBytes(t.received)} of ${formatBytes(t.size)}`));
+    }
+
+    joinRoom(room) {
+        // Joining a room we are already in just switches to it
+        if (this.client.joinedRooms.has(room)) {
+            this.currentRoom = room;
+            this.updatePrompt();
+            return;
+        }
+        this.report(this.client.joinRoom(room));
+    }
+
+    leaveRoom(room) {
+        if (!room) {
+            console.log(`\n[${this.getTimestamp()}] Error! : You are not in a room`);
+            return;
+        }
+        this.report(this.client.leaveRoom(room));
+    }
+
+    // "30s", "10m", "2h", "1d" or plain seconds -> seconds (null if not a duration)
+    parseDuration(value) {
+        const match = /^(\d+)([smhd])?$/.exec(value || '');
+        if (!match) return null;
+        const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
+        return parseInt(match[1]) * multipliers[match[2] || 's'];
+    }
+
+    handleAdminInput(input) {
+        const [command, target, ...rest] = input.split(/\s+/);
+        const name = command.substring(1);
+
+        if (name === 'announce') {
+            const content = input.substring(command.length).trim();
+            if (!content) {
+                console.log(`\n[${this.getTimestamp()}] Error! : Usage: /announce <message>`);
+                return;
+            }
+            this.report(this.client.sendAdminCommand('announce', { content: content }));
+            return;
+        }
+
+        if (!target) {
+            console.log(`\n[${this.getTimestamp()}] Error! : Usage: /${name} <target>`);
+            return;
+        }
+
+        if (name === 'ban' || name === 'mute') {
+            // Optional duration comes first, the rest is the reason
+            const duration = this.parseDuration(rest[0]);
+            if (duration !== null) {
+                rest.shift();
+            }
+            this.report(this.client.sendAdminCommand(name, { target: target, duration: duration || undefined, reason: rest.join(' ') || undefined }));
+        } else if (name === 'kick') {
+            this.report(this.client.sendAdminCommand(name, { target: target, reason: rest.join(' ') || undefined }));
+        } else {
+            this.report(this.client.sendAdminCommand(name, { target: target }));
+        }
+    }
+
+    sendPing() {
+        this.report(this.client.ping());
+        console.log(`[${this.getTimestamp()}] Ping sent to server`);
+    }
+
+    // /ping <n>: n pings in a row, then min/avg/max and jitter like ping(8)
+    measurePing(count) {
+        console.log(`[${this.getTimestamp()}] Pinging server ${count} times...`);
+        this.client.pingStats(count).then((stats) => {
+            const loss = Math.round((stats.lost / stats.sent) * 100);
+            const lines = [`\n[${this.getTimestamp()}] ${stats.sent} pings sent, ${stats.received} received, ${loss}% lost`];
+            if (stats.received > 0) {
+                const ms = value => value.toFixed(1);
+                lines.push(`rtt min/avg/max/jitter = ${ms(stats.min)}/${ms(stats.avg)}/${ms(stats.max)}/${ms(stats.jitter)} ms`);
+            }
+            this.output(...lines);
+        }, error => this.showError(error));
+    }
+
+    getPrompt() {
+        const room = this.currentRoom ? ` [#${this.currentRoom}]` : '';
+        const status = this.client.presence.status !== 'online' ? ` (${this.client.presence.status})` : '';
+        return `${this.systemId}.${this.clientId}${status}${room}> `;
+    }
+
+    // /status: show ours; /status <state> [text]; /status <text> keeps the state (and
+    // brings us back from an automatic away)
+    setStatus(args) {
+        const presence = this.client.presence;
+        if (args.length === 0) {
+            const text = presence.text ? `: ${presence.text}` : '';
+            console.log(`[${this.getTimestamp()}] Status: ${presence.auto ? 'away (idle)' : presence.status}${text}`);
+            return;
+        }
+
+        const states = ['online', 'away', 'busy'];
+        const explicit = states.includes(args[0]);
+        const status = explicit ? args[0] : (presence.auto ? 'online' : presence.status);
+        const text = (explicit ? args.slice(1) : args).join(' ');
+        this.report(this.client.setStatus(status, text));
+    }
+
+    // While a private message to one client is being typed, tell them every few seconds
+    noteTyping() {
+        const match = this.rl && this.rl.line.match(/^@([^\s.,*]+\.[^\s.,*]+)\s+\S/);
+        if (!match || !this.client.registered) return;
+        const target = match[1];
+        if (Date.now() - (this.typingSent.get(target) || 0) < 5000) return;
+        this.typingSent.set(target, Date.now());
+        this.client.sendTyping(target).catch(() => {});
+    }
+
+    // Seconds -> "45s", "12m", "3h 5m"
+    formatIdle(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+        const minutes = Math.floor(seconds / 60) % 60;
+        return `${Math.floor(seconds / 3600)}h${minutes ? ` ${minutes}m` : ''}`;
+    }
+
+    updatePrompt() {
+        if (this.rl) {
+            this.rl.setPrompt(this.getPrompt());
+        }
+    }
+
+    // readline writes through this, so its echo can be muted while a secret is typed
+    createOutputStream() {
+        const stream = new Writable({
+            write: (chunk, encoding, callback) => {
+                if (!this.muted) {
+                    process.stdout.write(chunk, encoding);
+                }
+                callback();
+            }
+        });
+        Object.defineProperty(stream, 'columns', { get: () => process.stdout.columns });
+        stream.isTTY = process.stdout.isTTY;
+        process.stdout.on('resize', () => stream.emit('resize'));
+        return stream;
+    }
+
+    setupCLI() {
+        this.rl = readline.createInterface({
+            input: process.stdin,
+            output: this.createOutputStream(),
+            prompt: this.getPrompt(),
+            terminal: true
+        });
+
+        this.rl.prompt();
+
+        process.stdin.on('keypress', () => this.noteTyping());
+
+        this.rl.on('line', (input) => {
+            this.handleInput(input.trim());
+            if (this.rl) {
+                this.rl.prompt();
+            }
+        });
+
+        this.rl.on('close', () => {
+            this.disconnect();
+        });
+
+        // Handle Ctrl+C
+        this.rl.on('SIGINT', () => {
+            this.rl.question('\nAre you sure you want to exit? (y/n) ', (answer) => {
+                if (answer.match(/^y(es)?$/i)) {
+                    this.disconnect();
+                } else {
+                    this.rl.prompt();
+                }
+            });
+        });
+    }
+
+    handleInput(trimmed) {
+        // Typing anything means private messages shown so far have been read
+        this.markMessagesRead();
+
+        if (!trimmed) return;
+
+        // Handle commands
+        if (trimmed === 'quit' || trimmed === 'exit') {
+            this.disconnect();
+            return;
+        }
+
+        if (trimmed === 'list') {
+            this.report(this.client.listClients());
+            return;
+        }
+
+        if (trimmed === 'help') {
+            this.showHelp();
+            return;
+        }
+
+        if (trimmed === 'ping') {
+            this.sendPing();
+            return;
+        }
+
+        const pingMatch = trimmed.match(/^\/ping(?:\s+(\d+))?$/);
+        if (pingMatch) {
+            this.measurePing(pingMatch[1] ? parseInt(pingMatch[1]) : 5);
+            return;
+        }
+
+        if (trimmed === 'clear') {
+            console.clear();
+            return;
+        }
+
+        // Room commands: /join <room>, /leave [room], /rooms
+        const joinMatch = trimmed.match(/^\/join\s+(\S+)$/);
+        if (joinMatch) {
+            this.joinRoom(joinMatch[1]);
+            return;
+        }
+
+        const leaveMatch = trimmed.match(/^\/leave(?:\s+(\S+))?$/);
+        if (leaveMatch) {
+            this.leaveRoom(leaveMatch[1] || this.currentRoom);
+            return;
+        }
+
+        if (trimmed === '/status' || trimmed.startsWith('/status ')) {
+            this.setStatus(trimmed.split(/\s+/).slice(1));
+            return;
+        }
+
+        const seenMatch = trimmed.match(/^\/seen\s+(\S+)$/);
+        if (seenMatch) {
+            this.report(this.client.lastSeen(seenMatch[1]));
+            return;
+        }
+
+        if (trimmed === '/rooms') {
+            this.report(this.client.listRooms());
+            return;
+        }
+
+        // /history [peer] [n] - either argument may be left out
+        if (trimmed === '/history' || trimmed.startsWith('/history ')) {
+            const args = trimmed.split(/\s+/).slice(1);
+            const limit = args.length > 0 && /^\d+$/.test(args[args.length - 1]) ? parseInt(args.pop()) : undefined;
+            this.report(this.client.requestHistory(args[0], limit));
+            return;
+        }
+
+        if (/^\/(kick|ban|unban|mute|unmute|announce)(\s|$)/.test(trimmed)) {
+            this.handleAdminInput(trimmed);
+            return;
+        }
+
+        // File transfer: /send <client> <path>, /accept <id> [dir], /cancel <id>, /transfers
+        const sendMatch = trimmed.match(/^\/send\s+(\S+)\s+(.+)$/);
+        if (sendMatch) {
+            this.sendFile(sendMatch[1], sendMatch[2]);
+            return;
+        }
+
+        const acceptMatch = trimmed.match(/^\/accept\s+(\S+)(?:\s+(.+))?$/);
+        if (acceptMatch) {
+            this.acceptFile(acceptMatch[1], acceptMatch[2]);
+            return;
+        }
+
+        const cancelMatch = trimmed.match(/^\/cancel\s+(\S+)$/);
+        if (cancelMatch) {
+            this.cancelFile(cancelMatch[1]);
+            return;
+        }
+
+        if (trimmed === '/transfers') {
+            this.listTransfers();
+            return;
+        }
+
+        // Check for private message format: @client message
+        // (client may be sys.client, sys.* or a comma-separated list)
+        const privateMatch = trimmed.match(/^@([^\s,]+(?:\s*,\s*[^\s,]+)*)\s+(.+)$/);
+        if (privateMatch) {
+            const [, target, content] = privateMatch;
+            this.report(this.client.sendPrivateMessage(target, content));
+            return;
+        }
+
+        // Send to the current room, or broadcast if not in one
+        if (this.currentRoom) {
+            this.report(this.client.sendRoomMessage(this.currentRoom, trimmed));
+        } else {
+            this.report(this.client.sendBroadcastMessage(trimmed));
+        }
+    }
+
+    disconnect() {
+        if (this.exiting) return;
+        this.exiting = true;
+        console.log(`\n[${this.getTimestamp()}] Disconnecting...`);
+        this.cleanup();
+        setTimeout(() => process.exit(0), 500);
+    }
+
+    cleanup() {
+        if (this.rl) {
+            const rl = this.rl;
+            this.rl = null;
+            rl.close();
+        }
+        this.client.close();
+    }
+
+    getTimestamp() {
+        return new Date().toLocaleTimeString();
+    }
+}
+
+function usage() {
+    console.log('Usage: node client.js <systemId> <clientId> [host] [port] [--config file] [--option value ...]');
+    console.log('\nSettings come from the defaults, then the config file, then CHAT_* variables, then flags.');
+    console.log('The config file (JSON or YAML) may also hold systemId and clientId.\n');
+    console.log(describeSettings(CLIENT_SETTINGS));
+    console.log('\nExamples:');
+    console.log('  node client.js system1 client1                      (finds the server on the LAN)');
+    console.log('  node client.js system1 client2 192.168.1.100 8080');
+    console.log('  node client.js --config alice.yaml --no-read-receipts');
+    console.log('\nMulti-Client Example (4 systems with 4 clients each):');
+    for (let sys = 1; sys <= 4; sys++) {
+        for (let cli = 1; cli <= 4; cli++) {
+            console.log(`  node client.js system${sys} client${cli}`);
+        }
+    }
+}
+
+function describeServer(server) {
+    const clients = server.clients === 1 ? '1 client' : `${server.clients} clients`;
+    return `${server.name} at ${server.host}:${server.port} (${clients}${server.tls ? ', TLS' : ''})`;
+}
+
+// One discovered server is used straight away; several are listed to pick from. With
+// confirm, a lone server without TLS is asked about first, as any machine on the LAN can
+// answer a probe. With none, fall back to this machine so a local server without discovery
+// still works. Resolves with null if the user turns the server down.
+function chooseServer(servers, port, confirm) {
+    if (servers.length === 0) {
+        console.log(`No chat servers answered on the local network, trying localhost:${port}`);
+        return Promise.resolve({ host: 'localhost', port: port, tls: false });
+    }
+    if (servers.length === 1 && (!confirm || servers[0].tls)) {
+        console.log(`Found ${describeServer(servers[0])}`);
+        return Promise.resolve(servers[0]);
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    if (servers.length === 1) {
+        return new Promise((resolve) => {
+            rl.question(`Found ${describeServer(servers[0])}. Connect? [y/N] `, (answer) => {
+                rl.close();
+                resolve(/^y(es)?$/i.test(answer.trim()) ? servers[0] : null);
+            });
+        });
+    }
+
+    console.log('Chat servers on the local network:');
+    servers.forEach((server, index) => console.log(`  ${index + 1}) ${describeServer(server)}`));
+    return new Promise((resolve) => {
+        const ask = () => {
+            rl.question(`Connect to which server? [1-${servers.length}] `, (answer) => {
+                const choice = parseInt(answer, 10);
+                if (!(choice >= 1 && choice <= servers.length)) {
+                    ask();
+                    return;
+                }
+                rl.close();
+                resolve(servers[choice - 1]);
+            });
+        };
+        ask();
+    });
+}
+
+function main(args) {
+    if (args.includes('--help') || args.includes('-h')) {
+        usage();
+        process.exit(0);
+    }
+
+    let settings;
+    try {
+        settings = resolveConfig(CLIENT_SETTINGS, args, { positional: ['systemId', 'clientId', 'host', 'port'] }).settings;
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (!settings.systemId || !settings.clientId) {
+        usage();
+        process.exit(1);
+    }
+
+    // tls.enabled (or a CA / client certificate) connects over TLS; tls.ca trusts a lab CA,
+    // tls.cert + tls.key present a client certificate for mutual TLS
+    let tlsConfig = null;
+    if (settings.tls.enabled || settings.tls.ca || settings.tls.cert) {
+        tlsConfig = {
+            ca: settings.tls.ca,
+            cert: settings.tls.cert,
+            key: settings.tls.key,
+            servername: settings.tls.servername,
+            rejectUnauthorized: !settings.tls.insecure
+        };
+    }
+
+    const client = new TCPClient(settings.host, settings.port, {
+        tls: tlsConfig,
+        secret: settings.secret,
+        readReceipts: settings.readReceipts,
+        downloadDir: settings.downloadDir,
+        framing: settings.framing,
+        autoReconnect: settings.autoReconnect,
+        maxReconnectAttempts: settings.maxReconnectAttempts,
+        reconnectDelay: settings.reconnectDelay,
+        requestTimeout: settings.requestTimeout,
+        historyReplay: settings.historyReplay,
+        heartbeatInterval: settings.heartbeatInterval,
+        heartbeatTimeout: settings.heartbeatTimeout
+    });
+    const cli = new ChatCLI(client, { secretFromEnv: !!settings.secret });
+    if (settings.host) {
+        cli.start(settings.systemId, settings.clientId);
+        return;
+    }
+
+    console.log('Looking for chat servers on the local network...');
+    discoverServers(settings.discovery)
+        .then(servers => chooseServer(servers, settings.port, settings.discovery.confirm))
+        .then((server) => {
+            if (!server) {
+                console.log('Not connecting. Give the server address to connect to it directly.');
+                process.exit(0);
+            }
+            client.useServer(server);
+            cli.start(settings.systemId, settings.clientId);
+        })
+        .catch((error) => {
+            console.error(`Server discovery failed: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    ChatCLI,
+    main
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
@@ -1,408 +1,1184 @@
+const EventEmitter = require('events');
 const net = require('net');
-const readline = require('readline');
+const tls = require('tls');
+const fs = require('fs');
+const path = require('path');
+const { PROTOCOL_VERSION, encodeMessage, MessageDecoder } = require('./framing');
+const { OutgoingTransfer, IncomingTransfer, hashFile } = require('./filetransfer');
+const { TokenBucket } = require('./ratelimit');
+const { discoverServers } = require('./discovery');
 
-class TCPClient {
-    constructor(host = 'localhost', port = 8080) {
-        this.host = host;
+// Headless chat client: connects, negotiates framing, registers, reconnects and turns
+// server messages into events. It never prints or exits, so bots and tests can drive it
+// directly; cli.js is the terminal front end built on top of it.
+//
+// Events:
+//   connecting ({host, port})          connected (welcome)         registered (message)
+//   disconnected ({willReconnect})     reconnecting ({attempt, maxAttempts, delay, announced})
+//   reconnectFailed ()                 error (err)                 heartbeatTimeout ({silentFor})
+//   message (chat_message)             private (private_message)   privateSent (private_sent|private_queued)
+//   receipt (delivered|read)           history (history)           clientList (client_list)
+//   joined (client_joined)             left (client_left)          unreachable / reachable (clients_*)
+//   roomMessage (room_message)         roomJoined (room_joined, {rejoined})
+//   roomLeft (room_left)               roomMemberJoined / roomMemberLeft (room_client_*)
+//   roomList (room_list)               announcement (announcement) adminResult (admin_result)
+//   notice (server_shutdown|slow_consumer|kicked|banned|muted|unmuted|rate_limited)
+//   presence (presence)                typing (typing)             lastSeen (last_seen)
+//   pong ({rtt, requestId})            fileOffer (IncomingTransfer)
+//   fileOffered / fileAccepted ({offset, by}) / fileResumed / fileProgress ({bytes})
+//   fileComplete ({ok, message}) / fileCancelled ({message}) / filePaused ({message}) / fileError (err)
+//   serverMessage (every message)      unhandled (types the client doesn't know)
+// Every file event's first argument is the transfer (or the id when it is already gone).
+//
+// Every request carries a requestId the server echoes on its reply, so promises settle
+// with their own reply (or error) even when replies of the same type cross. A server
+// error nobody is waiting for becomes an 'error' event with err.requestId and err.code.
+// An 'error' is only emitted when something listens, so a bot without a handler isn't
+// brought down by a server refusing one of its messages.
+
+// Only the shape is checked here: which characters an ID may hold is the server's idPattern
+const TARGET_PATTERN = /^[^.,*]+\.([^.,*]+|\*)$/;
+const FULL_ID_PATTERN = /^[^.,*]+\.[^.,*]+$/;
+
+const NOTICE_TYPES = ['server_shutdown', 'slow_consumer', 'kicked', 'banned', 'muted', 'unmuted', 'rate_limited'];
+
+const MAX_PING_COUNT = 100; // Upper bound for pingStats()
+
+const PRESENCE_STATES = ['online', 'away', 'busy'];
+
+class TCPClient extends EventEmitter {
+    constructor(host = 'localhost', port = 8080, options = {}) {
+        super();
+        this.host = host; // null: find a server on the LAN when connecting
         this.port = port;
+        this.discovery = options.discovery || {}; // {port, group, timeout} for discoverServers()
+        // Optional TLS: {ca, cert, key, servername, rejectUnauthorized} (ca/cert/key are file paths)
+        this.tlsConfig = options.tls || null;
+        this.historyReplay = options.historyReplay !== undefined ? options.historyReplay : 10; // Broadcasts replayed on register
+        this.lastMessageTime = null; // Timestamp of the newest broadcast seen, so reconnects only replay what we missed
+        this.readReceipts = options.readReceipts !== false; // Tell senders when we've read their private messages
+        this.autoAck = options.autoAck !== false; // Acknowledge private messages as they arrive
+        this.preferredFraming = options.framing || 'length'; // Asked for in the hello; 'newline' skips the handshake
+        this.framing = 'newline'; // Every connection starts in newline framing
+        this.resumeToken = null; // Lets a reconnect reclaim our ID within the server's grace period
+        this.isAdmin = false;
+        this.authRequired = false; // From the welcome, remembered across the hello exchange
+        this.welcome = null; // The server's welcome on this connection
         this.socket = null;
         this.systemId = null;
         this.clientId = null;
+        this.secret = options.secret || null; // Password or token for servers that require one
         this.registered = false;
-        this.rl = null;
-        this.connectedClients = [];
-        this.buffer = ''; // Buffer for incomplete messages
+        this.ready = false; // Welcome (and hello, if any) done: register may be sent
+        this.wantRegistration = false; // Register again by ourselves after a reconnect
+        this.registration = null; // {resolve, reject, timer} while a register is in flight
+        this.connecting = null; // {resolve, reject} for the promise connect() returned
+        this.waiters = []; // Requests waiting for a reply: {types, requestId, resolve, reject, timer}
+        this.nextRequestId = 1;
+        this.echoesRequestIds = false; // Seen a reply with our requestId: stop matching replies by type alone
+        this.requestTimeout = options.requestTimeout || 10000;
+        this.presence = { status: 'online', text: null, auto: false }; // Our own status, set again after a fresh registration
+        this.joinedRooms = new Set();
+        this.rejoining = new Set(); // Rooms being joined again after a reconnect
+        this.downloadDir = options.downloadDir || path.join(process.cwd(), 'downloads'); // Where acceptFile saves files
+        this.pendingOffers = new Map(); // ref -> {transfer, resolve, reject} awaiting the server's file_offered
+        this.outgoingFiles = new Map(); // transferId -> OutgoingTransfer
+        this.incomingFiles = new Map(); // transferId -> IncomingTransfer
+        this.chunkBucket = null; // Paces file_chunk sends once the server has told us its limit
+        this.decoder = null; // Buffer for incomplete messages, one per connection
+        this.autoReconnect = options.autoReconnect !== false;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 3000; // 3 seconds
+        this.maxReconnectAttempts = options.maxReconnectAttempts || 5;
+        this.reconnectDelay = options.reconnectDelay || 3000; // 3 seconds
+        this.reconnectTimer = null;
+        this.announcedDelay = null; // reconnectAfter from a server_shutdown, used for the next reconnect
         this.isManualDisconnect = false;
+        // Probe a server we haven't heard from; the server's welcome supplies defaults (0 disables)
+        this.heartbeatInterval = options.heartbeatInterval;
+        this.heartbeatTimeout = options.heartbeatTimeout;
+        this.lastHeard = 0; // Last time any data arrived from the server
+        this.heartbeat = null; // {seq, sentAt} while our heartbeat waits for an answer
+        this.heartbeatSeq = 0;
+        this.heartbeatTimer = null;
     }
 
-    connect(systemId, clientId) {
-        this.systemId = systemId;
-        this.clientId = clientId;
+    get fullId() {
+        return this.systemId && this.clientId ? `${this.systemId}.${this.clientId}` : null;
+    }
 
-        console.log(`\n[${this.getTimestamp()}] Connecting to ${this.host}:${this.port}...`);
+    // Resolves with the welcome once the server is ready for register(); with
+    // autoReconnect it keeps trying and only rejects once it gives up
+    connect() {
+        if (this.connecting) {
+            return Promise.reject(this.clientError('Already connecting', 'BUSY'));
+        }
+        if (!this.host) {
+            return this.findServer().then(() => this.connect());
+        }
+        this.isManualDisconnect = false;
+        this.reconnectAttempts = 0;
+        return new Promise((resolve, reject) => {
+            this.connecting = { resolve, reject };
+            this.openSocket();
+        });
+    }
 
-        this.socket = net.createConnection({
-            host: this.host,
-            port: this.port
-        }, () => {
-            console.log(`[${this.getTimestamp()}] ✓ Connected to server`);
-            this.reconnectAttempts = 0;
-            this.register();
+    // Picks the server to use when no host was given: the only one that answers discovery.
+    // Any machine on the LAN can answer a probe and only a verified certificate proves it
+    // is the real server, so with discovery.confirm a lone plain-TCP answer isn't used
+    // unasked. Otherwise rejects with NO_SERVERS, UNVERIFIED_SERVER or MULTIPLE_SERVERS
+    // with error.servers so the caller can confirm or choose one and pass it to useServer()
+    findServer() {
+        return discoverServers(this.discovery).then((servers) => {
+            if (servers.length !== 1 || (this.discovery.confirm && !servers[0].tls)) {
+                let error;
+                if (servers.length === 0) {
+                    error = this.clientError('No chat servers answered on the local network', 'NO_SERVERS');
+                } else if (servers.length === 1) {
+                    error = this.clientError(`${servers[0].host}:${servers[0].port} answered without TLS; confirm it`, 'UNVERIFIED_SERVER');
+                } else {
+                    error = this.clientError(`${servers.length} chat servers answered; choose one`, 'MULTIPLE_SERVERS');
+                }
+                error.servers = servers;
+                throw error;
+            }
+            this.useServer(servers[0]);
         });
+    }
 
-        // Set encoding and keep-alive
-        this.socket.setEncoding('utf8');
-        this.socket.setKeepAlive(true, 60000);
-        this.socket.setTimeout(300000); // 5 minute timeout
+    // Points the client at a discovered server ({host, port, tls}); TLS servers get TLS
+    // with default verification unless a TLS config was given
+    useServer(server) {
+        this.host = server.host;
+        this.port = server.port;
+        if (server.tls && !this.tlsConfig) {
+            this.tlsConfig = {};
+        }
+    }
+
+    openSocket() {
+        this.emit('connecting', { host: this.host, port: this.port });
+
+        const onConnect = () => {
+            this.reconnectAttempts = 0;
+            // Registration happens once the welcome tells us whether a secret is needed
+        };
+
+        if (this.tlsConfig) {
+            this.socket = tls.connect(this.getTlsOptions(), onConnect);
+        } else {
+            this.socket = net.createConnection({
+                host: this.host,
+                port: this.port
+            }, onConnect);
+        }
 
-        this.socket.on('data', (data) => {
-            this.handleServerMessage(data);
+        // Fresh framing state and keep-alive (data stays binary for length framing)
+        const socket = this.socket;
+        this.framing = 'newline';
+        this.decoder = new MessageDecoder();
+        this.ready = false;
+        this.echoesRequestIds = false;
+        socket.setKeepAlive(true, 60000);
+        socket.setTimeout(300000); // 5 minute timeout
+
+        socket.on('data', (data) => {
+            this.lastHeard = Date.now();
+            this.handleServerData(data);
         });
 
-        this.socket.on('close', () => {
-            console.log(`\n[${this.getTimestamp()}] Disconnected from server`);
-            this.registered = false;
-            
-            if (!this.isManualDisconnect) {
-                this.attemptReconnect();
-            } else {
-                this.cleanup();
-            }
+        socket.on('close', () => {
+            // A socket we have already replaced
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.handleClose();
+        });
+
+        socket.on('timeout', () => {
+            socket.end();
         });
 
-        this.socket.on('timeout', () => {
-            console.log(`\n[${this.getTimestamp()}] Connection timeout`);
-            this.socket.end();
+        socket.on('error', (err) => {
+            this.emitError(err);
         });
 
-        this.socket.on('error', (err) => {
-            console.error(`\n[${this.getTimestamp()}] Connection error: ${err.message}`);
-            if (err.code === 'ECONNREFUSED') {
-                console.log('Server appears to be offline');
+        this.lastHeard = Date.now();
+        this.startHeartbeat();
+    }
+
+    // {interval, timeout} in ms: our options first, then what the server's welcome said
+    getHeartbeatSettings() {
+        const advertised = (this.welcome && this.welcome.heartbeat) || {};
+        return {
+            interval: this.heartbeatInterval !== undefined ? this.heartbeatInterval : (advertised.interval || 30000),
+            timeout: this.heartbeatTimeout || advertised.timeout || 10000
+        };
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        const { interval, timeout } = this.getHeartbeatSettings();
+        if (interval > 0) {
+            this.heartbeatTimer = setInterval(() => this.checkHeartbeat(), Math.min(interval, timeout) / 2);
+        }
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.heartbeat = null;
+    }
+
+    // The server's own rule, from our side: a heartbeat once it has been quiet for the
+    // interval, and a dead connection if nothing at all comes back within the timeout.
+    // Dropping the socket reconnects at once instead of waiting for TCP to notice.
+    checkHeartbeat() {
+        const { interval, timeout } = this.getHeartbeatSettings();
+        const now = Date.now();
+        const pending = this.heartbeat;
+
+        if (pending && this.lastHeard < pending.sentAt) {
+            if (now - pending.sentAt >= timeout && this.socket) {
+                this.stopHeartbeat();
+                this.emit('heartbeatTimeout', { silentFor: now - this.lastHeard });
+                this.socket.destroy();
             }
+            return;
+        }
+
+        if (now - this.lastHeard >= interval) {
+            this.heartbeat = { seq: ++this.heartbeatSeq, sentAt: now };
+            this.sendMessage({ type: 'heartbeat', seq: this.heartbeat.seq });
+        } else {
+            this.heartbeat = null;
+        }
+    }
+
+    getTlsOptions() {
+        const config = this.tlsConfig;
+        const options = {
+            host: this.host,
+            port: this.port,
+            servername: config.servername || (net.isIP(this.host) ? undefined : this.host),
+            rejectUnauthorized: config.rejectUnauthorized !== false
+        };
+        if (config.ca) {
+            options.ca = fs.readFileSync(config.ca);
+        }
+        // Client certificate for servers that require mutual TLS
+        if (config.cert && config.key) {
+            options.cert = fs.readFileSync(config.cert);
+            options.key = fs.readFileSync(config.key);
+        }
+        return options;
+    }
+
+    handleClose() {
+        this.registered = false;
+        this.ready = false;
+        this.stopHeartbeat();
+        // Outgoing files wait for the server to re-send file_accept after we re-register
+        this.outgoingFiles.forEach(transfer => transfer.pause());
+
+        const disconnected = this.clientError('Disconnected from server', 'NOT_CONNECTED');
+        this.failRegistration(disconnected);
+        this.waiters.splice(0).forEach((waiter) => {
+            clearTimeout(waiter.timer);
+            waiter.reject(disconnected);
         });
 
-        this.setupCLI();
+        const willReconnect = this.autoReconnect && !this.isManualDisconnect;
+        this.emit('disconnected', { willReconnect: willReconnect });
+
+        if (willReconnect) {
+            this.attemptReconnect();
+        } else {
+            this.settleConnect(this.clientError('Connection closed', 'NOT_CONNECTED'));
+        }
     }
 
     attemptReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.log(`\n[${this.getTimestamp()}] Max reconnection attempts reached. Exiting...`);
-            this.cleanup();
-            process.exit(1);
+        // A server that announced its shutdown said when to come back; waiting for it
+        // isn't a failed attempt
+        const announced = this.announcedDelay !== null;
+        const delay = announced ? this.announcedDelay : this.reconnectDelay;
+        this.announcedDelay = null;
+
+        if (!announced && this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.emit('reconnectFailed');
+            this.settleConnect(this.clientError('Could not connect to server', 'NOT_CONNECTED'));
             return;
         }
 
-        this.reconnectAttempts++;
-        console.log(`\n[${this.getTimestamp()}] Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts}) in ${this.reconnectDelay/1000} seconds...`);
+        if (!announced) {
+            this.reconnectAttempts++;
+        }
+        this.emit('reconnecting', {
+            attempt: this.reconnectAttempts,
+            maxAttempts: this.maxReconnectAttempts,
+            delay: delay,
+            announced: announced
+        });
 
-        setTimeout(() => {
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
             if (!this.isManualDisconnect) {
-                this.connect(this.systemId, this.clientId);
+                this.openSocket();
             }
-        }, this.reconnectDelay);
+        }, delay);
+    }
+
+    // Settles the promise connect() handed out: with the welcome, or with an error
+    settleConnect(error, welcome) {
+        if (!this.connecting) return;
+        const { resolve, reject } = this.connecting;
+        this.connecting = null;
+        if (error) {
+            reject(error);
+        } else {
+            resolve(welcome);
+        }
+    }
+
+    // Closes the connection for good; resolves once the socket is gone
+    close() {
+        this.isManualDisconnect = true;
+        this.wantRegistration = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.announcedDelay = null;
+        this.stopHeartbeat();
+
+        const socket = this.socket;
+        if (!socket) {
+            this.settleConnect(this.clientError('Connection closed', 'NOT_CONNECTED'));
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            socket.once('close', () => resolve());
+            socket.destroy();
+        });
     }
 
-    register() {
+    // Resolves with the server's registered message. Rejects with the auth_failed or
+    // error reply (as err.response) if the server refuses us.
+    register(systemId = this.systemId, clientId = this.clientId, secret) {
+        if (secret !== undefined) {
+            this.secret = secret || null;
+        }
+        this.systemId = systemId;
+        this.clientId = clientId;
+
+        if (!this.ready) {
+            return Promise.reject(this.clientError('Not connected to server', 'NOT_CONNECTED'));
+        }
+        if (this.registration) {
+            return Promise.reject(this.clientError('Registration already in progress', 'BUSY'));
+        }
+
         const registerMessage = {
             type: 'register',
+            requestId: this.nextRequestId++,
             systemId: this.systemId,
             clientId: this.clientId
         };
-        this.sendMessage(registerMessage);
+        if (this.secret) {
+            registerMessage.secret = this.secret;
+        }
+        if (this.resumeToken) {
+            registerMessage.resumeToken = this.resumeToken;
+        }
+        if (this.historyReplay > 0) {
+            registerMessage.replay = this.historyReplay;
+            if (this.lastMessageTime) {
+                registerMessage.since = this.lastMessageTime;
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            this.registration = {
+                requestId: registerMessage.requestId,
+                resolve: resolve,
+                reject: reject,
+                timer: setTimeout(() => this.failRegistration(this.clientError('No reply to register from server', 'TIMEOUT')), this.requestTimeout)
+            };
+            this.wantRegistration = true;
+            this.sendMessage(registerMessage);
+        });
+    }
+
+    // A reply carrying someone else's requestId is left alone
+    failRegistration(error) {
+        if (!this.registration) return false;
+        const requestId = error.response ? error.response.requestId : undefined;
+        if (requestId !== undefined && requestId !== this.registration.requestId) return false;
+        const { reject, timer } = this.registration;
+        this.registration = null;
+        clearTimeout(timer);
+        reject(error);
+        return true;
     }
 
-    handleServerMessage(data) {
+    handleServerData(data) {
         // Append to buffer to handle partial messages
-        this.buffer += data;
+        this.decoder.push(data);
 
-        // Process complete messages (delimited by newline)
-        let newlineIndex;
-        while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
-            const message = this.buffer.substring(0, newlineIndex).trim();
-            this.buffer = this.buffer.substring(newlineIndex + 1);
+        // Process complete messages (the hello reply switches framing part way through)
+        let result;
+        while (this.decoder && (result = this.decoder.next()) !== null) {
+            if (result.overflow !== undefined) {
+                // Prevent buffer overflow
+                this.emitError(this.clientError(`Message too large (${result.overflow} bytes), discarded`, 'TOO_LARGE'));
+                continue;
+            }
+            if (!result.message) continue;
 
-            if (message) {
-                try {
-                    const parsed = JSON.parse(message);
-                    this.displayMessage(parsed);
-                } catch (error) {
-                    console.log(`\n[${this.getTimestamp()}] Parse error:`, error.message);
-                    console.log('Raw:', message);
-                }
+            let parsed;
+            try {
+                parsed = JSON.parse(result.message);
+            } catch (error) {
+                this.emitError(this.clientError(`Parse error: ${error.message}`, 'PARSE_ERROR'));
+                continue;
             }
+            this.handleServerMessage(parsed);
+        }
+    }
+
+    // Offer our preferred framing if the server speaks it, and the features we handle (the
+    // server only sends heartbeats to clients that say they answer them). A server without
+    // negotiation (no framings in its welcome) gets no hello and newline JSON.
+    // Nothing else is sent until the server's hello reply arrives.
+    sendHello(welcome) {
+        const framings = welcome.framings || [];
+        if (framings.length === 0) {
+            return false;
         }
 
-        // Prevent buffer overflow
-        if (this.buffer.length > 10000) {
-            console.warn(`\n[${this.getTimestamp()}] Buffer overflow, clearing buffer`);
-            this.buffer = '';
+        const offer = this.preferredFraming !== 'newline' && framings.includes(this.preferredFraming)
+            ? [this.preferredFraming, 'newline']
+            : ['newline'];
+        this.sendMessage({
+            type: 'hello',
+            version: PROTOCOL_VERSION,
+            framings: offer,
+            features: ['rooms', 'wildcard_targets', 'offline_queue', 'history', 'receipts', 'resume', 'admin', 'request_ids', 'heartbeat']
+        });
+        return true;
+    }
+
+    // The server is ready for a register: tell whoever is waiting, or register again
+    // by ourselves if this is a reconnect
+    handleReady() {
+        this.ready = true;
+        this.emit('connected', this.welcome);
+        this.settleConnect(null, this.welcome);
+
+        if (this.wantRegistration && !this.registration) {
+            this.register().catch(error => this.emitError(error));
         }
     }
 
-    displayMessage(message) {
-        const timestamp = message.timestamp ? new Date(message.timestamp).toLocaleTimeString() : this.getTimestamp();
-        
-        // Pause readline to prevent prompt interference
-        if (this.rl) {
-            this.rl.pause();
+    handleServerMessage(message) {
+        this.emit('serverMessage', message);
+        if (message.requestId !== undefined) {
+            this.echoesRequestIds = true;
+        }
+
+        if (typeof message.type === 'string' && message.type.startsWith('file_')) {
+            this.handleFileMessage(message);
+            return;
         }
 
         switch (message.type) {
             case 'welcome':
-                console.log(`\n[${timestamp}] 🌐 Server: ${message.message}`);
+                this.welcome = message;
+                this.authRequired = !!message.authRequired;
+                this.startHeartbeat(); // The server may have said how often it expects to hear from us
+                if (!this.sendHello(message)) {
+                    this.handleReady();
+                }
+                break;
+
+            case 'hello':
+                // The reply itself came in the old framing; everything after it uses the new one
+                this.framing = message.framing;
+                this.decoder.framing = message.framing;
+                this.handleReady();
+                break;
+
+            case 'auth_failed':
+                if (!this.failRegistration(this.serverError(message))) {
+                    this.emitError(this.serverError(message));
+                }
                 break;
-            
-            case 'registered':
+
+            case 'registered': {
                 this.registered = true;
-                console.log(`\n[${timestamp}] ✓ ${message.message}`);
-                console.log(`[${timestamp}] Your ID: ${message.fullId}`);
-                this.showHelp();
+                this.resumeToken = message.resumeToken || null;
+                this.isAdmin = !!message.isAdmin;
+                const registration = this.registration;
+                this.registration = null;
+                if (registration) {
+                    clearTimeout(registration.timer);
+                }
+                if (!message.resumed) {
+                    // A resumed session kept its rooms and status; a fresh one has to set them again
+                    this.rejoinRooms();
+                    this.restorePresence();
+                }
+                this.emit('registered', message);
+                if (registration) {
+                    registration.resolve(message);
+                }
                 break;
-            
+            }
+
             case 'chat_message':
-                console.log(`\n[${timestamp}] [BROADCAST] ${message.from}: ${message.content}`);
+                this.lastMessageTime = message.timestamp;
+                this.emit('message', message);
+                break;
+
+            case 'history':
+                if (message.replay && message.messages.length > 0) {
+                    this.lastMessageTime = message.messages[message.messages.length - 1].timestamp;
+                }
+                this.emit('history', message);
+                if (!message.replay) {
+                    this.resolveWaiter(message);
+                }
                 break;
-            
+
             case 'private_message':
-                console.log(`\n[${timestamp}] [PRIVATE from ${message.from}]: ${message.content}`);
+                if (message.id && this.autoAck) {
+                    // Let the sender know it arrived; markRead() tells them it was read
+                    this.sendMessage({ type: 'ack', id: message.id });
+                }
+                this.emit('private', message);
+                break;
+
+            case 'delivered':
+            case 'read':
+                this.emit('receipt', message);
                 break;
-            
+
             case 'private_sent':
-                console.log(`\n[${timestamp}] ✓ Private message sent to ${message.to}`);
+            case 'private_queued':
+                this.emit('privateSent', message);
+                this.resolveWaiter(message);
                 break;
-            
+
             case 'client_list':
-                this.connectedClients = message.clients;
-                console.log(`\n[${timestamp}] Connected clients (${message.count}):`);
-                if (message.clients.length === 0) {
-                    console.log('   (No other clients connected)');
-                } else {
-                    message.clients.forEach((client, index) => {
-                        console.log(`   ${index + 1}. ${client}`);
-                    });
+                this.emit('clientList', message);
+                this.resolveWaiter(message);
+                break;
+
+            case 'room_message':
+                this.emit('roomMessage', message);
+                break;
+
+            case 'room_joined': {
+                const rejoined = this.rejoining.delete(message.room);
+                this.joinedRooms.add(message.room);
+                this.emit('roomJoined', message, { rejoined: rejoined });
+                if (!rejoined) {
+                    this.resolveWaiter(message);
                 }
                 break;
-            
+            }
+
+            case 'room_left':
+                this.joinedRooms.delete(message.room);
+                this.emit('roomLeft', message);
+                this.resolveWaiter(message);
+                break;
+
+            case 'room_client_joined':
+                this.emit('roomMemberJoined', message);
+                break;
+
+            case 'room_client_left':
+                this.emit('roomMemberLeft', message);
+                break;
+
+            case 'room_list':
+                this.emit('roomList', message);
+                this.resolveWaiter(message);
+                break;
+
             case 'client_joined':
-                console.log(`\n[${timestamp}] =>  ${message.fullId} joined the chat`);
+                this.emit('joined', message);
                 break;
-            
+
             case 'client_left':
-                console.log(`\n[${timestamp}] <=  ${message.fullId} left the chat`);
+                this.emit('left', message);
+                break;
+
+            case 'clients_unreachable':
+                this.emit('unreachable', message);
+                break;
+
+            case 'clients_reachable':
+                this.emit('reachable', message);
+                break;
+
+            case 'pong': {
+                // sentAt is our own clock echoed back (null from servers that don't echo it)
+                const rtt = Number.isFinite(message.sentAt) ? Date.now() - message.sentAt : null;
+                this.emit('pong', { rtt: rtt, requestId: message.requestId });
+                this.resolveWaiter(message, rtt);
+                break;
+            }
+
+            case 'announcement':
+                this.emit('announcement', message);
+                break;
+
+            case 'heartbeat':
+                this.sendMessage({ type: 'heartbeat_ack', seq: message.seq });
                 break;
-            
-            case 'pong':
-                console.log(`\n[${timestamp}]  Pong received from server`);
+
+            case 'heartbeat_ack':
+                if (this.heartbeat && message.seq === this.heartbeat.seq) {
+                    this.heartbeat = null;
+                }
                 break;
-            
-            case 'server_shutdown':
-                console.log(`\n[${timestamp}] Warning!! : ${message.message}`);
+
+            case 'presence':
+                if (message.fullId === this.fullId) {
+                    this.presence = { status: message.status, text: message.text || null, auto: !!message.auto };
+                }
+                this.emit('presence', message);
+                this.resolveWaiter(message);
                 break;
-            
+
+            case 'typing':
+                this.emit('typing', message);
+                break;
+
+            case 'last_seen':
+                this.emit('lastSeen', message);
+                this.resolveWaiter(message);
+                break;
+
+            case 'admin_result':
+                this.emit('adminResult', message);
+                this.resolveWaiter(message);
+                break;
+
             case 'error':
-                console.log(`\n[${timestamp}] Error! : ${message.message}`);
+                // A refused request, register or file_offer belongs to whoever is waiting for it
+                if (this.rejectWaiter(message)) break;
+                if (this.failRegistration(this.serverError(message))) break;
+                if (message.ref && this.pendingOffers.has(message.ref)) {
+                    this.pendingOffers.get(message.ref).reject(this.serverError(message));
+                    this.pendingOffers.delete(message.ref);
+                    break;
+                }
+                this.emitError(this.serverError(message));
                 break;
-            
+
             default:
-                console.log(`\n[${timestamp}] Undefined message type! :`, message);
+                if (NOTICE_TYPES.includes(message.type)) {
+                    this.handleNotice(message);
+                } else {
+                    // Replies from the server's custom handlers, if a request() asked for them
+                    this.emit('unhandled', message);
+                    this.resolveWaiter(message);
+                }
         }
-        
-        // Resume readline and show prompt
-        if (this.rl) {
-            this.rl.resume();
-            this.rl.prompt();
+    }
+
+    handleNotice(message) {
+        // Don't bounce straight back in after being removed, or when reconnecting
+        // straight away would only be refused again
+        if (message.type === 'kicked' || message.type === 'banned' ||
+            (message.type === 'rate_limited' && (message.action === 'disconnect' || message.action === 'reject'))) {
+            this.isManualDisconnect = true;
         }
+        // A draining server spreads reconnects out by giving each client its own delay
+        if (message.type === 'server_shutdown' && typeof message.reconnectAfter === 'number') {
+            this.announcedDelay = Math.max(0, message.reconnectAfter);
+        }
+        this.emit('notice', message);
     }
 
-    showHelp() {
-        console.log('\n╔════════════════════════════════════════════════════════╗');
-        console.log('║                     COMMANDS                           ║');
-        console.log('╠════════════════════════════════════════════════════════╣');
-        console.log('║  <message>              - Broadcast to all clients     ║');
-        console.log('║  @<client> <message>    - Private message to client    ║');
-        console.log('║  list                   - Show connected clients       ║');
-        console.log('║  ping                   - Test connection to server    ║');
-        console.log('║  help                   - Show this help               ║');
-        console.log('║  clear                  - Clear screen                 ║');
-        console.log('║  quit / exit            - Disconnect                   ║');
-        console.log('╚════════════════════════════════════════════════════════╝\n');
+    rejoinRooms() {
+        // Room membership is lost with the connection, so rejoin after a reconnect
+        const rooms = Array.from(this.joinedRooms);
+        this.joinedRooms.clear();
+        rooms.forEach((room) => {
+            this.rejoining.add(room);
+            this.sendMessage({ type: 'join_room', room: room });
+        });
     }
 
-    sendBroadcastMessage(content) {
-        if (!this.checkRegistered()) return;
+    // Sends a message and resolves with its reply (one of replyTypes), or rejects with
+    // the server's error for it. Servers without request IDs get the next reply of
+    // those types, and their errors show up as 'error' events instead.
+    request(message, replyTypes) {
+        const requestId = this.nextRequestId++;
+        if (!this.sendMessage(Object.assign({}, message, { requestId: requestId }))) {
+            return Promise.reject(this.clientError('Not connected to server', 'NOT_CONNECTED'));
+        }
+        return this.expect(replyTypes, requestId);
+    }
 
-        const message = {
-            type: 'message',
-            content: content
-        };
-        this.sendMessage(message);
+    expect(replyTypes, requestId) {
+        const types = Array.isArray(replyTypes) ? replyTypes : [replyTypes];
+        return new Promise((resolve, reject) => {
+            const waiter = { types: types, requestId: requestId, resolve: resolve, reject: reject, timer: null };
+            waiter.timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                reject(this.clientError(`No ${types.join(' or ')} reply from server`, 'TIMEOUT'));
+            }, this.requestTimeout);
+            this.waiters.push(waiter);
+        });
     }
 
+    resolveWaiter(message, value = message) {
+        let index = -1;
+        if (message.requestId !== undefined) {
+            index = this.waiters.findIndex(waiter => waiter.requestId === message.requestId && waiter.types.includes(message.type));
+        } else if (!this.echoesRequestIds) {
+            // A server without request IDs: the oldest request for this type gets it
+            index = this.waiters.findIndex(waiter => waiter.types.includes(message.type));
+        }
+        if (index === -1) return;
+        const [waiter] = this.waiters.splice(index, 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(value);
+    }
+
+    // Returns true if the error answered a request still waiting for its reply
+    rejectWaiter(message) {
+        if (message.requestId === undefined) return false;
+        const index = this.waiters.findIndex(waiter => waiter.requestId === message.requestId);
+        if (index === -1) return false;
+        const [waiter] = this.waiters.splice(index, 1);
+        clearTimeout(waiter.timer);
+        waiter.reject(this.serverError(message));
+        return true;
+    }
+
+    restorePresence() {
+        // An automatic away isn't ours to restore: the server works that out again by itself
+        const { status, text, auto } = this.presence;
+        if (!auto && (status !== 'online' || text)) {
+            this.sendMessage({ type: 'set_status', status: status, text: text || undefined });
+        }
+    }
+
+    // Rejects straight away unless registered; otherwise runs send()
+    whenRegistered(send) {
+        if (!this.registered) {
+            return Promise.reject(this.clientError('Not registered yet. Please wait for registration to complete...', 'NOT_REGISTERED'));
+        }
+        return send();
+    }
+
+    sendBroadcastMessage(content) {
+        return this.whenRegistered(() => this.sendOrReject({ type: 'message', content: content }));
+    }
+
+    // target may be system.client, system.* or a comma-separated list of those.
+    // Resolves with the private_sent or private_queued summary.
     sendPrivateMessage(target, content) {
-        if (!this.checkRegistered()) return;
+        return this.whenRegistered(() => {
+            const targets = String(target).split(',').map(t => t.trim()).filter(Boolean);
+            const invalid = targets.filter(t => !TARGET_PATTERN.test(t));
+            if (targets.length === 0 || invalid.length > 0) {
+                return Promise.reject(this.clientError(`Invalid target ${invalid.join(', ') || target}. Use system.client, system.* or a comma-separated list`, 'INVALID_TARGET'));
+            }
+            return this.request({ type: 'private_message', target: targets.join(','), content: content }, ['private_sent', 'private_queued']);
+        });
+    }
 
-        const message = {
-            type: 'private_message',
-            target: target,
-            content: content
-        };
-        this.sendMessage(message);
+    sendRoomMessage(room, content) {
+        return this.whenRegistered(() => this.sendOrReject({ type: 'room_message', room: room, content: content }));
     }
 
-    requestClientList() {
-        if (!this.checkRegistered()) return;
+    joinRoom(room) {
+        return this.whenRegistered(() => this.request({ type: 'join_room', room: room }, 'room_joined'));
+    }
 
-        const message = {
-            type: 'list_clients'
-        };
-        this.sendMessage(message);
+    leaveRoom(room) {
+        return this.whenRegistered(() => this.request({ type: 'leave_room', room: room }, 'room_left'));
+    }
+
+    listRooms() {
+        return this.whenRegistered(() => this.request({ type: 'list_rooms' }, 'room_list'));
+    }
+
+    listClients() {
+        return this.whenRegistered(() => this.request({ type: 'list_clients' }, 'client_list'));
+    }
+
+    // Resolves with the history message; peer limits it to our conversation with them
+    requestHistory(peer, limit) {
+        return this.whenRegistered(() => {
+            const message = {
+                type: 'history',
+                limit: limit || 20
+            };
+            if (peer) {
+                message.peer = peer;
+            }
+            return this.request(message, 'history');
+        });
     }
 
-    sendPing() {
-        const message = {
-            type: 'ping'
+    // Resolves with the round trip time in milliseconds
+    ping() {
+        const sentAt = Date.now();
+        return this.request({ type: 'ping', sentAt: sentAt }, 'pong')
+            .then(rtt => rtt !== null ? rtt : Date.now() - sentAt);
+    }
+
+    // Sends count pings one after another, interval ms apart, and resolves with
+    // {sent, received, lost, min, avg, max, jitter, samples}. Jitter is the mean
+    // difference between consecutive round trips; a ping that times out counts as lost.
+    pingStats(count = 5, interval = 200) {
+        const total = Math.min(Math.max(parseInt(count) || 1, 1), MAX_PING_COUNT);
+        const samples = [];
+        let sent = 0;
+
+        const next = () => {
+            if (sent >= total) return Promise.resolve();
+            sent++;
+            return this.ping()
+                .then(rtt => samples.push(rtt), (error) => {
+                    if (error.code !== 'TIMEOUT') throw error;
+                })
+                .then(() => sent < total ? new Promise(resolve => setTimeout(resolve, interval)) : null)
+                .then(next);
         };
-        this.sendMessage(message);
-        console.log(`[${this.getTimestamp()}] Ping sent to server`);
+
+        return next().then(() => {
+            const stats = { sent: sent, received: samples.length, lost: sent - samples.length, min: null, avg: null, max: null, jitter: null, samples: samples };
+            if (samples.length > 0) {
+                stats.min = Math.min(...samples);
+                stats.max = Math.max(...samples);
+                stats.avg = samples.reduce((sum, rtt) => sum + rtt, 0) / samples.length;
+                const deltas = samples.slice(1).map((rtt, i) => Math.abs(rtt - samples[i]));
+                stats.jitter = deltas.length > 0 ? deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length : 0;
+            }
+            return stats;
+        });
     }
 
-    checkRegistered() {
-        if (!this.registered) {
-            console.log(`\n[${this.getTimestamp()}] Error! : Not registered yet. Please wait for registration to complete...`);
-            return false;
-        }
-        return true;
+    // kick, ban, unban, mute, unmute or announce; resolves with the admin_result
+    sendAdminCommand(type, fields) {
+        return this.whenRegistered(() => {
+            if (!this.isAdmin) {
+                return Promise.reject(this.clientError(`/${type} requires admin privileges`, 'NOT_ADMIN'));
+            }
+            return this.request(Object.assign({ type: type }, fields), 'admin_result');
+        });
     }
 
-    sendMessage(messageObj) {
-        if (!this.socket || this.socket.destroyed || !this.socket.writable) {
-            console.log(`\n[${this.getTimestamp()}] Error! : Not connected to server`);
-            return false;
+    // Tells the sender a private message was read (unless read receipts are off)
+    markRead(id) {
+        if (this.readReceipts && id) {
+            this.sendMessage({ type: 'read', id: id });
         }
+    }
 
-        try {
-            this.socket.write(JSON.stringify(messageObj) + '\n');
-            return true;
-        } catch (error) {
-            console.error(`\n[${this.getTimestamp()}] Error! Error in sending message:`, error.message);
-            return false;
-        }
+    // status is online, away or busy; text is optional. Resolves with the presence
+    // message the server sends everyone.
+    setStatus(status, text) {
+        return this.whenRegistered(() => {
+            if (!PRESENCE_STATES.includes(status)) {
+                return Promise.reject(this.clientError(`Status must be one of ${PRESENCE_STATES.join(', ')}`, 'INVALID_STATUS'));
+            }
+            return this.request({ type: 'set_status', status: status, text: text || undefined }, 'presence');
+        });
     }
 
-    setupCLI() {
-        this.rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout,
-            prompt: `${this.systemId}.${this.clientId}> `,
-            terminal: true
+    // Lets one client know we are (or have stopped) typing to them. Nothing is stored,
+    // so send it again every few seconds while typing continues.
+    sendTyping(target, active = true) {
+        return this.whenRegistered(() => {
+            if (!FULL_ID_PATTERN.test(target)) {
+                return Promise.reject(this.clientError('Typing notices go to one client: system.client', 'INVALID_TARGET'));
+            }
+            return this.sendOrReject({ type: 'typing', to: target, active: active });
         });
+    }
 
-        this.rl.prompt();
+    // Resolves with the last_seen reply: online (with status and idle seconds), or
+    // lastSeen as the time the client last left (null if the server doesn't know)
+    lastSeen(target) {
+        return this.whenRegistered(() => {
+            if (!FULL_ID_PATTERN.test(target)) {
+                return Promise.reject(this.clientError('last seen is for one client: system.client', 'INVALID_TARGET'));
+            }
+            return this.request({ type: 'last_seen', target: target }, 'last_seen');
+        });
+    }
 
-        this.rl.on('line', (input) => {
-            const trimmed = input.trim();
-            
-            // Handle empty input
-            if (!trimmed) {
-                this.rl.prompt();
-                return;
+    // For messages without a reply: resolves with the requestId they went out with,
+    // which an 'error' event carries as err.requestId if the server refuses them
+    sendOrReject(message) {
+        const requestId = this.nextRequestId++;
+        return this.sendMessage(Object.assign({}, message, { requestId: requestId }))
+            ? Promise.resolve(requestId)
+            : Promise.reject(this.clientError('Not connected to server', 'NOT_CONNECTED'));
+    }
+
+    // file_* messages get their own handling: chunks and acks arrive far too often
+    // to go through the general switch
+    handleFileMessage(message) {
+        const outgoing = this.outgoingFiles.get(message.id);
+        const incoming = this.incomingFiles.get(message.id);
+
+        switch (message.type) {
+            case 'file_offered': {
+                const pending = this.pendingOffers.get(message.ref);
+                if (!pending) return;
+                this.pendingOffers.delete(message.ref);
+                const transfer = pending.transfer;
+                transfer.id = message.id;
+                transfer.state = 'offered';
+                this.outgoingFiles.set(message.id, transfer);
+                this.emit('fileOffered', transfer);
+                pending.resolve(transfer);
+                break;
             }
 
-            // Handle commands
-            if (trimmed === 'quit' || trimmed === 'exit') {
-                this.disconnect();
+            case 'file_offer':
+                if (incoming && incoming.state === 'receiving') {
+                    // We reconnected mid-transfer: pick up where the file on disk ends
+                    this.sendMessage({ type: 'file_accept', id: incoming.id, offset: incoming.received });
+                    this.emit('fileResumed', incoming);
+                } else if (!incoming) {
+                    const transfer = new IncomingTransfer(message);
+                    this.incomingFiles.set(transfer.id, transfer);
+                    this.emit('fileOffer', transfer);
+                }
+                break;
+
+            case 'file_accept':
+                if (!outgoing) {
+                    // Offered by an earlier run of this client; the file isn't ours to resume any more
+                    this.sendMessage({ type: 'file_cancel', id: message.id, reason: 'sender no longer has the transfer' });
+                    return;
+                }
+                try {
+                    outgoing.start(message.offset, message.chunkSize);
+                } catch (error) {
+                    this.sendMessage({ type: 'file_cancel', id: outgoing.id, reason: 'file could not be read' });
+                    this.closeTransfer(outgoing.id);
+                    this.emit('fileError', outgoing, new Error(`Cannot read ${outgoing.path}: ${error.message}`));
+                    return;
+                }
+                if (message.chunkRate && !this.chunkBucket) {
+                    // Stay comfortably under the server's file_chunk limit: its bucket drains in
+                    // bursts as our chunks arrive, so ours refills a little slower and holds less
+                    this.chunkBucket = new TokenBucket(message.chunkRate.rate * 0.9, Math.max(1, Math.floor(message.chunkRate.burst / 2)));
+                }
+                this.emit('fileAccepted', outgoing, { offset: message.offset, by: message.by });
+                this.pumpFile(outgoing);
+                break;
+
+            case 'file_progress':
+                if (!outgoing) return;
+                outgoing.acked = message.received;
+                this.emit('fileProgress', outgoing, { bytes: outgoing.acked });
+                this.pumpFile(outgoing);
+                break;
+
+            case 'file_chunk':
+                if (!incoming || incoming.state !== 'receiving') return;
+                try {
+                    incoming.write(message.offset, message.data);
+                } catch (error) {
+                    this.sendMessage({ type: 'file_cancel', id: incoming.id, reason: 'recipient could not write the file' });
+                    this.closeTransfer(incoming.id, true);
+                    this.emit('fileError', incoming, new Error(`Cannot write ${incoming.partPath}: ${error.message}`));
+                    return;
+                }
+                this.sendMessage({ type: 'file_ack', id: incoming.id, offset: incoming.received });
+                this.emit('fileProgress', incoming, { bytes: incoming.received });
+                break;
+
+            case 'file_complete':
+                if (!incoming || incoming.state !== 'receiving') return;
+                incoming.finish((ok, reason) => {
+                    this.sendMessage({ type: 'file_result', id: incoming.id, ok: ok, message: reason || undefined });
+                    this.closeTransfer(incoming.id);
+                    this.emit('fileComplete', incoming, { ok: ok, message: reason || null });
+                });
+                break;
+
+            case 'file_result':
+                this.closeTransfer(message.id);
+                this.emit('fileComplete', outgoing || message.id, { ok: !!message.ok, message: message.message });
+                break;
+
+            case 'file_cancelled':
+                this.closeTransfer(message.id, true);
+                this.emit('fileCancelled', outgoing || incoming || message.id, { message: message.message });
+                break;
+
+            case 'file_paused':
+                if (outgoing) outgoing.pause();
+                this.emit('filePaused', outgoing || incoming || message.id, { message: message.message });
+                break;
+        }
+    }
+
+    // Sends chunks until the window is full; the last ack triggers file_complete
+    pumpFile(transfer) {
+        clearTimeout(transfer.pumpTimer);
+        while (transfer.canSend()) {
+            // All transfers share one server-side file_chunk bucket, so they share ours too
+            if (this.chunkBucket && !this.chunkBucket.take()) {
+                transfer.pumpTimer = setTimeout(() => this.pumpFile(transfer), this.chunkBucket.retryAfter());
                 return;
             }
-            
-            if (trimmed === 'list') {
-                this.requestClientList();
-                this.rl.prompt();
+            const chunk = transfer.nextChunk();
+            if (!this.sendMessage({ type: 'file_chunk', id: transfer.id, offset: chunk.offset, data: chunk.data })) {
+                transfer.pause();
                 return;
             }
-            
-            if (trimmed === 'help') {
-                this.showHelp();
-                this.rl.prompt();
-                return;
+        }
+        if (transfer.isDone()) {
+            transfer.state = 'verifying';
+            this.sendMessage({ type: 'file_complete', id: transfer.id });
+        }
+    }
+
+    closeTransfer(id, discard = false) {
+        const outgoing = this.outgoingFiles.get(id);
+        if (outgoing) {
+            outgoing.close();
+            this.outgoingFiles.delete(id);
+        }
+        const incoming = this.incomingFiles.get(id);
+        if (incoming) {
+            if (discard) {
+                incoming.abort();
+            } else {
+                incoming.close();
             }
+            this.incomingFiles.delete(id);
+        }
+    }
 
-            if (trimmed === 'ping') {
-                this.sendPing();
-                this.rl.prompt();
-                return;
+    // Hashes the file and offers it; resolves with the OutgoingTransfer once the server
+    // has given it an id. Sending starts by itself when the recipient accepts.
+    sendFile(target, filePath) {
+        return this.whenRegistered(() => {
+            if (!FULL_ID_PATTERN.test(target)) {
+                return Promise.reject(this.clientError('Files go to one client: system.client', 'INVALID_TARGET'));
             }
 
-            if (trimmed === 'clear') {
-                console.clear();
-                this.rl.prompt();
-                return;
+            let stats;
+            try {
+                stats = fs.statSync(filePath);
+            } catch (error) {
+                return Promise.reject(this.clientError(`Cannot read ${filePath}: ${error.message}`, 'FILE_ERROR'));
             }
-            
-            // Check for private message format: @client message
-            const privateMatch = trimmed.match(/^@(\S+)\s+(.+)$/);
-            if (privateMatch) {
-                const [, target, content] = privateMatch;
-                this.sendPrivateMessage(target, content);
-                this.rl.prompt();
-                return;
+            if (!stats.isFile()) {
+                return Promise.reject(this.clientError(`${filePath} is not a file`, 'FILE_ERROR'));
             }
-            
-            // Send as broadcast message
-            this.sendBroadcastMessage(trimmed);
-            this.rl.prompt();
-        });
-
-        this.rl.on('close', () => {
-            this.disconnect();
-        });
 
-        // Handle Ctrl+C
-        this.rl.on('SIGINT', () => {
-            this.rl.question('\nAre you sure you want to exit? (y/n) ', (answer) => {
-                if (answer.match(/^y(es)?$/i)) {
-                    this.disconnect();
-                } else {
-                    this.rl.prompt();
-                }
+            return new Promise((resolve, reject) => {
+                hashFile(filePath, (err, sha256) => {
+                    if (err) {
+                        reject(this.clientError(`Cannot read ${filePath}: ${err.message}`, 'FILE_ERROR'));
+                        return;
+                    }
+                    const transfer = new OutgoingTransfer(target, filePath, stats.size, sha256);
+                    const ref = `${Date.now()}-${this.pendingOffers.size}`;
+                    this.pendingOffers.set(ref, { transfer: transfer, resolve: resolve, reject: reject });
+                    const sent = this.sendMessage({
+                        type: 'file_offer',
+                        ref: ref,
+                        to: target,
+                        name: transfer.name,
+                        size: transfer.size,
+                        sha256: sha256
+                    });
+                    if (!sent) {
+                        this.pendingOffers.delete(ref);
+                        reject(this.clientError('Not connected to server', 'NOT_CONNECTED'));
+                    }
+                });
             });
         });
     }
 
-    disconnect() {
-        console.log(`\n[${this.getTimestamp()}] Disconnecting...`);
-        this.isManualDisconnect = true;
-        this.cleanup();
-        setTimeout(() => process.exit(0), 500);
-    }
+    // Starts receiving an offered file into dir (downloadDir by default) and returns
+    // the transfer. Throws if there is no such offer or the file can't be created.
+    acceptFile(id, dir) {
+        const transfer = this.incomingFiles.get(id);
+        if (!transfer) {
+            throw this.clientError(`No file offer ${id}`, 'NO_TRANSFER');
+        }
+        if (transfer.state !== 'offered') {
+            throw this.clientError(`${transfer.name} is already being received`, 'BUSY');
+        }
 
-    cleanup() {
-        this.registered = false;
-        
-        if (this.rl) {
-            this.rl.close();
-            this.rl = null;
-        }
-        
-        if (this.socket) {
-            this.socket.destroy();
-            this.socket = null;
+        let offset;
+        try {
+            offset = transfer.open(dir || this.downloadDir);
+        } catch (error) {
+            throw this.clientError(`Cannot save to ${dir || this.downloadDir}: ${error.message}`, 'FILE_ERROR');
         }
+        this.sendMessage({ type: 'file_accept', id: id, offset: offset });
+        return transfer;
     }
 
-    getTimestamp() {
-        return new Date().toLocaleTimeString();
+    // Cancels an outgoing transfer or declines/abandons an incoming one
+    cancelFile(id) {
+        if (!this.outgoingFiles.has(id) && !this.incomingFiles.has(id)) {
+            throw this.clientError(`No file transfer ${id}`, 'NO_TRANSFER');
+        }
+        this.sendMessage({ type: 'file_cancel', id: id });
+        this.closeTransfer(id, true);
     }
-}
 
-// Command line usage
-if (require.main === module) {
-    const args = process.argv.slice(2);
-    
-    if (args.length < 2) {
-        console.log('Usage: node client.js <systemId> <clientId> [host] [port]');
-        console.log('\nExamples:');
-        console.log('  node client.js system1 client1');
-        console.log('  node client.js system1 client2 192.168.1.100 8080');
-        console.log('\nMulti-Client Example (4 systems with 4 clients each):');
-        for (let sys = 1; sys <= 4; sys++) {
-            for (let cli = 1; cli <= 4; cli++) {
-                console.log(`  node client.js system${sys} client${cli}`);
-            }
+    sendMessage(messageObj) {
+        if (!this.socket || this.socket.destroyed || !this.socket.writable) {
+            return false;
+        }
+
+        try {
+            this.socket.write(encodeMessage(messageObj, this.framing));
+            return true;
+        } catch (error) {
+            this.emitError(error);
+            return false;
         }
-        process.exit(1);
     }
-    
-    const systemId = args[0];
-    const clientId = args[1];
-    const host = args[2] || 'localhost';
-    const port = parseInt(args[3]) || 8080;
 
-    const client = new TCPClient(host, port);
-    client.connect(systemId, clientId);
+    // Every error carries a code; ones from the server also carry the reply as
+    // err.response and the requestId it answered
+    clientError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    serverError(message) {
+        const error = new Error(message.message || `Server replied ${message.type}`);
+        error.code = message.code || (message.type === 'auth_failed' ? 'AUTH_FAILED' : 'SERVER_ERROR');
+        error.response = message;
+        error.requestId = message.requestId;
+        return error;
+    }
+
+    emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
 }
 
-module.exports = TCPClient;
\ No newline at end of file
+module.exports = TCPClient;
+
+// Command line usage: the terminal client lives in cli.js
+if (require.main === module) {
+    require('./cli').main(process.argv.slice(2));
+}
@@ -0,0 +1,614 @@
+const fs = require('fs');
+const path = require('path');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+const { DEFAULT_DISCOVERY_PORT, DEFAULT_DISCOVERY_GROUP } = require('./discovery');
+
+// Settings for server.js and cli.js come from four layers, each overriding the one before:
+// the defaults below, a JSON or YAML file named by --config (or CHAT_CONFIG), the CHAT_*
+// environment variables and finally command-line flags. Everything is validated in one
+// pass so a bad start reports every problem at once rather than the first one.
+//
+// Each setting is keyed by its dotted name ("tls.cert" is `tls: {cert: ...}` in a file)
+// and describes itself with:
+//   type     integer | string | boolean | enum | list | regex | peers | object
+//   default  used when no layer sets it (null: not set)
+//   env      environment variable that sets it, if any
+//   flag     option name when it isn't the kebab-cased setting name; false for file-only
+//   min/max  bounds for integers, values for enums, check(value) -> problem or null
+
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+const SERVER_SETTINGS = {
+    port: { type: 'integer', default: 8080, min: 1, max: 65535, description: 'TCP port to listen on' },
+    host: { type: 'string', default: '0.0.0.0', description: 'Address to listen on' },
+    logLevel: { type: 'enum', default: 'info', values: LOG_LEVELS, env: 'CHAT_LOG_LEVEL', description: 'Least severe messages to log' },
+    logFormat: { type: 'enum', default: 'text', values: LOG_FORMATS, env: 'CHAT_LOG_FORMAT', description: 'Readable lines or JSON lines' },
+    logFile: { type: 'string', default: null, env: 'CHAT_LOG_FILE', description: 'Write the log here instead of the console' },
+    logMaxSize: { type: 'integer', default: 10485760, min: 1024, description: 'Bytes before the log file is rotated' },
+    logMaxFiles: { type: 'integer', default: 5, min: 0, description: 'Rotated log files kept' },
+    auditFile: { type: 'string', default: null, env: 'CHAT_AUDIT_FILE', description: 'Audit trail (JSON lines); unset disables it' },
+    auditMaxSize: { type: 'integer', default: 10485760, min: 1024, description: 'Bytes before the audit file is rotated' },
+    auditMaxFiles: { type: 'integer', default: 20, min: 0, description: 'Rotated audit files kept' },
+    statsInterval: { type: 'integer', default: 60000, min: 0, description: 'Milliseconds between stats lines, 0 disables' },
+    maxConnections: { type: 'integer', default: 100, min: 1, description: 'Most simultaneous connections' },
+    socketTimeout: { type: 'integer', default: 300000, min: 0, description: 'Close sockets idle this many ms, 0 disables' },
+    keepAliveDelay: { type: 'integer', default: 60000, min: 0, description: 'TCP keep-alive delay in ms, 0 disables' },
+    maxMessageSize: { type: 'integer', default: 10000, min: 256, description: 'Longest line in newline framing, in bytes' },
+    maxFrameSize: { type: 'integer', default: 1048576, min: 1024, description: 'Largest length-framed message, in bytes' },
+    idPattern: {
+        type: 'regex',
+        default: ID_PATTERN.source,
+        description: 'Pattern systemIds and clientIds must match',
+        // Targets are written system.client, listed with commas and "*" means a whole system,
+        // so IDs can't hold those. An unanchored [a-z]+ matches inside "x.y", hence the samples.
+        check: (pattern) => {
+            const re = new RegExp(pattern);
+            return ['.', 'x.y', ',', 'x,y', '*'].some(sample => re.test(sample))
+                ? 'must not accept "." or "," anywhere in an ID, or "*" as an ID (targets use them); anchor it with ^ and $'
+                : null;
+        }
+    },
+    authFile: { type: 'string', default: null, env: 'CHAT_AUTH_FILE', description: 'Credentials file (see auth.js); unset keeps registration open' },
+    maxAuthFailures: { type: 'integer', default: 5, min: 1, description: 'Failed secrets for one ID from one address before it is locked out' },
+    authLockoutTime: { type: 'integer', default: 300000, min: 0, description: 'Lockout length in ms' },
+    historyFile: { type: 'string', default: 'chats/history.jsonl', env: 'CHAT_HISTORY_FILE', description: 'History log, or "memory"' },
+    bansFile: { type: 'string', default: 'chats/bans.json', env: 'CHAT_BANS_FILE', description: 'Where bans are kept' },
+    admins: { type: 'list', default: [], env: 'CHAT_ADMINS', description: 'Comma-separated admin fullIds' },
+    'tls.cert': { type: 'string', default: null, env: 'CHAT_TLS_CERT', description: 'Certificate file; enables TLS with tls.key' },
+    'tls.key': { type: 'string', default: null, env: 'CHAT_TLS_KEY', description: 'Private key file' },
+    'tls.ca': { type: 'string', default: null, env: 'CHAT_TLS_CA', description: 'CA file for client certificates' },
+    'tls.requestCert': { type: 'boolean', default: false, env: 'CHAT_TLS_REQUIRE_CLIENT_CERT', flag: 'tls-require-client-cert', description: 'Require a client certificate signed by tls.ca' },
+    'tls.requireCertMatch': { type: 'boolean', default: false, env: 'CHAT_TLS_MATCH_CN', flag: 'tls-match-cn', description: 'Require the certificate CN to equal the systemId' },
+    'monitor.port': { type: 'integer', default: null, min: 1, max: 65535, env: 'CHAT_MONITOR_PORT', description: 'HTTP /health, /stats and /metrics port' },
+    'monitor.host': { type: 'string', default: null, env: 'CHAT_MONITOR_HOST', description: 'Monitor address (default: host)' },
+    'websocket.port': { type: 'integer', default: null, min: 1, max: 65535, env: 'CHAT_WS_PORT', description: 'Browser client and WebSocket port' },
+    'websocket.host': { type: 'string', default: null, env: 'CHAT_WS_HOST', description: 'WebSocket address (default: host)' },
+    'websocket.origins': { type: 'list', default: [], env: 'CHAT_WS_ORIGINS', description: 'Other page origins allowed to connect (* for any)' },
+    'federation.serverId': { type: 'string', default: null, env: 'CHAT_FED_ID', description: 'This server\'s name in a federation' },
+    'federation.secret': { type: 'string', default: null, env: 'CHAT_FED_SECRET', description: 'Secret shared by every federated server' },
+    'federation.port': { type: 'integer', default: null, min: 1, max: 65535, env: 'CHAT_FED_PORT', description: 'Port to accept peers on' },
+    'federation.host': { type: 'string', default: null, env: 'CHAT_FED_HOST', description: 'Federation address (default: 0.0.0.0)' },
+    'federation.peers': { type: 'peers', default: [], env: 'CHAT_FED_PEERS', description: 'Servers to dial' },
+    'discovery.enabled': { type: 'boolean', default: false, env: 'CHAT_DISCOVERY', flag: 'discovery', description: 'Answer LAN discovery probes' },
+    'discovery.port': { type: 'integer', default: DEFAULT_DISCOVERY_PORT, min: 1, max: 65535, env: 'CHAT_DISCOVERY_PORT', description: 'UDP port probes arrive on' },
+    'discovery.group': { type: 'string', default: DEFAULT_DISCOVERY_GROUP, description: 'Multicast group probes are sent to' },
+    'discovery.name': { type: 'string', default: null, env: 'CHAT_DISCOVERY_NAME', description: 'Name clients see (default: federation.serverId or the hostname)' },
+    slowConsumerPolicy: { type: 'enum', default: 'drop', values: ['drop', 'disconnect'], env: 'CHAT_SLOW_CONSUMER', flag: 'slow-consumer', description: 'What to do with clients that fall behind' },
+    outboundHighWaterMark: { type: 'integer', default: 1048576, min: 1024, description: 'Bytes queued for a backed-up client' },
+    outboundMaxMessages: { type: 'integer', default: 1000, min: 1, description: 'Messages queued for a backed-up client' },
+    offlineQueueLimit: { type: 'integer', default: 50, min: 1, description: 'Private messages held per offline recipient' },
+    offlineMessageTtl: { type: 'integer', default: 86400000, min: 1000, description: 'Ms that held messages are kept' },
+    sessionGraceTime: { type: 'integer', default: 30000, min: 0, description: 'Ms a dropped client can resume its session, 0 disables' },
+    idleTimeout: { type: 'integer', default: 300000, min: 0, description: 'Ms without activity before a client shows as away, 0 disables' },
+    heartbeatInterval: { type: 'integer', default: 30000, min: 0, description: 'Ms of silence before a heartbeat, 0 disables' },
+    heartbeatTimeout: { type: 'integer', default: 10000, min: 1000, description: 'Ms allowed to answer a heartbeat' },
+    middlewareTimeout: { type: 'integer', default: 30000, min: 1000, description: 'Ms an async middleware may hold a message before it is refused' },
+    drainTimeout: { type: 'integer', default: 10000, min: 0, description: 'Ms a shutdown waits for queued messages to reach clients' },
+    restartEta: { type: 'integer', default: 5000, min: 0, description: 'Ms a shutdown tells clients to wait before reconnecting' },
+    reconnectJitter: { type: 'integer', default: 5000, min: 0, description: 'Up to this many random ms added to that wait per client' },
+    maxTransferSize: { type: 'integer', default: 104857600, min: 1, description: 'Largest file offer, in bytes' },
+    maxTransfersPerClient: { type: 'integer', default: 5, min: 1, description: 'Outgoing transfers in progress per client' },
+    rateLimits: { type: 'object', default: {}, flag: false, check: checkRateLimits, description: 'Per-type {rate, burst} overrides' },
+    rateEscalation: { type: 'object', default: {}, flag: false, check: checkEscalation, description: 'violationWindow, muteAfter, muteDuration, disconnectAfter' },
+    connectionRate: { type: 'object', default: {}, flag: false, check: checkBucket, description: 'New connections per IP as {rate, burst}' }
+};
+
+const CLIENT_SETTINGS = {
+    systemId: { type: 'string', default: null, description: 'System to register under', check: id => ID_PATTERN.test(id) ? null : 'may only contain letters, numbers, underscores and hyphens' },
+    clientId: { type: 'string', default: null, description: 'Client name within the system', check: id => ID_PATTERN.test(id) ? null : 'may only contain letters, numbers, underscores and hyphens' },
+    host: { type: 'string', default: null, description: 'Server address (default: find one on the LAN)' },
+    port: { type: 'integer', default: 8080, min: 1, max: 65535, description: 'Server port' },
+    secret: { type: 'string', default: null, env: 'CHAT_SECRET', description: 'Password or token (prompted for when needed)' },
+    'tls.enabled': { type: 'boolean', default: false, env: 'CHAT_TLS', flag: 'tls', description: 'Connect over TLS (implied by tls.ca or tls.cert)' },
+    'tls.ca': { type: 'string', default: null, env: 'CHAT_TLS_CA', description: 'CA file to trust' },
+    'tls.cert': { type: 'string', default: null, env: 'CHAT_TLS_CERT', description: 'Client certificate for mutual TLS' },
+    'tls.key': { type: 'string', default: null, env: 'CHAT_TLS_KEY', description: 'Client certificate key' },
+    'tls.servername': { type: 'string', default: null, env: 'CHAT_TLS_SERVERNAME', description: 'Name to verify the server certificate against' },
+    'tls.insecure': { type: 'boolean', default: false, env: 'CHAT_TLS_INSECURE', description: 'Skip server certificate verification' },
+    readReceipts: { type: 'boolean', default: true, env: 'CHAT_READ_RECEIPTS', description: 'Send read receipts' },
+    downloadDir: { type: 'string', default: null, env: 'CHAT_DOWNLOAD_DIR', description: 'Where accepted files are saved (default ./downloads)' },
+    framing: { type: 'enum', default: 'length', values: ['length', 'newline'], env: 'CHAT_FRAMING', description: 'Framing to ask for; newline skips the hello' },
+    autoReconnect: { type: 'boolean', default: true, description: 'Reconnect after the connection drops' },
+    maxReconnectAttempts: { type: 'integer', default: 5, min: 1, description: 'Attempts before giving up' },
+    reconnectDelay: { type: 'integer', default: 3000, min: 100, description: 'Ms between reconnect attempts' },
+    requestTimeout: { type: 'integer', default: 10000, min: 100, description: 'Ms to wait for a reply' },
+    historyReplay: { type: 'integer', default: 10, min: 0, description: 'Broadcasts replayed on register' },
+    heartbeatInterval: { type: 'integer', default: null, min: 0, description: 'Ms of silence before a heartbeat (default: the server\'s)' },
+    heartbeatTimeout: { type: 'integer', default: null, min: 1000, description: 'Ms allowed to answer one (default: the server\'s)' },
+    'discovery.port': { type: 'integer', default: DEFAULT_DISCOVERY_PORT, min: 1, max: 65535, env: 'CHAT_DISCOVERY_PORT', description: 'UDP port servers answer probes on' },
+    'discovery.group': { type: 'string', default: DEFAULT_DISCOVERY_GROUP, description: 'Multicast group to probe' },
+    'discovery.timeout': { type: 'integer', default: 1500, min: 100, description: 'Ms to wait for servers to answer' },
+    'discovery.confirm': { type: 'boolean', default: false, env: 'CHAT_DISCOVERY_CONFIRM', description: 'Ask before using the only server found if it has no TLS' }
+};
+
+function checkBucket(bucket) {
+    if (!isPlainObject(bucket) || !(bucket.rate > 0) || !(bucket.burst >= 1)) {
+        return 'must be {rate: > 0, burst: >= 1}';
+    }
+    return null;
+}
+
+function checkRateLimits(limits) {
+    for (const [type, bucket] of Object.entries(limits)) {
+        if (checkBucket(bucket)) return `${type} ${checkBucket(bucket)}`;
+    }
+    return null;
+}
+
+function checkEscalation(escalation) {
+    const known = ['violationWindow', 'muteAfter', 'muteDuration', 'disconnectAfter'];
+    for (const [key, value] of Object.entries(escalation)) {
+        if (!known.includes(key)) return `unknown key "${key}" (expected ${known.join(', ')})`;
+        if (!Number.isInteger(value) || value < 1) return `${key} must be a positive integer`;
+    }
+    return null;
+}
+
+// Cross-setting rules that a single type can't express
+function checkServerSettings(settings) {
+    const problems = [];
+    if (!!settings.tls.cert !== !!settings.tls.key) {
+        problems.push('tls.cert and tls.key must be set together');
+    }
+    if ((settings.tls.requestCert || settings.tls.requireCertMatch) && !settings.tls.ca) {
+        problems.push('tls.requestCert and tls.requireCertMatch need tls.ca');
+    }
+    if (settings.federation.serverId && !settings.federation.secret) {
+        problems.push('federation.serverId needs federation.secret');
+    }
+    if (!settings.federation.serverId && (settings.federation.port || settings.federation.peers.length > 0)) {
+        problems.push('federation.port and federation.peers need federation.serverId');
+    }
+    return problems;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function flagName(name, entry) {
+    if (entry.flag !== undefined) return entry.flag;
+    return name.replace(/\./g, '-').replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Turns a value from a file (already typed) or the environment / command line (a string)
+// into the setting's type; throws with a short reason when it can't
+function convert(entry, value) {
+    const text = typeof value === 'string' ? value.trim() : value;
+
+    switch (entry.type) {
+        case 'integer': {
+            const number = typeof text === 'string' && /^-?\d+$/.test(text) ? Number(text) : text;
+            if (!Number.isInteger(number)) throw new Error(`expected an integer, got ${JSON.stringify(value)}`);
+            if (entry.min !== undefined && number < entry.min) throw new Error(`must be at least ${entry.min}, got ${number}`);
+            if (entry.max !== undefined && number > entry.max) throw new Error(`must be at most ${entry.max}, got ${number}`);
+            return number;
+        }
+
+        case 'boolean':
+            if (typeof text === 'boolean') return text;
+            if (['1', 'true', 'yes', 'on'].includes(String(text).toLowerCase())) return true;
+            if (['0', 'false', 'no', 'off'].includes(String(text).toLowerCase())) return false;
+            throw new Error(`expected true or false, got ${JSON.stringify(value)}`);
+
+        case 'string':
+            if (typeof text !== 'string' && typeof text !== 'number') throw new Error(`expected a string, got ${JSON.stringify(value)}`);
+            if (String(text) === '') throw new Error('must not be empty');
+            return String(text);
+
+        case 'enum':
+            if (!entry.values.includes(text)) throw new Error(`expected one of ${entry.values.join(', ')}, got ${JSON.stringify(value)}`);
+            return text;
+
+        case 'regex':
+            if (typeof text !== 'string') throw new Error(`expected a pattern string, got ${JSON.stringify(value)}`);
+            try {
+                new RegExp(text);
+            } catch (error) {
+                throw new Error(`is not a valid pattern: ${error.message}`);
+            }
+            return text;
+
+        case 'list': {
+            const items = typeof text === 'string' ? text.split(',') : text;
+            if (!Array.isArray(items)) throw new Error(`expected a list, got ${JSON.stringify(value)}`);
+            return items.map(item => String(item).trim()).filter(Boolean);
+        }
+
+        // "host:port" strings (or {host, port} in a file) -> [{host, port}]
+        case 'peers': {
+            const items = typeof text === 'string' ? text.split(',').map(item => item.trim()).filter(Boolean) : text;
+            if (!Array.isArray(items)) throw new Error(`expected a list of host:port, got ${JSON.stringify(value)}`);
+            return items.map((item) => {
+                let peer = item;
+                if (typeof item === 'string') {
+                    const separator = item.lastIndexOf(':');
+                    peer = { host: item.slice(0, separator), port: Number(item.slice(separator + 1)) };
+                }
+                if (!isPlainObject(peer) || !peer.host || !Number.isInteger(peer.port) || peer.port < 1 || peer.port > 65535) {
+                    throw new Error(`expected host:port, got ${JSON.stringify(item)}`);
+                }
+                return { host: peer.host, port: peer.port };
+            });
+        }
+
+        case 'object':
+            if (!isPlainObject(text)) throw new Error('must be an object (set it in the config file)');
+            return text;
+
+        default:
+            throw new Error(`unknown setting type ${entry.type}`);
+    }
+}
+
+// A quote only opens a string at the start of a value, so "it's" in plain text doesn't
+const QUOTE_START = /[\s:,[{-]/;
+
+// Strips a trailing # comment that isn't inside quotes
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if ((char === '"' || char === '\'') && (i === 0 || QUOTE_START.test(line[i - 1]))) {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+// Splits the inside of [a, b] or {a: 1, b: 2} on the commas that aren't quoted or nested
+function splitFlowList(text) {
+    const items = [];
+    let quote = null;
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if ((char === '"' || char === '\'') && !current.trim()) {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    items.push(current);
+    const trimmed = items.map(item => item.trim());
+    if (trimmed.length > 1 && trimmed[trimmed.length - 1] === '') trimmed.pop(); // [a, b,]
+    return trimmed;
+}
+
+// Enough YAML for config files: nested block mappings, block sequences of scalars or
+// mappings, one-line [a, b] lists and {key: value} mappings, quoted strings, numbers,
+// booleans, null and # comments. Anchors, tags and block scalars are rejected with their
+// line number.
+function parseYaml(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const content = stripComment(raw).replace(/\s+$/, '');
+        if (!content.trim()) return;
+        const indent = content.search(/\S/);
+        if (content.slice(0, indent).includes('\t')) {
+            throw new Error(`line ${index + 1}: indent with spaces, not tabs`);
+        }
+        lines.push({ indent: indent, text: content.trim(), number: index + 1 });
+    });
+    if (lines.length > 0 && lines[0].text === '---') lines.shift();
+    if (lines.length === 0) return {};
+
+    let pos = 0;
+    const fail = (line, reason) => new Error(`line ${line.number}: ${reason}`);
+    const isItem = line => line.text === '-' || line.text.startsWith('- ');
+
+    function parseScalar(value, line) {
+        if (value.startsWith('"')) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw fail(line, `bad double-quoted string ${value}`);
+            }
+        }
+        if (value.startsWith('\'')) {
+            if (value.length < 2 || !value.endsWith('\'')) throw fail(line, `unterminated string ${value}`);
+            return value.slice(1, -1).replace(/''/g, '\'');
+        }
+        if (value.startsWith('[')) {
+            if (!value.endsWith(']')) throw fail(line, `unterminated list ${value}`);
+            const inner = value.slice(1, -1).trim();
+            return inner ? splitFlowList(inner).map(item => parseScalar(item, line)) : [];
+        }
+        if (value.startsWith('{')) {
+            if (!value.endsWith('}')) throw fail(line, `unterminated mapping ${value}`);
+            const inner = value.slice(1, -1).trim();
+            const result = {};
+            (inner ? splitFlowList(inner) : []).forEach((item) => {
+                // A quoted key may itself hold a colon, so look for the separator after it
+                const keyEnd = /^["']/.test(item) ? item.indexOf(item[0], 1) + 1 : 0;
+                const separator = item.indexOf(':', keyEnd);
+                if (separator < 1 || (/^["']/.test(item) && keyEnd === 0)) throw fail(line, `expected "key: value" in ${value}`);
+                const key = item.slice(0, separator).trim();
+                result[/^["']/.test(key) ? parseScalar(key, line) : key] = parseScalar(item.slice(separator + 1).trim(), line);
+            });
+            return result;
+        }
+        if (/^[&*!|>%@`]/.test(value)) {
+            throw fail(line, `unsupported YAML syntax "${value[0]}" (use block mappings and lists)`);
+        }
+        if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+        if (/^(null|~)$/i.test(value)) return null;
+        if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+        return value;
+    }
+
+    function parseBlock(indent) {
+        return isItem(lines[pos]) ? parseSequence(indent) : parseMapping(indent);
+    }
+
+    function parseMapping(indent) {
+        const result = {};
+        while (pos < lines.length && lines[pos].indent === indent && !isItem(lines[pos])) {
+            const line = lines[pos];
+            const match = /^("(?:[^"\\]|\\.)*"|'[^']*'|[^"'\s][^:]*?)\s*:(?:\s+(.*))?$/.exec(line.text);
+            if (!match) throw fail(line, `expected "key: value", got "${line.text}"`);
+
+            const key = /^["']/.test(match[1]) ? parseScalar(match[1], line) : match[1];
+            if (Object.prototype.hasOwnProperty.call(result, key)) throw fail(line, `duplicate key "${key}"`);
+            pos++;
+
+            if (match[2] !== undefined) {
+                result[key] = parseScalar(match[2], line);
+            } else if (pos < lines.length && lines[pos].indent > indent) {
+                result[key] = parseBlock(lines[pos].indent);
+            } else if (pos < lines.length && lines[pos].indent === indent && isItem(lines[pos])) {
+                result[key] = parseSequence(indent); // "key:" followed by "- item" at the same indent
+            } else {
+                result[key] = null;
+            }
+        }
+        if (pos < lines.length && lines[pos].indent > indent) throw fail(lines[pos], 'unexpected indentation');
+        return result;
+    }
+
+    function parseSequence(indent) {
+        const result = [];
+        while (pos < lines.length && lines[pos].indent === indent && isItem(lines[pos])) {
+            const line = lines[pos];
+            const rest = line.text.slice(1).trim();
+
+            if (!rest) {
+                pos++;
+                result.push(pos < lines.length && lines[pos].indent > indent ? parseBlock(lines[pos].indent) : null);
+            } else if (/^[^"'[{\s][^:]*:(\s|$)/.test(rest)) {
+                // "- key: value" opens a mapping whose keys line up with the first one
+                const childIndent = indent + line.text.length - rest.length;
+                lines[pos] = { indent: childIndent, text: rest, number: line.number };
+                result.push(parseMapping(childIndent));
+            } else {
+                pos++;
+                result.push(parseScalar(rest, line));
+            }
+        }
+        if (pos < lines.length && lines[pos].indent > indent) throw fail(lines[pos], 'unexpected indentation');
+        return result;
+    }
+
+    const result = parseBlock(lines[0].indent);
+    if (pos < lines.length) throw fail(lines[pos], 'unexpected indentation');
+    return result;
+}
+
+function loadConfigFile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''); // Editors on Windows add a BOM
+    } catch (error) {
+        throw new Error(`cannot read config file ${filePath}: ${error.message}`);
+    }
+
+    let data;
+    try {
+        data = /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${filePath}: ${error.message}`);
+    }
+    if (!isPlainObject(data)) {
+        throw new Error(`${filePath}: expected settings as an object at the top level`);
+    }
+    return data;
+}
+
+// Flattens a parsed file into {"tls.cert": value}, reporting keys no setting matches
+function flattenFile(data, settings, filePath, problems, prefix = '') {
+    const values = {};
+    for (const [key, value] of Object.entries(data)) {
+        const name = prefix + key;
+        if (settings[name]) {
+            if (value !== null) values[name] = value;
+        } else if (isPlainObject(value) && Object.keys(settings).some(known => known.startsWith(`${name}.`))) {
+            Object.assign(values, flattenFile(value, settings, filePath, problems, `${name}.`));
+        } else {
+            problems.push(`unknown setting "${name}" in ${filePath}`);
+        }
+    }
+    return values;
+}
+
+function parseArgs(args, settings, positionalNames) {
+    const byFlag = new Map();
+    for (const [name, entry] of Object.entries(settings)) {
+        const flag = flagName(name, entry);
+        if (flag) byFlag.set(flag, name);
+    }
+
+    const values = {}; // setting -> {value, source}
+    const problems = [];
+    const positional = [];
+    let configPath = null;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        let flag = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+        let value = equals === -1 ? undefined : arg.slice(equals + 1);
+        let negated = false;
+
+        if (flag === 'config') {
+            configPath = value !== undefined ? value : args[++i];
+            if (!configPath) problems.push('--config needs a file path');
+            continue;
+        }
+
+        if (!byFlag.has(flag) && flag.startsWith('no-') && byFlag.has(flag.slice(3))) {
+            flag = flag.slice(3);
+            negated = true;
+        }
+        const name = byFlag.get(flag);
+        if (!name) {
+            problems.push(`unknown option --${flag}`);
+            continue;
+        }
+
+        if (settings[name].type === 'boolean' && value === undefined) {
+            value = negated ? 'false' : 'true';
+        } else if (negated) {
+            problems.push(`--no-${flag} only works for on/off options`);
+            continue;
+        } else if (value === undefined) {
+            if (i + 1 >= args.length) {
+                problems.push(`--${flag} needs a value`);
+                continue;
+            }
+            value = args[++i];
+        }
+        values[name] = { value: value, source: `--${flag}` };
+    }
+
+    // Positional arguments fill their settings, but an explicit flag wins
+    positional.forEach((value, index) => {
+        const name = positionalNames[index];
+        if (!name) {
+            problems.push(`unexpected argument "${value}"`);
+        } else if (!values[name]) {
+            values[name] = { value: value, source: `argument ${index + 1}` };
+        }
+    });
+
+    return { values, configPath, problems };
+}
+
+function setPath(target, name, value) {
+    const parts = name.split('.');
+    let node = target;
+    parts.slice(0, -1).forEach((part) => {
+        node[part] = node[part] || {};
+        node = node[part];
+    });
+    node[parts[parts.length - 1]] = value;
+}
+
+// Resolves every layer into a nested settings object. Unset settings are left out of
+// the result (groups such as tls are always present), so option defaults still apply.
+// Throws an Error with code INVALID_CONFIG and a `problems` list when anything is wrong.
+function resolveConfig(settings, args = [], options = {}) {
+    const env = options.env || process.env;
+    const parsed = parseArgs(args, settings, options.positional || []);
+    const problems = parsed.problems.slice();
+    const sources = {}; // setting -> {value, source}; defaults are already the right type
+
+    const configPath = parsed.configPath || env.CHAT_CONFIG || null;
+    if (configPath) {
+        try {
+            const fileValues = flattenFile(loadConfigFile(configPath), settings, configPath, problems);
+            for (const [name, value] of Object.entries(fileValues)) {
+                sources[name] = { value: value, source: configPath };
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+
+    for (const [name, entry] of Object.entries(settings)) {
+        if (entry.env && env[entry.env] !== undefined && env[entry.env] !== '') {
+            sources[name] = { value: env[entry.env], source: entry.env };
+        }
+    }
+    Object.assign(sources, parsed.values);
+
+    const result = {};
+    for (const name of Object.keys(settings)) {
+        if (name.includes('.')) result[name.split('.')[0]] = {};
+    }
+
+    for (const [name, entry] of Object.entries(settings)) {
+        let value = entry.default;
+        if (sources[name]) {
+            try {
+                value = convert(entry, sources[name].value);
+                const problem = entry.check ? entry.check(value) : null;
+                if (problem) throw new Error(problem);
+            } catch (error) {
+                problems.push(`${name} (from ${sources[name].source}) ${error.message}`);
+                continue;
+            }
+        }
+        if (value !== null) {
+            setPath(result, name, value);
+        }
+    }
+
+    if (problems.length === 0 && options.check) {
+        problems.push(...options.check(result));
+    }
+
+    if (problems.length > 0) {
+        const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        error.code = 'INVALID_CONFIG';
+        error.problems = problems;
+        throw error;
+    }
+
+    return { settings: result, configPath: configPath ? path.resolve(configPath) : null };
+}
+
+// Option list for --help
+function describeSettings(settings) {
+    const lines = ['  --config <file>  JSON or YAML settings file (env CHAT_CONFIG)'];
+    for (const [name, entry] of Object.entries(settings)) {
+        const flag = flagName(name, entry);
+        const shown = entry.default === null || (typeof entry.default === 'object' && Object.keys(entry.default).length === 0)
+            ? ''
+            : ` (default ${Array.isArray(entry.default) ? entry.default.join(',') : entry.default})`;
+        const env = entry.env ? `, env ${entry.env}` : '';
+        const placeholders = { integer: 'n', enum: entry.values && entry.values.join('|'), list: 'a,b', peers: 'host:port,...' };
+        const option = flag
+            ? `  --${flag}${entry.type === 'boolean' ? '' : ` <${placeholders[entry.type] || 'value'}>`}`
+            : `  ${name} (file only)`;
+        lines.push(`${option}  ${entry.description}${shown}${env}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    SERVER_SETTINGS,
+    CLIENT_SETTINGS,
+    checkServerSettings,
+    resolveConfig,
+    describeSettings,
+    parseYaml,
+    loadConfigFile
+};
@@ -0,0 +1,190 @@
+const dgram = require('dgram');
+const crypto = require('crypto');
+const os = require('os');
+const { PROTOCOL_VERSION } = require('./framing');
+const { TokenBucket } = require('./ratelimit');
+
+// LAN discovery over UDP, so clients don't need a server address typed in. A client sends
+// one probe to the broadcast address and to a multicast group; every server running a
+// DiscoveryResponder answers it directly with where to connect:
+//   probe  {service: "chat", type: "discover", id, pad}
+//   answer {service: "chat", type: "server_info", id, name, port, version, clients, tls}
+// Clients connect to the address the answer came from; an answer can't point them at some
+// other machine. Answers to someone else's probe id are ignored.
+//
+// UDP sources are easily forged, so a responder must not be usable to flood a third party:
+// probes are padded to PROBE_SIZE, an answer is never larger than the probe it answers,
+// and each source address gets only a few answers per second.
+
+const DISCOVERY_SERVICE = 'chat';
+const DEFAULT_DISCOVERY_PORT = 8099;
+const DEFAULT_DISCOVERY_GROUP = '239.255.42.99'; // Organisation-local multicast scope
+const PROBE_SIZE = 512; // Bytes; answers are kept well below this
+const MAX_NAME_LENGTH = 64;
+const PROBE_RATE = { rate: 2, burst: 10 }; // Answers per source address; each search sends two probes
+const MAX_PROBE_SOURCES = 1000;
+const LOOPBACK_HOSTS = /^(localhost|127\.|::1$|::ffff:127\.)/;
+
+// Answers probes for a TCPServer. Several servers (or a server and its SIGUSR2 replacement)
+// can share the port on one machine.
+class DiscoveryResponder {
+    // options: {port, group, name}
+    constructor(chatServer, options = {}) {
+        this.chatServer = chatServer;
+        this.port = options.port || DEFAULT_DISCOVERY_PORT;
+        this.group = options.group || DEFAULT_DISCOVERY_GROUP;
+        this.name = String(options.name || os.hostname()).slice(0, MAX_NAME_LENGTH);
+        this.buckets = new Map(); // source address -> TokenBucket
+        this.socket = null;
+    }
+
+    start() {
+        // Clients connect to where the answer came from, which is never a loopback address
+        if (LOOPBACK_HOSTS.test(this.chatServer.host || '')) {
+            this.chatServer.logger.warn('Not answering discovery probes: the server only listens on loopback', { host: this.chatServer.host });
+            return;
+        }
+
+        this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+        this.socket.on('message', (data, rinfo) => this.handleProbe(data, rinfo));
+
+        this.socket.on('error', (err) => {
+            this.chatServer.logger.error('Discovery responder error', { error: err.message });
+        });
+
+        this.socket.bind(this.port, () => {
+            try {
+                this.socket.addMembership(this.group);
+            } catch (error) {
+                // Still answers broadcasts without a multicast route
+                this.chatServer.logger.warn('Could not join the discovery multicast group', { group: this.group, error: error.message });
+            }
+            this.chatServer.logger.info('Answering discovery probes', { port: this.port, group: this.group, name: this.name });
+        });
+    }
+
+    stop() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    allowProbe(address) {
+        // Forget quiet sources so the map doesn't grow forever
+        if (this.buckets.size >= MAX_PROBE_SOURCES) {
+            for (const [source, bucket] of this.buckets) {
+                if (bucket.isFull()) {
+                    this.buckets.delete(source);
+                }
+            }
+        }
+
+        let bucket = this.buckets.get(address);
+        if (!bucket) {
+            // Still full of busy sources: looks like a spoofed flood, so stay quiet
+            if (this.buckets.size >= MAX_PROBE_SOURCES) return false;
+            bucket = new TokenBucket(PROBE_RATE.rate, PROBE_RATE.burst);
+            this.buckets.set(address, bucket);
+        }
+        return bucket.take();
+    }
+
+    handleProbe(data, rinfo) {
+        if (data.length < PROBE_SIZE) return;
+
+        let probe;
+        try {
+            probe = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            return;
+        }
+        if (!probe || probe.service !== DISCOVERY_SERVICE || probe.type !== 'discover') return;
+        if (typeof probe.id !== 'string' || probe.id.length > 32) return;
+        if (!this.allowProbe(rinfo.address)) return;
+
+        const server = this.chatServer;
+        const answer = JSON.stringify({
+            service: DISCOVERY_SERVICE,
+            type: 'server_info',
+            id: probe.id,
+            name: this.name,
+            port: server.port,
+            version: PROTOCOL_VERSION,
+            clients: server.clientMap.size - server.remoteClients.size,
+            tls: !!server.tlsConfig
+        });
+        if (Buffer.byteLength(answer) > data.length) return;
+        this.chatServer.logger.debug('Answered discovery probe', { remoteAddress: rinfo.address });
+        this.socket.send(answer, rinfo.port, rinfo.address);
+    }
+}
+
+// Probes the LAN and resolves with the servers that answered within `timeout` ms, sorted by
+// name: [{name, host, port, version, clients, tls}], where host is the address each answer
+// came from. Never rejects for lack of answers; an empty list means nobody is listening.
+// Anyone on the LAN can answer, so only a TLS certificate actually vouches for a server.
+function discoverServers(options = {}) {
+    const port = options.port || DEFAULT_DISCOVERY_PORT;
+    const group = options.group || DEFAULT_DISCOVERY_GROUP;
+    const timeout = options.timeout || 1500;
+    const targets = [options.broadcastAddress || '255.255.255.255', group];
+    const id = crypto.randomBytes(8).toString('hex');
+
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        const servers = new Map(); // host:port -> server, a server answers broadcast and multicast alike
+
+        socket.on('message', (data, rinfo) => {
+            let answer;
+            try {
+                answer = JSON.parse(data.toString('utf8'));
+            } catch (error) {
+                return;
+            }
+            if (!answer || answer.service !== DISCOVERY_SERVICE || answer.type !== 'server_info' || answer.id !== id) return;
+            if (!Number.isInteger(answer.port)) return;
+
+            const server = {
+                name: String(answer.name || rinfo.address).slice(0, MAX_NAME_LENGTH),
+                host: rinfo.address,
+                port: answer.port,
+                version: answer.version,
+                clients: answer.clients,
+                tls: !!answer.tls
+            };
+            servers.set(`${server.host}:${server.port}`, server);
+        });
+
+        socket.on('error', (err) => {
+            clearTimeout(timer);
+            socket.close();
+            reject(err);
+        });
+
+        const timer = setTimeout(() => {
+            socket.close();
+            resolve(Array.from(servers.values()).sort((a, b) => a.name.localeCompare(b.name) || a.port - b.port));
+        }, timeout);
+
+        socket.bind(() => {
+            socket.setBroadcast(true);
+            // Padded so a responder can answer without sending back more than it got
+            const probe = { service: DISCOVERY_SERVICE, type: 'discover', id: id, pad: '' };
+            probe.pad = '.'.repeat(PROBE_SIZE - JSON.stringify(probe).length);
+            const data = JSON.stringify(probe);
+            targets.forEach((address) => {
+                // A host with no broadcast or multicast route still tries the other
+                socket.send(data, port, address, () => {});
+            });
+        });
+    });
+}
+
+module.exports = {
+    DiscoveryResponder,
+    discoverServers,
+    DEFAULT_DISCOVERY_PORT,
+    DEFAULT_DISCOVERY_GROUP
+};
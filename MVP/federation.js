@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const net = require('net');
+const { encodeMessage, MessageDecoder } = require('./framing');
+
+// Server-to-server links. Every server that should share clients peers directly with
+// every other one (a full mesh): each announces only its own registered clients and
+// forwards messages only to the server that owns the recipient, so nothing is relayed
+// twice. Links use length framing from the first byte.
+//
+// Handshake: both sides send peer_hello with a fresh nonce. The side that dialled then sends
+// peer_auth with an HMAC of the shared secret over both nonces, both serverIds and its role;
+// the listener checks it and only then answers with its own proof for the other role. A
+// proof is useless on any other link or in the other direction, and neither side signs
+// anything for a peer that hasn't proved itself. After that, every message travels in a
+// peer_data envelope carrying a sequence number and an HMAC under a key derived from the
+// handshake, so nothing can be injected, replayed or reordered on an established link.
+// Links are not encrypted.
+//
+// Link messages (inside peer_data {seq, payload, mac} once authenticated):
+//   peer_hello {serverId, nonce}      peer_auth {proof}
+//   peer_sync {clients}               peer_client_add {fullId, registeredAt}
+//   peer_client_remove {fullId}       peer_deliver {to, message}
+//   peer_broadcast {message}          peer_presence {fullId, status, text, auto}
+//   peer_receipt {id, by, status}
+
+function safeEqual(value, expected) {
+    return typeof value === 'string' && value.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(value), Buffer.from(expected));
+}
+
+class PeerLink {
+    constructor(federation, socket, outbound, peerConfig = null) {
+        this.federation = federation;
+        this.socket = socket;
+        this.outbound = outbound;
+        this.peerConfig = peerConfig; // {host, port} we dialled, for reconnecting
+        this.serverId = null; // Learned from peer_hello
+        this.nonce = crypto.randomBytes(16).toString('hex');
+        this.peerNonce = null;
+        this.authenticated = false;
+        this.sessionKey = null; // MAC key for peer_data, derived once both sides have proved themselves
+        this.sendSeq = 0;
+        this.receiveSeq = 0;
+        this.decoder = new MessageDecoder({ framing: 'length', maxFrameSize: federation.maxFrameSize });
+
+        socket.setKeepAlive(true, 30000);
+        socket.on('data', (data) => this.handleData(data));
+        socket.on('close', () => federation.handleLinkClosed(this));
+        socket.on('error', (err) => {
+            this.federation.logger.error('Federation link error', { peer: this.describe(), error: err.message });
+        });
+
+        this.send({ type: 'peer_hello', serverId: federation.serverId, nonce: this.nonce });
+    }
+
+    describe() {
+        return this.serverId || `${this.socket.remoteAddress}:${this.socket.remotePort}`;
+    }
+
+    send(message) {
+        if (!this.socket.writable) return false;
+        if (this.authenticated) {
+            const seq = this.sendSeq++;
+            const payload = JSON.stringify(message);
+            message = { type: 'peer_data', seq: seq, payload: payload, mac: this.mac(this.outbound ? 'dialer' : 'listener', seq, payload) };
+        }
+        this.socket.write(encodeMessage(message, 'length'));
+        return true;
+    }
+
+    // Both serverIds and nonces in a fixed order, so the two sides sign the same thing
+    transcript() {
+        const federation = this.federation;
+        return this.outbound
+            ? `${federation.serverId}:${this.nonce}:${this.serverId}:${this.peerNonce}`
+            : `${this.serverId}:${this.peerNonce}:${federation.serverId}:${this.nonce}`;
+    }
+
+    mac(role, seq, payload) {
+        return crypto.createHmac('sha256', this.sessionKey).update(`${role}:${seq}:${payload}`).digest('hex');
+    }
+
+    authenticate() {
+        this.authenticated = true;
+        this.sessionKey = this.federation.proof('session', this.transcript());
+        this.federation.handleLinkUp(this);
+    }
+
+    handleData(data) {
+        this.decoder.push(data);
+
+        let result;
+        while ((result = this.decoder.next()) !== null) {
+            if (result.overflow !== undefined) {
+                this.federation.logger.warn('Dropped oversized message from peer', { peer: this.describe(), bytes: result.overflow });
+                continue;
+            }
+            if (!result.message) continue;
+
+            let message;
+            try {
+                message = JSON.parse(result.message);
+            } catch (error) {
+                this.close(`invalid JSON: ${error.message}`);
+                return;
+            }
+            this.handleMessage(message);
+            if (this.socket.destroyed) return;
+        }
+    }
+
+    handleMessage(message) {
+        const federation = this.federation;
+
+        if (this.authenticated) {
+            this.handlePeerData(message);
+            return;
+        }
+
+        if (message.type === 'peer_hello') {
+            if (this.serverId || typeof message.serverId !== 'string' || !message.serverId || message.serverId === federation.serverId ||
+                typeof message.nonce !== 'string' || !/^[0-9a-f]{32}$/.test(message.nonce)) {
+                this.close('bad peer_hello');
+                return;
+            }
+            this.serverId = message.serverId;
+            this.peerNonce = message.nonce;
+            // The dialler proves itself first; the listener answers only once that checks out
+            if (this.outbound) {
+                this.send({ type: 'peer_auth', proof: federation.proof('dialer', this.transcript()) });
+            }
+            return;
+        }
+
+        if (message.type === 'peer_auth') {
+            if (!this.serverId) {
+                this.close('peer_auth before peer_hello');
+                return;
+            }
+            const expected = federation.proof(this.outbound ? 'listener' : 'dialer', this.transcript());
+            if (!safeEqual(message.proof, expected)) {
+                this.close('authentication failed');
+                return;
+            }
+            if (!this.outbound) {
+                this.send({ type: 'peer_auth', proof: federation.proof('listener', this.transcript()) });
+            }
+            this.authenticate();
+            return;
+        }
+
+        // Nothing but the handshake is accepted from an unauthenticated peer
+        this.close(`unexpected ${message.type} before authentication`);
+    }
+
+    // An authenticated link only carries peer_data: check its MAC and sequence number first
+    handlePeerData(envelope) {
+        const role = this.outbound ? 'listener' : 'dialer';
+        if (envelope.type !== 'peer_data' || envelope.seq !== this.receiveSeq || typeof envelope.payload !== 'string' ||
+            !safeEqual(envelope.mac, this.mac(role, envelope.seq, envelope.payload))) {
+            this.close('message failed integrity check');
+            return;
+        }
+        this.receiveSeq++;
+
+        let message;
+        try {
+            message = JSON.parse(envelope.payload);
+        } catch (error) {
+            this.close(`invalid JSON: ${error.message}`);
+            return;
+        }
+        this.federation.handlePeerMessage(this, message);
+    }
+
+    close(reason) {
+        if (reason) {
+            this.federation.logger.warn('Closing federation link', { peer: this.describe(), reason: reason });
+        }
+        this.socket.destroy();
+    }
+}
+
+class Federation {
+    constructor(chatServer, options = {}) {
+        if (!options.serverId || !options.secret) {
+            throw new Error('Federation requires a serverId and a shared secret');
+        }
+        this.chatServer = chatServer;
+        this.logger = chatServer.logger;
+        this.serverId = options.serverId;
+        this.secret = options.secret;
+        this.port = options.port || null; // Listen for peers here; dial-only when unset
+        this.host = options.host || '0.0.0.0';
+        this.listener = options.listener || null; // Already-listening server to take over (restart handoff)
+        this.peers = (options.peers || []).map(peer => ({ host: peer.host, port: peer.port, serverId: null, timer: null }));
+        this.reconnectDelay = options.reconnectDelay || 5000;
+        this.maxFrameSize = options.maxFrameSize || 16777216; // 16 MB, links carry file chunks too
+        this.links = new Map(); // serverId -> authenticated PeerLink
+        this.pending = new Set(); // Links still in the handshake
+        this.server = null;
+        this.stopped = false;
+    }
+
+    start() {
+        if (this.port) {
+            this.server = net.createServer(socket => this.pending.add(new PeerLink(this, socket, false)));
+            this.server.on('error', (err) => {
+                this.logger.error('Federation listener error', { error: err.message });
+            });
+            const listening = () => {
+                this.logger.info('Federation listening for peers', { serverId: this.serverId, host: this.host, port: this.port });
+            };
+            if (this.listener) {
+                this.server.listen(this.listener, listening);
+            } else {
+                this.server.listen(this.port, this.host, listening);
+            }
+        }
+        this.peers.forEach(peer => this.dial(peer));
+    }
+
+    stop() {
+        this.stopped = true;
+        this.peers.forEach(peer => clearTimeout(peer.timer));
+        this.pending.forEach(link => link.socket.destroy());
+        this.links.forEach(link => link.socket.destroy());
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    dial(peer) {
+        if (this.stopped) return;
+
+        // Already linked (perhaps because the peer dialled us): check again later
+        if (peer.serverId && this.links.has(peer.serverId)) {
+            peer.timer = setTimeout(() => this.dial(peer), this.reconnectDelay);
+            return;
+        }
+
+        const socket = net.createConnection({ host: peer.host, port: peer.port });
+        this.pending.add(new PeerLink(this, socket, true, peer));
+    }
+
+    // purpose: 'dialer' or 'listener' for handshake proofs, 'session' for the link's MAC key
+    proof(purpose, transcript) {
+        return crypto.createHmac('sha256', this.secret).update(`${purpose}:${transcript}`).digest('hex');
+    }
+
+    handleLinkUp(link) {
+        this.pending.delete(link);
+        if (link.peerConfig) {
+            link.peerConfig.serverId = link.serverId;
+        }
+
+        // Both sides may dial each other; both keep the link dialled by the lower serverId
+        const existing = this.links.get(link.serverId);
+        if (existing) {
+            const keepNew = (link.outbound ? this.serverId : link.serverId) < (link.outbound ? link.serverId : this.serverId);
+            if (!keepNew) {
+                link.close();
+                return;
+            }
+            this.links.delete(link.serverId);
+            existing.close();
+        }
+
+        this.links.set(link.serverId, link);
+        this.logger.info('Federation link up', { peer: link.serverId, direction: link.outbound ? 'outbound' : 'inbound' });
+        link.send({ type: 'peer_sync', clients: this.chatServer.getLocalClients() });
+    }
+
+    handleLinkClosed(link) {
+        this.pending.delete(link);
+
+        if (link.authenticated && this.links.get(link.serverId) === link) {
+            this.links.delete(link.serverId);
+            this.logger.warn('Federation link down', { peer: link.serverId });
+            this.chatServer.markServerUnreachable(link.serverId);
+        }
+
+        if (link.peerConfig && !this.stopped) {
+            clearTimeout(link.peerConfig.timer);
+            link.peerConfig.timer = setTimeout(() => this.dial(link.peerConfig), this.reconnectDelay);
+        }
+    }
+
+    handlePeerMessage(link, message) {
+        const server = this.chatServer;
+
+        switch (message.type) {
+            case 'peer_sync':
+                server.syncRemoteClients(link.serverId, Array.isArray(message.clients) ? message.clients : []);
+                break;
+
+            case 'peer_client_add':
+                server.addRemoteClient(link.serverId, message.fullId, message.registeredAt);
+                break;
+
+            case 'peer_client_remove':
+                server.removeRemoteClient(link.serverId, message.fullId);
+                break;
+
+            case 'peer_deliver':
+                server.deliverFromPeer(link.serverId, message.to, message.message);
+                break;
+
+            case 'peer_broadcast':
+                server.broadcastFromPeer(link.serverId, message.message);
+                break;
+
+            case 'peer_receipt':
+                server.receiptFromPeer(link.serverId, message);
+                break;
+
+            case 'peer_presence':
+                server.updateRemotePresence(link.serverId, message.fullId, message);
+                break;
+
+            default:
+                this.logger.warn('Unknown federation message', { peer: link.serverId, type: message.type });
+        }
+    }
+
+    // Tell every peer; returns how many links it went out on
+    broadcast(message) {
+        let sent = 0;
+        for (const link of this.links.values()) {
+            if (link.send(message)) sent++;
+        }
+        return sent;
+    }
+
+    sendTo(serverId, message) {
+        const link = this.links.get(serverId);
+        return !!link && link.send(message);
+    }
+
+    announceClient(fullId, registeredAt) {
+        this.broadcast({ type: 'peer_client_add', fullId: fullId, registeredAt: registeredAt });
+    }
+
+    withdrawClient(fullId) {
+        this.broadcast({ type: 'peer_client_remove', fullId: fullId });
+    }
+
+    getStats() {
+        return {
+            serverId: this.serverId,
+            peers: Array.from(this.links.keys()).sort()
+        };
+    }
+}
+
+module.exports = {
+    Federation,
+    PeerLink
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Client side of file transfers relayed by the server. The sender streams base64
+// chunks from disk; the recipient writes them into `<name>.part` at their offsets and
+// acknowledges each one, so either side can pick up from the last acknowledged byte
+// after a reconnect. The SHA-256 from the offer is checked before the file is kept.
+
+const SEND_WINDOW = 8; // Chunks in flight before waiting for the recipient's acks
+
+function hashFile(filePath, callback) {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('data', (data) => hash.update(data))
+        .on('error', (err) => callback(err))
+        .on('end', () => callback(null, hash.digest('hex')));
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+class OutgoingTransfer {
+    constructor(to, filePath, size, sha256) {
+        this.id = null; // Assigned by the server's file_offered
+        this.to = to;
+        this.path = filePath;
+        this.name = path.basename(filePath);
+        this.size = size;
+        this.sha256 = sha256;
+        this.state = 'offering'; // offering -> offered -> sending <-> paused -> verifying
+        this.chunkSize = 0;
+        this.sent = 0;
+        this.acked = 0;
+        this.fd = null;
+        this.pumpTimer = null; // Set while waiting for the rate limit to allow the next chunk
+    }
+
+    start(offset, chunkSize) {
+        if (this.fd === null) {
+            this.fd = fs.openSync(this.path, 'r');
+        }
+        this.sent = offset;
+        this.acked = offset;
+        this.chunkSize = chunkSize;
+        this.state = 'sending';
+    }
+
+    pause() {
+        if (this.state === 'sending') {
+            this.state = 'paused';
+            this.sent = this.acked; // Anything unacknowledged is sent again on resume
+        }
+    }
+
+    // False while the window is full or everything has been sent
+    canSend() {
+        return this.state === 'sending' && this.sent < this.size && this.sent - this.acked < SEND_WINDOW * this.chunkSize;
+    }
+
+    nextChunk() {
+        const length = Math.min(this.chunkSize, this.size - this.sent);
+        const data = Buffer.alloc(length);
+        fs.readSync(this.fd, data, 0, length, this.sent);
+        const chunk = { offset: this.sent, data: data.toString('base64') };
+        this.sent += length;
+        return chunk;
+    }
+
+    isDone() {
+        return this.state === 'sending' && this.acked >= this.size;
+    }
+
+    close() {
+        clearTimeout(this.pumpTimer);
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+class IncomingTransfer {
+    constructor(offer) {
+        this.id = offer.id;
+        this.from = offer.from;
+        this.name = path.basename(offer.name);
+        this.size = offer.size;
+        this.sha256 = offer.sha256;
+        this.state = 'offered'; // offered -> receiving -> verifying
+        this.path = null;
+        this.received = 0;
+        this.fd = null;
+    }
+
+    get partPath() {
+        return `${this.path}.part`;
+    }
+
+    // Picks the file name in dir and returns the offset to ask for: a `.part` left by an
+    // earlier attempt is continued, an existing complete file is never overwritten
+    open(dir) {
+        fs.mkdirSync(dir, { recursive: true });
+
+        const ext = path.extname(this.name);
+        const base = path.basename(this.name, ext);
+        for (let n = 0; ; n++) {
+            const candidate = path.join(dir, n === 0 ? this.name : `${base} (${n})${ext}`);
+            if (fs.existsSync(`${candidate}.part`) || !fs.existsSync(candidate)) {
+                this.path = candidate;
+                break;
+            }
+        }
+
+        const resuming = fs.existsSync(this.partPath);
+        this.received = resuming ? Math.min(fs.statSync(this.partPath).size, this.size) : 0;
+        this.fd = fs.openSync(this.partPath, resuming ? 'r+' : 'w');
+        this.state = 'receiving';
+        return this.received;
+    }
+
+    write(offset, data) {
+        const buffer = Buffer.from(data, 'base64');
+        fs.writeSync(this.fd, buffer, 0, buffer.length, offset);
+        this.received = Math.max(this.received, offset + buffer.length);
+        return this.received;
+    }
+
+    // Checks the checksum; a good file is renamed into place, a bad one deleted
+    finish(callback) {
+        this.close();
+        this.state = 'verifying';
+        hashFile(this.partPath, (err, digest) => {
+            const ok = !err && digest === this.sha256;
+            try {
+                if (ok) {
+                    fs.renameSync(this.partPath, this.path);
+                } else {
+                    fs.unlinkSync(this.partPath);
+                }
+            } catch (fsErr) {
+                callback(false, fsErr.message);
+                return;
+            }
+            callback(ok, err ? err.message : (ok ? null : 'checksum mismatch'));
+        });
+    }
+
+    // Cancelled transfers leave nothing behind
+    abort() {
+        this.close();
+        if (this.path && fs.existsSync(this.partPath)) {
+            fs.unlinkSync(this.partPath);
+        }
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = {
+    OutgoingTransfer,
+    IncomingTransfer,
+    hashFile,
+    formatBytes
+};
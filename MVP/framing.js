@@ -0,0 +1,91 @@
+// Wire framings shared by server and client.
+//   newline - one JSON message per line (the original protocol, still the default)
+//   length  - 4-byte big-endian payload length followed by the UTF-8 JSON payload,
+//             so messages may contain raw newlines and be larger than a line allows
+// A connection starts in newline framing; a `hello` exchange can switch it to length.
+
+const PROTOCOL_VERSION = 2; // 1 = newline-only protocol without hello
+const FRAMINGS = ['length', 'newline']; // In order of preference
+
+function encodeMessage(messageObj, framing = 'newline') {
+    const json = JSON.stringify(messageObj);
+    if (framing !== 'length') {
+        return json + '\n';
+    }
+
+    const payload = Buffer.from(json, 'utf8');
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(payload.length, 0);
+    return Buffer.concat([header, payload]);
+}
+
+// Collects incoming bytes and hands back complete messages one at a time.
+// next() returns {message}, {overflow: size} when a message was too large
+// (its bytes are discarded without losing sync), or null when more data is needed.
+class MessageDecoder {
+    constructor(options = {}) {
+        this.framing = options.framing || 'newline';
+        this.maxLineLength = options.maxLineLength || 10000;
+        this.maxFrameSize = options.maxFrameSize || 1048576; // 1 MB
+        this.buffer = Buffer.alloc(0);
+        this.skipBytes = 0; // Remaining bytes of an oversized length frame to drop
+    }
+
+    push(data) {
+        const chunk = typeof data === 'string' ? Buffer.from(data, 'utf8') : data;
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    }
+
+    next() {
+        return this.framing === 'length' ? this.nextFrame() : this.nextLine();
+    }
+
+    nextLine() {
+        // A 0x0A byte never appears inside a multi-byte UTF-8 sequence, so splitting bytes is safe
+        const newlineIndex = this.buffer.indexOf(0x0a);
+        if (newlineIndex === -1) {
+            // Prevent buffer overflow
+            if (this.buffer.length > this.maxLineLength) {
+                const size = this.buffer.length;
+                this.buffer = Buffer.alloc(0);
+                return { overflow: size };
+            }
+            return null;
+        }
+
+        const message = this.buffer.slice(0, newlineIndex).toString('utf8').trim();
+        this.buffer = this.buffer.slice(newlineIndex + 1);
+        return { message: message };
+    }
+
+    nextFrame() {
+        if (this.skipBytes > 0) {
+            const dropped = Math.min(this.skipBytes, this.buffer.length);
+            this.buffer = this.buffer.slice(dropped);
+            this.skipBytes -= dropped;
+            if (this.skipBytes > 0) return null;
+        }
+
+        if (this.buffer.length < 4) return null;
+        const length = this.buffer.readUInt32BE(0);
+
+        if (length > this.maxFrameSize) {
+            // Skip exactly this frame's payload so the next header lines up
+            this.buffer = this.buffer.slice(4);
+            this.skipBytes = length;
+            return { overflow: length };
+        }
+
+        if (this.buffer.length < 4 + length) return null;
+        const message = this.buffer.slice(4, 4 + length).toString('utf8').trim();
+        this.buffer = this.buffer.slice(4 + length);
+        return { message: message };
+    }
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    FRAMINGS,
+    encodeMessage,
+    MessageDecoder
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+
+// History stores keep relayed chat_message and private_message events.
+// Each one exposes:
+//   append(event) -> stored event (with a sequence number `seq` assigned)
+//   query({ viewer, peer, before, since, limit, type }) -> Promise<{ messages, hasMore }>
+// Any object with that shape can be passed to TCPServer as options.historyStore.
+
+// Keeps everything in memory; used for tests and as the cache behind the file store
+class MemoryHistoryStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 10000; // Oldest entries are dropped past this
+        this.entries = [];
+        this.nextSeq = 1;
+    }
+
+    append(event) {
+        const entry = Object.assign({ seq: this.nextSeq++ }, event);
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        return entry;
+    }
+
+    async query({ viewer, peer, before, since, limit = 50, type } = {}) {
+        const matches = [];
+        let hasMore = false;
+
+        // Walk backwards so we can stop as soon as we have enough
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (before && entry.seq >= before) continue;
+            if (since && entry.timestamp <= since) break;
+            if (type && entry.type !== type) continue;
+            if (!this.isVisible(entry, viewer, peer)) continue;
+
+            if (matches.length === limit) {
+                hasMore = true;
+                break;
+            }
+            matches.push(entry);
+        }
+
+        return {
+            messages: matches.reverse(),
+            hasMore: hasMore
+        };
+    }
+
+    isVisible(entry, viewer, peer) {
+        if (entry.type === 'chat_message') {
+            // Broadcasts are public, but a peer filter asks for private conversation only
+            return !peer;
+        }
+
+        const involved = entry.from === viewer || entry.recipients.includes(viewer);
+        if (!involved) return false;
+        if (!peer) return true;
+        return entry.from === peer || entry.recipients.includes(peer);
+    }
+}
+
+// Append-only JSON lines file, one event per line; recent entries are cached in memory.
+// options.logger (the server's) gets bad lines and write errors.
+class FileHistoryStore extends MemoryHistoryStore {
+    constructor(filePath, options = {}) {
+        super(options);
+        this.filePath = filePath;
+        this.logger = options.logger || new Logger();
+        this.load();
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+        this.stream.on('error', (err) => {
+            this.logger.error('History write error', { file: this.filePath, error: err.message });
+        });
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        let skipped = 0;
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                this.entries.push(entry);
+                this.nextSeq = Math.max(this.nextSeq, entry.seq + 1);
+            } catch (error) {
+                // A torn last line (e.g. after a crash) shouldn't stop the server
+                skipped++;
+            }
+        }
+        if (skipped > 0) {
+            this.logger.warn('Skipped bad history lines', { file: this.filePath, lines: skipped });
+        }
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+    }
+
+    append(event) {
+        const entry = super.append(event);
+        this.stream.write(JSON.stringify(entry) + '\n');
+        return entry;
+    }
+
+    close() {
+        this.stream.end();
+    }
+}
+
+// 'memory' gives a MemoryHistoryStore, anything else is a JSONL file path; options go to the store
+function createHistoryStore(spec, options = {}) {
+    if (spec === 'memory') {
+        return new MemoryHistoryStore(options);
+    }
+    return new FileHistoryStore(spec, options);
+}
+
+module.exports = {
+    MemoryHistoryStore,
+    FileHistoryStore,
+    createHistoryStore
+};
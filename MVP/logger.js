@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+// Leveled logging for the server. Every entry is a short fixed message plus fields
+// ({connectionId, fullId, ...}) so logs can be filtered and parsed:
+//   text: [2026-01-01T12:00:00.000Z] INFO  Client registered connectionId=1.2.3.4:5678 fullId=sys1.alice
+//   json: {"time":"2026-01-01T12:00:00.000Z","level":"info","msg":"Client registered","connectionId":...}
+// Level and format can change at runtime (the server's SIGHUP reload does this), and child
+// loggers share them with their parent while adding fields of their own.
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+
+// Appends lines to a file. Once the next line would take it past maxSize bytes the file
+// becomes file.1 (file.1 becomes file.2 and so on) and only maxFiles old files are kept.
+// Lines go through a write stream, so writing one never waits on the disk; the size is counted
+// as lines are handed over rather than read back. A failed write (full disk, vanished
+// directory) makes every later write() throw so the caller can fall back elsewhere.
+class RotatingFile {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.maxSize = options.maxSize || 10485760; // 10 MB
+        this.maxFiles = options.maxFiles !== undefined ? options.maxFiles : 5;
+        this.failed = null;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+        this.stream = this.open();
+    }
+
+    // Opened up front so lines still buffered when the file is rotated land in the renamed one
+    open() {
+        const stream = fs.createWriteStream(null, { fd: fs.openSync(this.filePath, 'a') });
+        stream.on('error', (error) => {
+            this.failed = error;
+        });
+        return stream;
+    }
+
+    write(line) {
+        if (this.failed) throw this.failed;
+        if (!this.stream) throw new Error(`${this.filePath} is closed`);
+
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxSize) {
+            this.rotate();
+        }
+        this.stream.write(line);
+        this.size += bytes;
+    }
+
+    // Calls back once everything written so far is on disk
+    close(callback = () => {}) {
+        if (!this.stream) {
+            setImmediate(callback);
+            return;
+        }
+        this.stream.end(callback);
+        this.stream = null;
+    }
+
+    rotate() {
+        this.stream.end();
+        for (let n = this.maxFiles - 1; n >= 1; n--) {
+            if (fs.existsSync(`${this.filePath}.${n}`)) {
+                fs.renameSync(`${this.filePath}.${n}`, `${this.filePath}.${n + 1}`);
+            }
+        }
+        if (fs.existsSync(this.filePath)) {
+            if (this.maxFiles > 0) {
+                fs.renameSync(this.filePath, `${this.filePath}.1`);
+            } else {
+                fs.unlinkSync(this.filePath);
+            }
+        }
+        this.size = 0;
+        this.stream = this.open();
+    }
+}
+
+// key=value pairs for text output; values with spaces or quotes are JSON-quoted
+function formatFields(fields) {
+    return Object.entries(fields).map(([key, value]) => {
+        let text = typeof value === 'string' ? value : JSON.stringify(value);
+        if (typeof value === 'string' && (value === '' || /[\s"=]/.test(value))) {
+            text = JSON.stringify(value);
+        }
+        return ` ${key}=${text}`;
+    }).join('');
+}
+
+class Logger {
+    // options: {level, format, file, maxSize, maxFiles}; without a file, info and debug go
+    // to stdout and warnings and errors to stderr
+    constructor(options = {}) {
+        this.shared = {
+            level: 'info',
+            format: 'text',
+            file: options.file ? new RotatingFile(options.file, { maxSize: options.maxSize, maxFiles: options.maxFiles }) : null
+        };
+        this.fields = {};
+        this.setLevel(options.level || 'info');
+        this.setFormat(options.format || 'text');
+    }
+
+    // Flushes the log file, if there is one; entries after this go to the console
+    close(callback = () => {}) {
+        if (this.shared.file) {
+            this.shared.file.close(callback);
+        } else {
+            setImmediate(callback);
+        }
+    }
+
+    // A logger that adds `fields` to every entry and follows this one's level and format
+    child(fields) {
+        const child = Object.create(Logger.prototype);
+        child.shared = this.shared;
+        child.fields = Object.assign({}, this.fields, fields);
+        return child;
+    }
+
+    get level() {
+        return this.shared.level;
+    }
+
+    get format() {
+        return this.shared.format;
+    }
+
+    setLevel(level) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level "${level}" (expected one of ${LOG_LEVELS.join(', ')})`);
+        }
+        this.shared.level = level;
+    }
+
+    setFormat(format) {
+        if (!LOG_FORMATS.includes(format)) {
+            throw new Error(`Unknown log format "${format}" (expected one of ${LOG_FORMATS.join(', ')})`);
+        }
+        this.shared.format = format;
+    }
+
+    enabled(level) {
+        return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.shared.level);
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.enabled(level)) return;
+
+        // Undefined fields are left out rather than printed
+        const entry = {};
+        for (const [key, value] of Object.entries(Object.assign({}, this.fields, fields))) {
+            if (value !== undefined) entry[key] = value;
+        }
+
+        const time = new Date().toISOString();
+        const line = this.shared.format === 'json'
+            ? JSON.stringify(Object.assign({ time: time, level: level, msg: message }, entry))
+            : `[${time}] ${level.toUpperCase().padEnd(5)} ${message}${formatFields(entry)}`;
+
+        if (this.shared.file) {
+            try {
+                this.shared.file.write(line + '\n');
+                return;
+            } catch (error) {
+                // A full disk, a vanished directory or a closed log shouldn't take the server down; fall back to stderr
+                process.stderr.write(`Log file write failed (${error.message}): `);
+            }
+        }
+        if (level === 'error' || level === 'warn') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+}
+
+module.exports = {
+    Logger,
+    RotatingFile,
+    LOG_LEVELS,
+    LOG_FORMATS
+};
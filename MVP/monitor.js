@@ -0,0 +1,124 @@
+const http = require('http');
+
+// Small embedded HTTP listener exposing a TCPServer's stats:
+//   /health  - liveness
+//   /stats   - getStats() as JSON
+//   /metrics - the same numbers in Prometheus text format
+class MonitorServer {
+    // listener: an already-listening server to take over instead of binding port (restart handoff)
+    constructor(chatServer, port = 9090, host = '0.0.0.0', listener = null) {
+        this.chatServer = chatServer;
+        this.port = port;
+        this.host = host;
+        this.listener = listener;
+        this.server = null;
+    }
+
+    start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        this.server.on('error', (err) => {
+            this.chatServer.logger.error('Monitor server error', { error: err.message });
+        });
+
+        const listening = () => {
+            this.chatServer.logger.info('Monitoring on /health, /stats and /metrics', { url: `http://${this.host}:${this.port}` });
+        };
+        if (this.listener) {
+            this.server.listen(this.listener, listening);
+        } else {
+            this.server.listen(this.port, this.host, listening);
+        }
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    handleRequest(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            this.send(res, 405, 'text/plain', 'Method Not Allowed\n');
+            return;
+        }
+
+        const path = req.url.split('?')[0];
+        switch (path) {
+            case '/health':
+                this.send(res, 200, 'application/json', JSON.stringify({
+                    status: 'ok',
+                    uptime: this.chatServer.getStats().uptime,
+                    timestamp: new Date().toISOString()
+                }) + '\n');
+                break;
+
+            case '/stats':
+                this.send(res, 200, 'application/json', JSON.stringify(this.chatServer.getStats(), null, 2) + '\n');
+                break;
+
+            case '/metrics':
+                this.send(res, 200, 'text/plain; version=0.0.4', MonitorServer.toPrometheus(this.chatServer.getStats()));
+                break;
+
+            default:
+                this.send(res, 404, 'text/plain', 'Not Found\n');
+        }
+    }
+
+    send(res, status, contentType, body) {
+        res.writeHead(status, {
+            'Content-Type': contentType,
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(res.req.method === 'HEAD' ? undefined : body);
+    }
+
+    static toPrometheus(stats) {
+        const lines = [];
+        const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+        // metric(name, type, help, value) or metric(name, type, help, {labelValue: value}, labelName)
+        const metric = (name, type, help, values, label) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            if (label) {
+                for (const [key, value] of Object.entries(values)) {
+                    lines.push(`${name}{${label}="${escape(key)}"} ${value}`);
+                }
+            } else {
+                lines.push(`${name} ${values}`);
+            }
+        };
+
+        metric('chat_up', 'gauge', 'Whether the chat server is running', 1);
+        metric('chat_uptime_seconds', 'gauge', 'Seconds since the chat server started', stats.uptime);
+        metric('chat_connections', 'gauge', 'Open client connections', stats.totalConnections);
+        metric('chat_registered_clients', 'gauge', 'Registered clients', stats.registeredClients);
+        metric('chat_registered_clients_by_system', 'gauge', 'Registered clients per systemId', stats.clientsBySystem, 'system');
+        metric('chat_remote_clients', 'gauge', 'Clients registered on federated peer servers', stats.remoteClients);
+        metric('chat_federation_peers', 'gauge', 'Federated peer servers currently linked', stats.federation ? stats.federation.peers.length : 0);
+        metric('chat_messages_in_total', 'counter', 'Messages received from clients by type', stats.messagesIn, 'type');
+        metric('chat_messages_out_total', 'counter', 'Messages sent to clients by type', stats.messagesOut, 'type');
+        metric('chat_bytes_in_total', 'counter', 'Bytes received from clients', stats.bytesIn);
+        metric('chat_bytes_out_total', 'counter', 'Bytes sent to clients', stats.bytesOut);
+        metric('chat_errors_total', 'counter', 'Errors by kind', stats.errors, 'kind');
+        metric('chat_buffer_overflows_total', 'counter', 'Client buffers cleared for exceeding the size limit', stats.bufferOverflows);
+        metric('chat_heartbeat_evictions_total', 'counter', 'Connections dropped for not answering heartbeats', stats.heartbeatEvictions);
+        metric('chat_file_transfers', 'gauge', 'File transfers offered or in progress', stats.fileTransfers);
+        const queueDepth = field => Object.fromEntries(Object.entries(stats.outbound.queues).map(([client, queue]) => [client, queue[field]]));
+        metric('chat_outbound_queue_messages', 'gauge', 'Messages waiting for a slow client socket to drain', queueDepth('messages'), 'client');
+        metric('chat_outbound_queue_bytes', 'gauge', 'Bytes waiting for a slow client socket to drain', queueDepth('bytes'), 'client');
+        metric('chat_slow_consumer_dropped_total', 'counter', 'Messages dropped for slow clients', stats.outbound.dropped);
+        metric('chat_slow_consumer_disconnects_total', 'counter', 'Clients disconnected for not keeping up', stats.outbound.disconnected);
+        metric('chat_rate_limited_total', 'counter', 'Messages refused by rate limits by type', stats.rateLimits.byType, 'type');
+        metric('chat_rate_limit_mutes_total', 'counter', 'Clients muted for flooding', stats.rateLimits.muted);
+        metric('chat_rate_limit_disconnects_total', 'counter', 'Clients disconnected for flooding', stats.rateLimits.disconnected);
+        metric('chat_connections_rejected_total', 'counter', 'Connections refused by the per-IP rate limit', stats.rateLimits.connectionsRejected);
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = MonitorServer;
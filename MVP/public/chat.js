@@ -0,0 +1,134 @@
+// Reference browser client: speaks the same JSON messages as client.js, one per WebSocket frame
+(function () {
+    const log = document.getElementById('log');
+    const input = document.getElementById('input');
+    const status = document.getElementById('status');
+    let ws = null;
+    let registered = false;
+
+    function show(text, className) {
+        const line = document.createElement('div');
+        line.textContent = `[${new Date().toLocaleTimeString()}] ${text}`;
+        if (className) line.className = className;
+        log.appendChild(line);
+        log.scrollTop = log.scrollHeight;
+    }
+
+    function send(message) {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    function handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                show(`Server: ${message.message}`, 'system');
+                // Heartbeats are only sent to clients that say they answer them
+                send({ type: 'hello', version: message.protocolVersion || 1, features: ['heartbeat'] });
+                send({
+                    type: 'register',
+                    systemId: document.getElementById('systemId').value.trim(),
+                    clientId: document.getElementById('clientId').value.trim(),
+                    secret: document.getElementById('secret').value || undefined,
+                    replay: 10
+                });
+                break;
+            case 'registered':
+                registered = true;
+                input.disabled = false;
+                input.focus();
+                status.textContent = `Connected as ${message.fullId}`;
+                show(message.message, 'system');
+                break;
+            case 'chat_message':
+                show(`[BROADCAST] ${message.from}: ${message.content}`);
+                break;
+            case 'room_message':
+                show(`[#${message.room}] ${message.from}: ${message.content}`);
+                break;
+            case 'private_message':
+                show(`[PRIVATE from ${message.from}]: ${message.content}`, 'private');
+                if (message.id) {
+                    send({ type: 'ack', id: message.id });
+                    send({ type: 'read', id: message.id });
+                }
+                break;
+            case 'private_sent':
+            case 'private_queued':
+                show(`${message.type === 'private_queued' ? 'Queued' : 'Sent'} private message to ${message.to}`, 'system');
+                break;
+            case 'history':
+                message.messages.forEach(entry => show(`(history) ${entry.from}: ${entry.content}`, 'system'));
+                break;
+            case 'client_list':
+                show(`Connected clients (${message.count}): ${message.clients.join(', ')}`, 'system');
+                break;
+            case 'client_joined':
+            case 'client_left':
+                show(message.message, 'system');
+                break;
+            case 'announcement':
+                show(`[ANNOUNCEMENT from ${message.from}]: ${message.content}`, 'announcement');
+                break;
+            case 'error':
+            case 'auth_failed':
+            case 'rate_limited':
+            case 'kicked':
+            case 'banned':
+                show(`Error: ${message.message}`, 'error');
+                break;
+            case 'heartbeat':
+                // The server drops connections that don't answer
+                send({ type: 'heartbeat_ack', seq: message.seq });
+                break;
+            case 'delivered':
+            case 'read':
+            case 'pong':
+            case 'heartbeat_ack':
+                break;
+            default:
+                if (message.message) show(message.message, 'system');
+        }
+    }
+
+    document.getElementById('login').addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (ws) ws.close();
+
+        const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+        ws = new WebSocket(`${scheme}://${location.host}/ws`);
+        status.textContent = 'Connecting...';
+
+        ws.onmessage = (event) => {
+            try {
+                handleMessage(JSON.parse(event.data));
+            } catch (error) {
+                show(`Parse error: ${error.message}`, 'error');
+            }
+        };
+        ws.onclose = () => {
+            registered = false;
+            input.disabled = true;
+            status.textContent = 'Disconnected';
+            show('Disconnected from server', 'system');
+        };
+    });
+
+    document.getElementById('send').addEventListener('submit', (event) => {
+        event.preventDefault();
+        const text = input.value.trim();
+        input.value = '';
+        if (!text || !registered) return;
+
+        const privateMatch = text.match(/^@(\S+)\s+(.+)$/);
+        if (text === 'list') {
+            send({ type: 'list_clients' });
+        } else if (privateMatch) {
+            send({ type: 'private_message', target: privateMatch[1], content: privateMatch[2] });
+        } else {
+            send({ type: 'message', content: text });
+            show(`[YOU] ${text}`);
+        }
+    });
+})();
@@ -0,0 +1,67 @@
+// Token bucket: holds up to `burst` tokens and refills at `rate` tokens per second.
+// Each allowed action takes one token; when the bucket is empty the action is limited.
+class TokenBucket {
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+        this.lastRefill = now;
+    }
+
+    take() {
+        this.refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return true;
+        }
+        return false;
+    }
+
+    // Milliseconds until the next token is available
+    retryAfter() {
+        this.refill();
+        if (this.tokens >= 1) return 0;
+        return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+    }
+
+    isFull() {
+        this.refill();
+        return this.tokens >= this.burst;
+    }
+}
+
+// Defaults per connection; `connection` covers every message except file data, the rest are per type
+const DEFAULT_RATE_LIMITS = {
+    frame: { rate: 250, burst: 500 }, // Every frame, charged before it is parsed; above file data so transfers never hit it
+    connection: { rate: 20, burst: 40 },
+    message: { rate: 2, burst: 10 },
+    private_message: { rate: 5, burst: 15 },
+    room_message: { rate: 2, burst: 10 },
+    file_chunk: { rate: 100, burst: 200 },
+    file_ack: { rate: 100, burst: 200 }
+};
+
+// Repeated breaches escalate: rate_limited -> temporary mute -> disconnect
+const DEFAULT_ESCALATION = {
+    violationWindow: 60000, // Breaches older than this are forgotten
+    muteAfter: 5, // Breaches within the window before a mute
+    muteDuration: 60000,
+    disconnectAfter: 10 // Breaches within the window before a disconnect
+};
+
+// New connections accepted per remote IP
+const DEFAULT_CONNECTION_RATE = { rate: 1, burst: 20 };
+
+module.exports = {
+    TokenBucket,
+    DEFAULT_RATE_LIMITS,
+    DEFAULT_ESCALATION,
+    DEFAULT_CONNECTION_RATE
+};
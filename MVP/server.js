@@ -1,347 +1,3233 @@
 const net = require('net');
+const tls = require('tls');
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const { createAuthenticator } = require('./auth');
+const { createHistoryStore } = require('./history');
+const { TokenBucket, DEFAULT_RATE_LIMITS, DEFAULT_ESCALATION, DEFAULT_CONNECTION_RATE } = require('./ratelimit');
+const BanList = require('./bans');
+const MonitorServer = require('./monitor');
+const { WebSocketGateway } = require('./websocket');
+const { PROTOCOL_VERSION, FRAMINGS, encodeMessage, MessageDecoder } = require('./framing');
+const { Federation } = require('./federation');
+const { DiscoveryResponder } = require('./discovery');
+const { Logger } = require('./logger');
+const AuditLog = require('./audit');
+const { SERVER_SETTINGS, checkServerSettings, resolveConfig, describeSettings } = require('./config');
 
-class TCPServer {
-    constructor(port = 8080, host = '0.0.0.0') {
+// Optional protocol features a client can ask for in its hello
+const SERVER_FEATURES = ['rooms', 'wildcard_targets', 'offline_queue', 'history', 'receipts', 'resume', 'admin', 'request_ids', 'presence', 'heartbeat'];
+
+// Only for clients that name them in their hello: heartbeat evicts whoever doesn't answer,
+// which would cut off clients that never heard of it
+const OPT_IN_FEATURES = ['heartbeat'];
+
+// Messages a slow client can miss without breaking anything: presence, chatter and receipts.
+// Private messages, errors, file transfer traffic and the like are never dropped.
+const DROPPABLE_TYPES = ['chat_message', 'room_message', 'client_joined', 'client_left', 'room_client_joined',
+    'room_client_left', 'clients_reachable', 'clients_unreachable', 'delivered', 'read', 'pong', 'announcement',
+    'presence', 'typing'];
+
+// Client message types the server handles itself; handle() can't take these over
+const BUILTIN_TYPES = ['register', 'message', 'private_message', 'list_clients', 'join_room', 'leave_room', 'list_rooms',
+    'room_message', 'ack', 'read', 'history', 'hello', 'file_offer', 'file_accept', 'file_chunk', 'file_ack',
+    'file_complete', 'file_result', 'file_cancel', 'kick', 'ban', 'unban', 'mute', 'unmute', 'announce', 'ping',
+    'set_status', 'typing', 'last_seen', 'heartbeat', 'heartbeat_ack'];
+
+// Presence a client can choose; any of them can carry free text ("busy" + "in a meeting")
+const PRESENCE_STATES = ['online', 'away', 'busy'];
+
+// Sent by client software on its own, so they don't count as the person being active
+const IDLE_EXEMPT_TYPES = ['ping', 'ack', 'hello', 'file_chunk', 'file_ack', 'file_complete', 'file_result', 'heartbeat', 'heartbeat_ack'];
+
+// All a draining server still accepts: keep-alives and receipts for messages already delivered
+const DRAIN_ALLOWED_TYPES = ['ping', 'heartbeat', 'heartbeat_ack', 'ack', 'read'];
+
+// Messages a client may pipeline behind a register or an async middleware still deciding
+const MAX_DEFERRED_MESSAGES = 100;
+
+// How often drain() checks whether clients' queued output has gone out
+const DRAIN_CHECK_INTERVAL = 50;
+
+// How long a SIGUSR2 replacement process gets to start accepting connections
+const HANDOFF_TIMEOUT = 30000;
+
+// What systemIds and clientIds may contain unless options.idPattern narrows it
+const DEFAULT_ID_PATTERN = '^[a-zA-Z0-9_-]+$';
+
+// Options reconfigure() can change on a running server; the rest need a restart
+const RELOADABLE_OPTIONS = ['logLevel', 'logFormat', 'maxConnections', 'socketTimeout', 'keepAliveDelay', 'maxMessageSize',
+    'maxFrameSize', 'idPattern', 'admins', 'maxAuthFailures', 'authLockoutTime', 'slowConsumerPolicy',
+    'outboundHighWaterMark', 'outboundMaxMessages', 'offlineQueueLimit', 'offlineMessageTtl', 'sessionGraceTime',
+    'idleTimeout', 'heartbeatInterval', 'heartbeatTimeout', 'middlewareTimeout', 'drainTimeout', 'restartEta', 'reconnectJitter',
+    'maxTransferSize', 'maxTransfersPerClient', 'rateLimits', 'rateEscalation', 'connectionRate'];
+
+// Embedding: TCPServer emits connection, register, message, private_message, presence,
+// disconnect and error events, runs every inbound message through the use() middleware chain and
+// hands unknown message types to handlers added with handle().
+class TCPServer extends EventEmitter {
+    constructor(port = 8080, host = '0.0.0.0', options = {}) {
+        super();
         this.port = port;
         this.host = host;
+        // Operational log ({level, format, file} options, or a ready-made Logger), plus an optional
+        // AuditLog of registrations, disconnects, private message metadata and admin actions
+        this.logger = options.logger || new Logger({
+            level: options.logLevel,
+            format: options.logFormat,
+            file: options.logFile,
+            maxSize: options.logMaxSize,
+            maxFiles: options.logMaxFiles
+        });
+        this.audit = options.audit || null;
+        this.maxConnections = options.maxConnections || 100;
+        this.socketTimeout = options.socketTimeout !== undefined ? options.socketTimeout : 300000; // 5 minutes; 0 disables
+        this.keepAliveDelay = options.keepAliveDelay !== undefined ? options.keepAliveDelay : 60000; // 0 disables keep-alive
+        this.idPattern = new RegExp(options.idPattern || DEFAULT_ID_PATTERN);
+        this.authenticator = options.authenticator || createAuthenticator('open');
+        this.maxAuthFailures = options.maxAuthFailures || 5;
+        this.authLockoutTime = options.authLockoutTime || 300000; // 5 minutes
+        this.authFailures = new Map(); // "remote IP fullId" -> {count, lastFailure, lockedUntil}
+        // Optional TLS: {cert, key, ca, requestCert, requireCertMatch} (cert/key/ca are file paths)
+        this.tlsConfig = options.tls || null;
+        this.maxMessageSize = options.maxMessageSize || 10000; // Longest line in newline framing
+        this.maxFrameSize = options.maxFrameSize || 1048576; // Largest payload in length framing (1 MB)
         this.clients = new Map(); // connectionId -> {socket, systemId, clientId, buffer}
         this.clientMap = new Map(); // "systemId.clientId" -> connectionId
+        this.rooms = new Map(); // roomName -> Set of connectionIds
+        this.knownClients = new Set(); // fullIds that have registered at least once
+        this.offlineQueue = new Map(); // fullId -> [{from, to, content, timestamp, expiresAt}]
+        this.offlineQueueLimit = options.offlineQueueLimit || 50; // Messages held per recipient
+        this.offlineMessageTtl = options.offlineMessageTtl || 86400000; // 24 hours
+        this.history = options.historyStore || createHistoryStore('memory');
+        this.maxHistoryPage = options.maxHistoryPage || 200; // Cap on history/replay sizes
+        this.receipts = new Map(); // messageId -> {from, recipients: Map(fullId -> 'sent'|'delivered'|'read'), expiresAt}
+        this.maxTrackedReceipts = options.maxTrackedReceipts || 10000;
+        this.peerMessages = new Map(); // messageId -> serverId that sent us a private message, so receipts go back there
+        this.transfers = new Map(); // transferId -> {id, from, to, name, size, sha256, chunkSize, state, acked, createdAt, updatedAt}
+        this.maxTransferSize = options.maxTransferSize || 104857600; // 100 MB
+        this.maxTransfersPerClient = options.maxTransfersPerClient || 5; // Outgoing transfers in progress
+        this.maxChunkSize = options.maxChunkSize || 49152; // Raw bytes per file_chunk (64 KB as base64)
+        this.transferTtl = options.transferTtl || 600000; // Idle transfers are forgotten after 10 minutes
+        this.sessions = new Map(); // fullId -> {token, connectionId (null while held), rooms, pending, graceTimer}
+        this.sessionGraceTime = options.sessionGraceTime !== undefined ? options.sessionGraceTime : 30000; // 0 disables resumption
+        this.sessionBufferLimit = options.sessionBufferLimit || 100; // Messages buffered for a held session
+        this.rateLimits = Object.assign({}, DEFAULT_RATE_LIMITS, options.rateLimits); // type -> {rate, burst}
+        this.rateEscalation = Object.assign({}, DEFAULT_ESCALATION, options.rateEscalation);
+        this.connectionRate = Object.assign({}, DEFAULT_CONNECTION_RATE, options.connectionRate);
+        this.connectionBuckets = new Map(); // remote IP -> TokenBucket for accepted connections
+        this.admins = new Set(options.admins || []); // fullIds allowed to kick/ban/mute/announce
+        this.banList = options.banList || new BanList();
+        this.adminMutes = new Map(); // fullId -> muted until (ms, Infinity = until unmuted)
+        this.monitorConfig = options.monitor || null; // {port, host} for the HTTP stats listener
+        this.monitor = null;
+        this.websocketConfig = options.websocket || null; // {port, host, origins} for browser clients
+        this.websocket = null;
+        this.federationConfig = options.federation || null; // {serverId, secret, port, host, peers: [{host, port}]}
+        this.federation = null;
+        this.discoveryConfig = options.discovery || null; // {port, group, name, host} to answer LAN discovery probes
+        this.discovery = null;
+        this.remoteClients = new Map(); // fullId -> {serverId, registeredAt, reachable} for clients on peer servers
+        this.outboundHighWaterMark = options.outboundHighWaterMark || 1048576; // Bytes queued per client once its socket is backed up
+        this.outboundMaxMessages = options.outboundMaxMessages || 1000; // Messages queued per client
+        this.slowConsumerPolicy = options.slowConsumerPolicy || 'drop'; // 'drop' oldest droppable messages, or 'disconnect'
+        this.outboundStats = { dropped: 0, disconnected: 0 };
+        this.middleware = []; // fn(context, next), in the order they were added
+        this.handlers = new Map(); // custom message type -> {handler, requireRegistration}
+        this.replyTo = null; // {connectionId, requestId} of the message being handled, if it had one
+        this.idleTimeout = options.idleTimeout !== undefined ? options.idleTimeout : 300000; // Inactive this long -> away; 0 disables
+        this.maxStatusText = options.maxStatusText || 100; // Characters of custom status text
+        this.lastSeen = new Map(); // fullId -> ms when it last left, oldest first
+        this.maxLastSeen = options.maxLastSeen || 10000;
+        this.idleTimer = null;
+        this.heartbeatInterval = options.heartbeatInterval !== undefined ? options.heartbeatInterval : 30000; // Quiet this long -> heartbeat; 0 disables
+        this.heartbeatTimeout = options.heartbeatTimeout || 10000; // Time allowed to answer one
+        this.heartbeatTimer = null;
+        this.middlewareTimeout = options.middlewareTimeout || 30000; // An async middleware gets this long per message
+        this.drainTimeout = options.drainTimeout !== undefined ? options.drainTimeout : 10000; // Shutdown waits this long for queued output
+        this.restartEta = options.restartEta !== undefined ? options.restartEta : 5000; // Clients are told to come back after this
+        this.reconnectJitter = options.reconnectJitter !== undefined ? options.reconnectJitter : 5000; // Random extra wait per client
+        this.draining = null; // Promise from drain() while the server is closing down
+        // Listening servers handed over by the process this one replaces: {chat, websocket, monitor, federation}
+        this.inheritedListeners = options.listeners || {};
+        this.startedAt = Date.now();
+        this.metrics = {
+            messagesIn: {}, // message type -> count
+            messagesOut: {}, // message type -> count
+            bytesIn: 0,
+            bytesOut: 0,
+            errors: { socket: 0, parse: 0, dispatch: 0, send: 0 },
+            bufferOverflows: 0,
+            heartbeatEvictions: 0
+        };
+        this.rateLimitStats = {
+            limited: 0,
+            muted: 0,
+            disconnected: 0,
+            connectionsRejected: 0,
+            byType: {} // message type -> limit hits
+        };
         this.server = null;
     }
 
+    loadTlsOptions() {
+        const config = this.tlsConfig;
+        if (!config.cert || !config.key) {
+            throw new Error('TLS requires both cert and key paths');
+        }
+
+        const options = {
+            cert: fs.readFileSync(config.cert),
+            key: fs.readFileSync(config.key)
+        };
+        if (config.ca) {
+            options.ca = fs.readFileSync(config.ca);
+        }
+        // Mutual TLS: only clients with a certificate signed by our CA get in
+        if (config.requestCert || config.requireCertMatch) {
+            options.requestCert = true;
+            options.rejectUnauthorized = true;
+        }
+        return options;
+    }
+
     start() {
-        this.server = net.createServer((socket) => {
+        this.startedAt = Date.now();
+
+        const onConnection = (socket) => {
+            // Per-IP connection rate limit, checked before we keep any state
+            if (!this.allowConnection(socket.remoteAddress)) {
+                this.rateLimitStats.connectionsRejected++;
+                this.logger.warn('Connection rate limit hit, rejecting', { remoteAddress: socket.remoteAddress });
+                socket.on('error', () => {});
+                socket.end(JSON.stringify({
+                    type: 'rate_limited',
+                    action: 'reject',
+                    message: 'Too many connections from your address. Try again later.',
+                    retryAfter: Math.ceil(this.connectionBuckets.get(socket.remoteAddress).retryAfter() / 1000),
+                    timestamp: this.getTimestamp()
+                }) + '\n');
+                return;
+            }
+
+            // Refuse banned addresses before they get a welcome
+            const ipBan = this.banList.find({ ip: socket.remoteAddress });
+            if (ipBan) {
+                this.logger.warn('Rejected banned address', { remoteAddress: socket.remoteAddress });
+                this.audit?.record('connection_refused', { remoteAddress: socket.remoteAddress, reason: 'banned', ban: ipBan.value });
+                socket.on('error', () => {});
+                socket.end(JSON.stringify(this.getBannedMessage(ipBan)) + '\n');
+                return;
+            }
+
             const connectionId = `${socket.remoteAddress}:${socket.remotePort}`;
-            console.log(`[${this.getTimestamp()}] Client connected: ${connectionId}`);
+            this.logger.info('Client connected', { connectionId: connectionId, webSocket: socket.isWebSocket || undefined });
             
-            // Set socket encoding and keep-alive
-            socket.setEncoding('utf8');
-            socket.setKeepAlive(true, 60000); // 60 second keep-alive
-            socket.setTimeout(300000); // 5 minute timeout
+            // Set keep-alive (data stays binary so length-prefixed framing can be used)
+            socket.setKeepAlive(this.keepAliveDelay > 0, this.keepAliveDelay);
+            socket.setTimeout(this.socketTimeout);
             
             // Store client with message buffer for handling partial messages
             this.clients.set(connectionId, {
                 socket: socket,
+                remoteAddress: socket.remoteAddress,
                 systemId: null,
                 clientId: null,
                 registered: false,
-                buffer: '' // Buffer for incomplete JSON messages
+                rooms: new Set(), // Names of rooms this client has joined
+                buckets: new Map(), // Rate limit TokenBuckets: 'connection' or message type -> bucket
+                violations: [], // Times of recent rate limit breaches
+                mutedUntil: 0,
+                disconnecting: false,
+                authenticating: false,
+                middlewarePending: false, // An async middleware is still deciding on a message
+                middlewareTimer: null, // Gives up on the held message after middlewareTimeout
+                deferred: [], // Messages that arrived while a register was being authenticated
+                outQueue: [], // Encoded messages waiting for the socket to drain: {type, data, size}
+                outQueueBytes: 0,
+                writeBlocked: false, // socket.write() returned false and 'drain' hasn't fired yet
+                droppedMessages: 0, // Dropped since the client last caught up, reported on drain
+                protocolVersion: 1, // Raised by a hello
+                negotiated: false,
+                features: [],
+                presence: { status: 'online', text: null, auto: false }, // auto: set away by idle detection
+                lastActivity: Date.now(), // Last message the person (not their software) sent
+                lastHeard: Date.now(), // Last time any data arrived, for heartbeats
+                heartbeat: null, // {seq, sentAt} while a heartbeat is waiting for an answer
+                // Buffer for incomplete messages; starts in newline framing
+                decoder: new MessageDecoder({
+                    maxLineLength: this.maxMessageSize,
+                    maxFrameSize: this.maxFrameSize
+                })
             });
 
             socket.on('data', (data) => {
                 this.handleClientData(connectionId, data);
             });
 
+            socket.on('drain', () => {
+                this.flushOutbound(connectionId);
+            });
+
             socket.on('close', () => {
-                console.log(`[${this.getTimestamp()}] Client disconnected: ${connectionId}`);
-                this.handleClientDisconnect(connectionId);
+                const client = this.clients.get(connectionId);
+                const reason = client && client.disconnectReason ? client.disconnectReason : 'closed';
+                this.logger.info('Client disconnected', this.logContext(connectionId, { reason: reason }));
+                this.handleClientDisconnect(connectionId, reason);
             });
 
             socket.on('timeout', () => {
-                console.log(`[${this.getTimestamp()}] Client timeout: ${connectionId}`);
+                this.logger.info('Client timeout', this.logContext(connectionId));
                 socket.end();
             });
 
             socket.on('error', (err) => {
-                console.error(`[${this.getTimestamp()}] Client error (${connectionId}):`, err.message);
-                this.handleClientDisconnect(connectionId);
+                this.metrics.errors.socket++;
+                this.logger.error('Client error', this.logContext(connectionId, { error: err.message }));
+                this.emitError(err, { connectionId: connectionId, source: 'socket' });
+                this.handleClientDisconnect(connectionId, 'error');
+            });
+
+            this.emit('connection', connectionId, {
+                remoteAddress: socket.remoteAddress,
+                webSocket: !!socket.isWebSocket
             });
 
             // Send welcome message
+            const authRequired = this.authenticator.requiresSecret;
             this.sendToClient(connectionId, {
                 type: 'welcome',
-                message: 'Connected to Chat Server. Send {"type": "register", "systemId": "sys1", "clientId": "cli1"} to register.',
+                message: authRequired
+                    ? 'Connected to Chat Server. Send {"type": "register", "systemId": "sys1", "clientId": "cli1", "secret": "..."} to register.'
+                    : 'Connected to Chat Server. Send {"type": "register", "systemId": "sys1", "clientId": "cli1"} to register.',
+                authRequired: authRequired,
+                // New clients may send a hello to negotiate these; old ones just carry on
+                protocolVersion: PROTOCOL_VERSION,
+                framings: socket.isWebSocket ? ['newline'] : FRAMINGS,
+                heartbeat: this.heartbeatInterval > 0 ? { interval: this.heartbeatInterval, timeout: this.heartbeatTimeout } : undefined,
                 timestamp: this.getTimestamp()
             });
-        });
+        };
+
+        if (this.tlsConfig) {
+            this.server = tls.createServer(this.loadTlsOptions(), onConnection);
+            this.server.on('tlsClientError', (err, socket) => {
+                this.logger.warn('TLS handshake failed', { remoteAddress: socket.remoteAddress, remotePort: socket.remotePort, error: err.message });
+            });
+        } else {
+            this.server = net.createServer(onConnection);
+        }
 
         this.server.on('error', (err) => {
             if (err.code === 'EADDRINUSE') {
-                console.error(`Port ${this.port} is already in use. Retrying in 3 seconds...`);
+                this.logger.error('Port is already in use, retrying in 3 seconds', { port: this.port });
                 setTimeout(() => {
                     this.server.close();
                     this.server.listen(this.port, this.host);
                 }, 3000);
             } else {
-                console.error('Server error:', err);
+                this.logger.error('Server error', { error: err.message });
             }
         });
 
-        this.server.listen(this.port, this.host, () => {
-            console.log(`[${this.getTimestamp()}] Chat Server running on ${this.host}:${this.port}`);
-            console.log('Waiting for clients to connect...\n');
-        });
+        const listening = () => {
+            this.logger.info('Chat server running', { host: this.host, port: this.port, tls: !!this.tlsConfig, inherited: !!this.inheritedListeners.chat || undefined });
+        };
+        if (this.inheritedListeners.chat) {
+            this.server.listen(this.inheritedListeners.chat, listening);
+        } else {
+            this.server.listen(this.port, this.host, listening);
+        }
 
-        // Set max connections (adjust based on your needs)
-        this.server.maxConnections = 100;
-    }
+        this.server.maxConnections = this.maxConnections;
 
-    handleClientData(connectionId, data) {
-        const client = this.clients.get(connectionId);
-        if (!client) return;
+        if (this.monitorConfig) {
+            this.monitor = new MonitorServer(this, this.monitorConfig.port, this.monitorConfig.host || this.host, this.inheritedListeners.monitor);
+            this.monitor.start();
+        }
 
-        // Append data to buffer to handle partial messages
-        client.buffer += data;
+        // Browser clients go through the same connection handling as TCP ones
+        if (this.websocketConfig) {
+            this.websocket = new WebSocketGateway(onConnection, this.websocketConfig.port, this.websocketConfig.host || this.host, {
+                tlsOptions: this.tlsConfig ? this.loadTlsOptions() : null,
+                logger: this.logger,
+                listener: this.inheritedListeners.websocket,
+                origins: this.websocketConfig.origins
+            });
+            this.websocket.start();
+        }
 
-        // Process complete messages (delimited by newline)
-        let newlineIndex;
-        while ((newlineIndex = client.buffer.indexOf('\n')) !== -1) {
-            const message = client.buffer.substring(0, newlineIndex).trim();
-            client.buffer = client.buffer.substring(newlineIndex + 1);
+        if (this.federationConfig) {
+            this.federation = new Federation(this, Object.assign({ listener: this.inheritedListeners.federation }, this.federationConfig));
+            this.federation.start();
+        }
 
-            if (message) {
-                this.processMessage(connectionId, message);
-            }
+        if (this.discoveryConfig) {
+            this.discovery = new DiscoveryResponder(this, this.discoveryConfig);
+            this.discovery.start();
         }
 
-        // Prevent buffer overflow
-        if (client.buffer.length > 10000) {
-            console.warn(`[${this.getTimestamp()}] Buffer overflow for ${connectionId}, clearing buffer`);
-            client.buffer = '';
-            this.sendToClient(connectionId, {
-                type: 'error',
-                message: 'Message too large or malformed',
-                timestamp: this.getTimestamp()
-            });
+        this.startTimers();
+    }
+
+    // (Re)starts the idle and heartbeat sweeps from the current settings
+    startTimers() {
+        clearInterval(this.idleTimer);
+        clearInterval(this.heartbeatTimer);
+        this.idleTimer = null;
+        this.heartbeatTimer = null;
+
+        if (this.idleTimeout > 0) {
+            this.idleTimer = setInterval(() => this.checkIdle(), Math.min(this.idleTimeout, 30000));
+        }
+
+        if (this.heartbeatInterval > 0) {
+            this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), Math.min(this.heartbeatInterval, this.heartbeatTimeout) / 2);
         }
     }
 
-    processMessage(connectionId, message) {
-        const client = this.clients.get(connectionId);
-        if (!client) return;
+    // Applies new values for RELOADABLE_OPTIONS without dropping anyone; other keys are
+    // ignored. Returns the names that were applied.
+    reconfigure(options = {}) {
+        const applied = RELOADABLE_OPTIONS.filter(key => options[key] !== undefined);
 
-        try {
-            const parsed = JSON.parse(message);
-            
-            // Validate message structure
-            if (!parsed.type) {
-                throw new Error('Message type is required');
-            }
-
-            switch (parsed.type) {
-                case 'register':
-                    if (!parsed.systemId || !parsed.clientId) {
-                        this.sendToClient(connectionId, {
-                            type: 'error',
-                            message: 'systemId and clientId are required for registration',
-                            timestamp: this.getTimestamp()
-                        });
-                        return;
-                    }
-                    this.registerClient(connectionId, parsed.systemId, parsed.clientId);
+        applied.forEach((key) => {
+            switch (key) {
+                case 'logLevel':
+                    this.logger.setLevel(options.logLevel);
                     break;
-                
-                case 'message':
-                    if (!client.registered) {
-                        this.sendToClient(connectionId, {
-                            type: 'error',
-                            message: 'You must register before sending messages',
-                            timestamp: this.getTimestamp()
-                        });
-                        return;
-                    }
-                    if (!parsed.content) {
-                        this.sendToClient(connectionId, {
-                            type: 'error',
-                            message: 'Message content is required',
-                            timestamp: this.getTimestamp()
-                        });
-                        return;
-                    }
-                    this.broadcastMessage({
-                        type: 'chat_message',
-                        from: `${client.systemId}.${client.clientId}`,
-                        content: parsed.content,
-                        timestamp: this.getTimestamp()
-                    }, connectionId);
+                case 'logFormat':
+                    this.logger.setFormat(options.logFormat);
                     break;
-                
-                case 'private_message':
-                    if (!client.registered) {
-                        this.sendToClient(connectionId, {
-                            type: 'error',
-                            message: 'You must register before sending messages',
-                            timestamp: this.getTimestamp()
-                        });
-                        return;
-                    }
-                    if (!parsed.target || !parsed.content) {
-                        this.sendToClient(connectionId, {
-                            type: 'error',
-                            message: 'target and content are required for private messages',
-                            timestamp: this.getTimestamp()
-                        });
-                        return;
-                    }
-                    this.sendPrivateMessage(
-                        connectionId,
-                        `${client.systemId}.${client.clientId}`,
-                        parsed.target,
-                        parsed.content
-                    );
+                case 'idPattern':
+                    this.idPattern = new RegExp(options.idPattern);
                     break;
-                
-                case 'list_clients':
-                    if (!client.registered) {
-                        this.sendToClient(connectionId, {
-                            type: 'error',
-                            message: 'You must register before listing clients',
-                            timestamp: this.getTimestamp()
-                        });
-                        return;
-                    }
-                    this.sendClientList(connectionId);
+                case 'admins':
+                    this.admins = new Set(options.admins);
                     break;
-                
-                case 'ping':
-                    this.sendToClient(connectionId, {
-                        type: 'pong',
-                        timestamp: this.getTimestamp()
-                    });
+                case 'rateLimits':
+                    this.rateLimits = Object.assign({}, DEFAULT_RATE_LIMITS, options.rateLimits);
+                    break;
+                case 'rateEscalation':
+                    this.rateEscalation = Object.assign({}, DEFAULT_ESCALATION, options.rateEscalation);
+                    break;
+                case 'connectionRate':
+                    this.connectionRate = Object.assign({}, DEFAULT_CONNECTION_RATE, options.connectionRate);
+                    this.connectionBuckets.clear();
                     break;
-                
                 default:
-                    this.sendToClient(connectionId, {
-                        type: 'error',
-                        message: `Unknown message type: ${parsed.type}`,
-                        timestamp: this.getTimestamp()
-                    });
+                    this[key] = options[key];
             }
-        } catch (error) {
-            console.error(`[${this.getTimestamp()}] Parse error from ${connectionId}:`, error.message);
-            this.sendToClient(connectionId, {
-                type: 'error',
-                message: `Invalid JSON format: ${error.message}`,
-                timestamp: this.getTimestamp()
-            });
+        });
+
+        if (this.server) {
+            this.server.maxConnections = this.maxConnections;
+        }
+
+        // Connected clients pick up the new limits too; their rate buckets start afresh
+        for (const client of this.clients.values()) {
+            client.decoder.maxLineLength = this.maxMessageSize;
+            client.decoder.maxFrameSize = this.maxFrameSize;
+            if (applied.includes('rateLimits')) {
+                client.buckets.clear();
+            }
+            if (client.socket && !client.socket.destroyed) {
+                client.socket.setTimeout(this.socketTimeout);
+                client.socket.setKeepAlive(this.keepAliveDelay > 0, this.keepAliveDelay);
+            }
+        }
+
+        if (this.server && ['idleTimeout', 'heartbeatInterval', 'heartbeatTimeout'].some(key => applied.includes(key))) {
+            this.startTimers();
         }
+
+        return applied;
     }
 
-    registerClient(connectionId, systemId, clientId) {
+    handleClientData(connectionId, data) {
         const client = this.clients.get(connectionId);
         if (!client) return;
 
-        // Validate systemId and clientId format
-        const idRegex = /^[a-zA-Z0-9_-]+$/;
-        if (!idRegex.test(systemId) || !idRegex.test(clientId)) {
-            this.sendToClient(connectionId, {
-                type: 'error',
-                message: 'systemId and clientId can only contain letters, numbers, underscores, and hyphens',
-                timestamp: this.getTimestamp()
-            });
+        // Append data to buffer to handle partial messages
+        client.decoder.push(data);
+        this.metrics.bytesIn += Buffer.byteLength(data);
+        if (data.length > 0) {
+            client.lastHeard = Date.now();
+        }
+
+        // Process complete messages (a hello may switch framing part way through)
+        // Stops while an async middleware holds a message; finishMiddleware() picks up again
+        let result;
+        while (!client.middlewarePending && (result = client.decoder.next()) !== null) {
+            if (!this.checkFrameRate(connectionId)) {
+                if (!this.clients.has(connectionId)) return;
+                continue;
+            }
+
+            if (result.overflow !== undefined) {
+                this.metrics.bufferOverflows++;
+                this.logger.warn('Message too large, discarded', this.logContext(connectionId, { bytes: result.overflow }));
+                this.sendToClient(connectionId, {
+                    type: 'error',
+                    code: 'MESSAGE_TOO_LARGE',
+                    message: client.decoder.framing === 'length'
+                        ? `Message too large (${result.overflow} bytes, limit ${this.maxFrameSize})`
+                        : `Message too large or malformed (limit ${this.maxMessageSize} bytes per line)`,
+                    timestamp: this.getTimestamp()
+                });
+                continue;
+            }
+
+            if (result.message) {
+                this.processMessage(connectionId, result.message);
+            }
+            if (!this.clients.has(connectionId)) return;
+        }
+    }
+
+    processMessage(connectionId, message) {
+        const client = this.clients.get(connectionId);
+        if (!client || client.disconnecting) return;
+
+        // Keep order: anything pipelined behind a register waits for its outcome
+        if (client.authenticating || client.middlewarePending) {
+            if (client.deferred.length >= MAX_DEFERRED_MESSAGES) {
+                // Nothing legitimate pipelines this much behind one message: say so and hang up
+                // rather than dropping messages behind the client's back
+                this.logger.warn('Too many messages waiting on a register or middleware, disconnecting', this.logContext(connectionId, { waiting: client.deferred.length }));
+                this.sendToClient(connectionId, {
+                    type: 'error',
+                    code: 'TOO_MANY_PENDING',
+                    message: `Too many messages sent while the previous one was still being handled (limit ${MAX_DEFERRED_MESSAGES})`,
+                    timestamp: this.getTimestamp()
+                });
+                this.disconnectClient(connectionId, 'flooding');
+                return;
+            }
+            client.deferred.push(message);
             return;
         }
 
-        const fullId = `${systemId}.${clientId}`;
+        let parsed;
+        try {
+            parsed = JSON.parse(message);
+        } catch (error) {
+            this.rejectMalformed(connectionId, 'INVALID_JSON', error);
+            return;
+        }
 
-        // Check for duplicate registration
-        if (this.clientMap.has(fullId)) {
-            const existingConnectionId = this.clientMap.get(fullId);
-            if (existingConnectionId !== connectionId && this.clients.has(existingConnectionId)) {
+        const previousReplyTo = this.replyTo;
+        // Everything sent back while this message is handled answers it
+        this.replyTo = this.replyTarget(connectionId, parsed);
+        try {
+            // Validate message structure
+            if (!parsed || !parsed.type) {
+                this.rejectMalformed(connectionId, 'INVALID_MESSAGE', new Error('Message type is required'));
+                return;
+            }
+            this.countMessage(this.metrics.messagesIn, parsed.type);
+
+            if (!this.checkRateLimit(connectionId, parsed.type)) {
+                return;
+            }
+
+            // A draining server only keeps connections alive and takes receipts for what it
+            // already delivered; anything new would be cut off or lost half way
+            if (this.draining && !DRAIN_ALLOWED_TYPES.includes(parsed.type)) {
                 this.sendToClient(connectionId, {
                     type: 'error',
-                    message: `Client ID ${fullId} is already registered. Choose a different ID.`,
+                    code: 'SHUTTING_DOWN',
+                    message: 'Server is shutting down and not taking new requests',
                     timestamp: this.getTimestamp()
                 });
                 return;
             }
-            // If same connection is re-registering, allow it
-            this.clientMap.delete(fullId);
+
+            if (this.isAdminMuted(client) && ['message', 'private_message', 'room_message', 'file_offer'].includes(parsed.type)) {
+                this.sendToClient(connectionId, {
+                    type: 'error',
+                    code: 'MUTED',
+                    message: 'You have been muted by an admin',
+                    timestamp: this.getTimestamp()
+                });
+                return;
+            }
+
+            if (this.middleware.length === 0) {
+                this.dispatchMessage(connectionId, client, parsed);
+                return;
+            }
+
+            const context = this.createContext(connectionId, client, parsed);
+            let decided = false;
+            let waiting = false;
+            let timedOut = false;
+            this.runMiddleware(context, (proceed) => {
+                if (timedOut) return; // Already refused and moved past
+                decided = true;
+                if (waiting) {
+                    this.finishMiddleware(connectionId, client, proceed ? context.message : null);
+                } else if (proceed) {
+                    this.dispatchMessage(connectionId, client, context.message);
+                }
+            });
+
+            // Still undecided: an async middleware is waiting on something, so hold
+            // this client's later messages until it makes up its mind. One that never does is
+            // a fault on our side, so the message is refused and the connection carries on.
+            if (!decided) {
+                waiting = true;
+                client.middlewarePending = true;
+                client.middlewareTimer = setTimeout(() => {
+                    timedOut = true;
+                    this.logger.warn('Middleware held a message too long', this.logContext(connectionId, { type: parsed.type, seconds: this.middlewareTimeout / 1000 }));
+                    context.reject('Message could not be processed in time', 'TIMEOUT');
+                    this.finishMiddleware(connectionId, client, null);
+                }, this.middlewareTimeout);
+                if (client.socket.pause) client.socket.pause();
+            }
+        } catch (error) {
+            this.dispatchFailed(connectionId, parsed.type, error);
+        } finally {
+            this.replyTo = previousReplyTo;
         }
+    }
 
-        // Update client registration
-        client.systemId = systemId;
-        client.clientId = clientId;
-        client.registered = true;
-        this.clientMap.set(fullId, connectionId);
+    // The client sent something that isn't a message. Junk is charged like any other message,
+    // so a flood of it is throttled and escalated instead of costing a reply and a log line apiece.
+    rejectMalformed(connectionId, code, error) {
+        if (!this.checkRateLimit(connectionId, 'invalid')) return;
 
-        console.log(`[${this.getTimestamp()}] Client registered: ${fullId} (${connectionId})`);
-        
+        this.metrics.errors.parse++;
+        this.logger.error('Parse error', this.logContext(connectionId, { error: error.message }));
+        this.emitError(error, { connectionId: connectionId, source: 'parse' });
+        this.sendToClient(connectionId, {
+            type: 'error',
+            code: code,
+            message: code === 'INVALID_JSON' ? `Invalid JSON format: ${error.message}` : error.message,
+            timestamp: this.getTimestamp()
+        });
+    }
+
+    // The server broke handling a valid message: that's our bug, not the client's, so the
+    // details go to the log and the client only learns that it didn't work
+    dispatchFailed(connectionId, type, error) {
+        this.metrics.errors.dispatch++;
+        this.logger.error('Error handling message', this.logContext(connectionId, { type: type, error: error.message }));
+        this.emitError(error, { connectionId: connectionId, source: 'dispatch', type: type });
+        this.sendToClient(connectionId, {
+            type: 'error',
+            code: 'INTERNAL_ERROR',
+            message: 'Message could not be processed',
+            timestamp: this.getTimestamp()
+        });
+    }
+
+    // A request ID is any short string or number the client chose; it is echoed on
+    // every reply and error so the client can match them to the request
+    replyTarget(connectionId, parsed) {
+        const requestId = parsed ? parsed.requestId : undefined;
+        const valid = (typeof requestId === 'string' && requestId.length > 0 && requestId.length <= 64) ||
+            (typeof requestId === 'number' && Number.isFinite(requestId));
+        return valid ? { connectionId: connectionId, requestId: requestId } : null;
+    }
+
+    withReplyTo(replyTo, fn) {
+        const previous = this.replyTo;
+        this.replyTo = replyTo;
+        try {
+            return fn();
+        } finally {
+            this.replyTo = previous;
+        }
+    }
+
+    // For replies sent later from a callback: keeps answering the same request
+    bindReply(fn) {
+        const replyTo = this.replyTo;
+        return (...args) => this.withReplyTo(replyTo, () => fn(...args));
+    }
+
+    // The built-in message types; anything else goes to a handler added with handle()
+    dispatchMessage(connectionId, client, parsed) {
+        if (!parsed || typeof parsed.type !== 'string') {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'INVALID_MESSAGE',
+                message: 'Message type is required',
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        if (client.registered && !IDLE_EXEMPT_TYPES.includes(parsed.type)) {
+            this.noteActivity(connectionId, client, parsed.type);
+        }
+
+        switch (parsed.type) {
+            case 'register':
+                if (!parsed.systemId || !parsed.clientId) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'MISSING_FIELD',
+                        message: 'systemId and clientId are required for registration',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.authenticateClient(connectionId, parsed.systemId, parsed.clientId, parsed.secret, {
+                    replay: parsed.replay,
+                    since: parsed.since,
+                    resumeToken: parsed.resumeToken
+                });
+                break;
+            
+            case 'message': {
+                if (!client.registered) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_REGISTERED',
+                        message: 'You must register before sending messages',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (!parsed.content) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'MISSING_FIELD',
+                        message: 'Message content is required',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (typeof parsed.content !== 'string') {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'INVALID_MESSAGE',
+                        message: 'content must be a string',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                const chatMessage = {
+                    type: 'chat_message',
+                    id: this.generateMessageId(),
+                    from: `${client.systemId}.${client.clientId}`,
+                    content: parsed.content,
+                    timestamp: this.getTimestamp()
+                };
+                this.broadcastMessage(chatMessage, connectionId);
+                this.federation?.broadcast({ type: 'peer_broadcast', message: chatMessage });
+                this.history.append(chatMessage);
+                this.emit('message', chatMessage, connectionId);
+                break;
+            }
+            
+            case 'private_message':
+                if (!client.registered) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_REGISTERED',
+                        message: 'You must register before sending messages',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (!parsed.target || !parsed.content) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'MISSING_FIELD',
+                        message: 'target and content are required for private messages',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (typeof parsed.target !== 'string') {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'INVALID_TARGET',
+                        message: 'target must be a string: systemId.clientId, systemId.* or a comma-separated list',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (typeof parsed.content !== 'string') {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'INVALID_MESSAGE',
+                        message: 'content must be a string',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.sendPrivateMessage(
+                    connectionId,
+                    `${client.systemId}.${client.clientId}`,
+                    parsed.target,
+                    parsed.content
+                );
+                break;
+            
+            case 'list_clients':
+                if (!client.registered) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_REGISTERED',
+                        message: 'You must register before listing clients',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.sendClientList(connectionId);
+                break;
+            
+            case 'join_room':
+            case 'leave_room':
+            case 'list_rooms':
+                if (!client.registered) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_REGISTERED',
+                        message: 'You must register before using rooms',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (parsed.type === 'list_rooms') {
+                    this.sendRoomList(connectionId);
+                    return;
+                }
+                if (!parsed.room) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'MISSING_FIELD',
+                        message: 'room is required',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (parsed.type === 'join_room') {
+                    this.joinRoom(connectionId, parsed.room);
+                } else {
+                    this.leaveRoom(connectionId, parsed.room);
+                }
+                break;
+            
+            case 'room_message':
+                if (!client.registered) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_REGISTERED',
+                        message: 'You must register before sending messages',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (!parsed.room || !parsed.content) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'MISSING_FIELD',
+                        message: 'room and content are required for room messages',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (typeof parsed.content !== 'string') {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'INVALID_MESSAGE',
+                        message: 'content must be a string',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (!client.rooms.has(parsed.room)) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_IN_ROOM',
+                        message: `You are not a member of room ${parsed.room}`,
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.broadcastToRoom(parsed.room, {
+                    type: 'room_message',
+                    id: this.generateMessageId(),
+                    room: parsed.room,
+                    from: `${client.systemId}.${client.clientId}`,
+                    content: parsed.content,
+                    timestamp: this.getTimestamp()
+                }, connectionId);
+                break;
+            
+            case 'ack':
+            case 'read':
+                if (!client.registered) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_REGISTERED',
+                        message: 'You must register before sending receipts',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                if (!parsed.id) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'MISSING_FIELD',
+                        message: 'id is required for receipts',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.handleReceipt(`${client.systemId}.${client.clientId}`, parsed.id, parsed.type === 'ack' ? 'delivered' : 'read');
+                break;
+            
+            case 'history':
+                if (!client.registered) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_REGISTERED',
+                        message: 'You must register before requesting history',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.sendHistory(connectionId, {
+                    peer: parsed.peer,
+                    before: parsed.before,
+                    limit: parsed.limit
+                });
+                break;
+            
+            case 'hello':
+                this.negotiateProtocol(connectionId, parsed);
+                break;
+            
+            case 'file_offer':
+            case 'file_accept':
+            case 'file_chunk':
+            case 'file_ack':
+            case 'file_complete':
+            case 'file_result':
+            case 'file_cancel':
+                if (!client.registered) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_REGISTERED',
+                        message: 'You must register before sending files',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.handleFileMessage(connectionId, parsed);
+                break;
+            
+            case 'kick':
+            case 'ban':
+            case 'unban':
+            case 'mute':
+            case 'unmute':
+            case 'announce':
+                this.handleAdminCommand(connectionId, parsed);
+                break;
+            
+            case 'set_status':
+            case 'typing':
+            case 'last_seen':
+                if (!client.registered) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'NOT_REGISTERED',
+                        message: 'You must register before using presence',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.handlePresenceMessage(connectionId, client, parsed);
+                break;
+            
+            case 'heartbeat':
+                this.sendToClient(connectionId, {
+                    type: 'heartbeat_ack',
+                    seq: parsed.seq,
+                    timestamp: this.getTimestamp()
+                });
+                break;
+            
+            case 'heartbeat_ack':
+                // Any data counts as an answer (see checkHeartbeats); this just clears it early
+                if (client.heartbeat && parsed.seq === client.heartbeat.seq) {
+                    client.heartbeat = null;
+                }
+                break;
+            
+            case 'ping':
+                // sentAt is the client's own clock, echoed untouched so it can measure round trips
+                this.sendToClient(connectionId, {
+                    type: 'pong',
+                    sentAt: Number.isFinite(parsed.sentAt) ? parsed.sentAt : undefined,
+                    timestamp: this.getTimestamp()
+                });
+                break;
+            
+            default:
+                this.dispatchCustomMessage(connectionId, client, parsed);
+        }
+    }
+
+    // Embedding API. Middleware runs for every inbound message after rate limiting, in
+    // the order added, as fn(context, next): call next() to pass the message on (after
+    // editing or replacing context.message if wanted), context.reject(reason) to refuse
+    // it with an error, or neither to drop it silently. Async middleware must return a
+    // promise so the server knows to wait for it.
+    use(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Middleware must be a function');
+        }
+        this.middleware.push(fn);
+        return this;
+    }
+
+    // Handles a message type the server doesn't know itself; handler(context) may return
+    // a promise. Only registered clients get through unless requireRegistration is false.
+    handle(type, handler, options = {}) {
+        if (typeof type !== 'string' || !type) {
+            throw new TypeError('Message type must be a non-empty string');
+        }
+        if (typeof handler !== 'function') {
+            throw new TypeError('Handler must be a function');
+        }
+        if (BUILTIN_TYPES.includes(type)) {
+            throw new Error(`${type} is a built-in message type; use middleware to change how it behaves`);
+        }
+        this.handlers.set(type, {
+            handler: handler,
+            requireRegistration: options.requireRegistration !== false
+        });
+        return this;
+    }
+
+    createContext(connectionId, client, message) {
+        const type = message.type;
+        // Replies may come after an await, so they carry the request ID themselves
+        const replyTo = this.replyTarget(connectionId, message);
+        const context = {
+            server: this,
+            connectionId: connectionId,
+            fullId: client.registered ? `${client.systemId}.${client.clientId}` : null,
+            registered: client.registered,
+            remoteAddress: client.remoteAddress,
+            message: message,
+            rejected: false,
+            reply: (reply) => this.withReplyTo(replyTo, () => {
+                return this.sendToClient(connectionId, Object.assign({ timestamp: this.getTimestamp() }, reply));
+            }),
+            reject: (reason, code = 'REJECTED') => {
+                if (context.rejected) return;
+                context.rejected = true;
+                this.withReplyTo(replyTo, () => this.sendToClient(connectionId, {
+                    type: 'error',
+                    code: code,
+                    message: reason || 'Message rejected',
+                    rejected: type,
+                    timestamp: this.getTimestamp()
+                }));
+            }
+        };
+        return context;
+    }
+
+    // Calls done(proceed) exactly once, synchronously unless some middleware is async
+    runMiddleware(context, done) {
+        let finished = false;
+        const finish = (proceed) => {
+            if (finished) return;
+            finished = true;
+            done(proceed && !context.rejected);
+        };
+        const fail = (error) => {
+            this.logger.error('Middleware error', this.logContext(context.connectionId, { type: context.message && context.message.type, error: error.message }));
+            this.emitError(error, { connectionId: context.connectionId, source: 'middleware', type: context.message && context.message.type });
+            if (!finished) {
+                context.reject('Message could not be processed', 'INTERNAL_ERROR');
+            }
+            finish(false);
+        };
+
+        const step = (index) => {
+            if (index >= this.middleware.length) {
+                finish(true);
+                return;
+            }
+
+            let called = false;
+            const next = (error) => {
+                if (called || finished) return;
+                called = true;
+                if (error) {
+                    fail(error);
+                } else if (context.rejected) {
+                    finish(false);
+                } else {
+                    step(index + 1);
+                }
+            };
+
+            let result;
+            try {
+                result = this.middleware[index](context, next);
+            } catch (error) {
+                fail(error);
+                return;
+            }
+            if (result && typeof result.then === 'function') {
+                result.then(() => {
+                    if (!called) finish(false);
+                }, fail);
+            } else if (!called) {
+                finish(false);
+            }
+        };
+
+        step(0);
+    }
+
+    // An async middleware decided: deliver its message, then everything that queued up
+    // behind it, in order
+    finishMiddleware(connectionId, client, message) {
+        clearTimeout(client.middlewareTimer);
+        client.middlewareTimer = null;
+        if (!this.clients.has(connectionId)) return;
+        client.middlewarePending = false;
+
+        if (message) {
+            try {
+                this.withReplyTo(this.replyTarget(connectionId, message), () => this.dispatchMessage(connectionId, client, message));
+            } catch (error) {
+                this.withReplyTo(this.replyTarget(connectionId, message), () => this.dispatchFailed(connectionId, message.type, error));
+            }
+        }
+
+        const deferred = client.deferred;
+        client.deferred = [];
+        deferred.forEach(message => this.processMessage(connectionId, message));
+
+        if (client.middlewarePending || !this.clients.has(connectionId)) return;
+        if (client.socket.resume) client.socket.resume();
+        this.handleClientData(connectionId, Buffer.alloc(0));
+    }
+
+    dispatchCustomMessage(connectionId, client, parsed) {
+        const entry = this.handlers.get(parsed.type);
+        if (!entry) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'UNKNOWN_TYPE',
+                message: `Unknown message type: ${parsed.type}`,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+        if (entry.requireRegistration && !client.registered) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'NOT_REGISTERED',
+                message: 'You must register before sending messages',
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        const context = this.createContext(connectionId, client, parsed);
+        const onError = (error) => {
+            this.logger.error('Handler error', this.logContext(connectionId, { type: parsed.type, error: error.message }));
+            this.emitError(error, { connectionId: connectionId, source: 'handler', type: parsed.type });
+            context.reject('Message could not be processed', 'INTERNAL_ERROR');
+        };
+        try {
+            const result = entry.handler(context);
+            if (result && typeof result.then === 'function') {
+                result.catch(onError);
+            }
+        } catch (error) {
+            onError(error);
+        }
+    }
+
+    // 'error' events are only emitted when someone listens: an unheard one would throw
+    emitError(error, details) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error, details);
+        }
+    }
+
+    negotiateProtocol(connectionId, parsed) {
+        const client = this.clients.get(connectionId);
+
+        if (client.registered || client.negotiated) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'PROTOCOL_ERROR',
+                message: 'hello must be the first message, before register',
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        const version = Math.min(parseInt(parsed.version) || 1, PROTOCOL_VERSION);
+        // WebSocket frames already delimit messages, so only newline makes sense there
+        const offered = client.socket.isWebSocket ? ['newline'] : FRAMINGS;
+        const requested = Array.isArray(parsed.framings) ? parsed.framings : ['newline'];
+        const framing = requested.find(name => offered.includes(name)) || 'newline';
+        const features = Array.isArray(parsed.features)
+            ? SERVER_FEATURES.filter(feature => parsed.features.includes(feature))
+            : SERVER_FEATURES.filter(feature => !OPT_IN_FEATURES.includes(feature));
+
+        // The reply still goes out in newline framing; everything after it uses the new one
+        this.sendToClient(connectionId, {
+            type: 'hello',
+            version: version,
+            framing: framing,
+            features: features,
+            maxMessageSize: framing === 'length' ? this.maxFrameSize : this.maxMessageSize,
+            timestamp: this.getTimestamp()
+        });
+
+        client.negotiated = true;
+        client.protocolVersion = version;
+        client.features = features;
+        client.decoder.framing = framing;
+    }
+
+    allowConnection(remoteAddress) {
+        // Forget idle addresses so the map doesn't grow forever
+        if (this.connectionBuckets.size > 1000) {
+            for (const [address, bucket] of this.connectionBuckets) {
+                if (bucket.isFull()) {
+                    this.connectionBuckets.delete(address);
+                }
+            }
+        }
+
+        let bucket = this.connectionBuckets.get(remoteAddress);
+        if (!bucket) {
+            bucket = new TokenBucket(this.connectionRate.rate, this.connectionRate.burst);
+            this.connectionBuckets.set(remoteAddress, bucket);
+        }
+        return bucket.take();
+    }
+
+    getBucket(client, key) {
+        const limit = this.rateLimits[key];
+        if (!limit) return null;
+
+        if (!client.buckets.has(key)) {
+            client.buckets.set(key, new TokenBucket(limit.rate, limit.burst));
+        }
+        return client.buckets.get(key);
+    }
+
+    // Charged for every frame off the wire, parsed or not, so nothing gets past unmetered
+    checkFrameRate(connectionId) {
+        const client = this.clients.get(connectionId);
+        if (!client) return false;
+
+        const bucket = this.getBucket(client, 'frame');
+        if (bucket && !bucket.take()) {
+            this.recordRateViolation(connectionId, 'frame', bucket.retryAfter());
+            return false;
+        }
+        return true;
+    }
+
+    checkRateLimit(connectionId, type) {
+        const client = this.clients.get(connectionId);
+        if (!client) return false;
+
+        const chatTypes = ['message', 'private_message', 'room_message'];
+        const now = Date.now();
+
+        // Muted clients can still list, ping, etc. but not talk
+        if (client.mutedUntil > now && chatTypes.includes(type)) {
+            this.recordRateViolation(connectionId, type, client.mutedUntil - now);
+            return false;
+        }
+
+        // File data has its own, much larger allowance instead of counting against `connection`
+        const keys = ['file_chunk', 'file_ack'].includes(type) ? [type] : ['connection', type];
+        for (const key of keys) {
+            const bucket = this.getBucket(client, key);
+            if (bucket && !bucket.take()) {
+                this.recordRateViolation(connectionId, type, bucket.retryAfter());
+                return false;
+            }
+        }
+        return true;
+    }
+
+    recordRateViolation(connectionId, type, retryAfterMs) {
+        const client = this.clients.get(connectionId);
+        const now = Date.now();
+        const escalation = this.rateEscalation;
+
+        client.violations = client.violations.filter(time => now - time < escalation.violationWindow);
+        client.violations.push(now);
+        this.rateLimitStats.limited++;
+        this.rateLimitStats.byType[type] = (this.rateLimitStats.byType[type] || 0) + 1;
+
+        if (client.violations.length >= escalation.disconnectAfter) {
+            this.rateLimitStats.disconnected++;
+            this.logger.warn('Disconnecting for flooding', this.logContext(connectionId, { type: type }));
+            this.sendToClient(connectionId, {
+                type: 'rate_limited',
+                action: 'disconnect',
+                message: 'Disconnected for flooding',
+                limitedType: type,
+                timestamp: this.getTimestamp()
+            });
+            this.disconnectClient(connectionId, 'flooding');
+            return;
+        }
+
+        if (client.violations.length >= escalation.muteAfter && client.mutedUntil <= now) {
+            this.rateLimitStats.muted++;
+            client.mutedUntil = now + escalation.muteDuration;
+            this.logger.warn('Muting for rate limit', this.logContext(connectionId, { type: type, seconds: escalation.muteDuration / 1000 }));
+            this.sendToClient(connectionId, {
+                type: 'rate_limited',
+                action: 'mute',
+                message: `Too many messages. You are muted for ${escalation.muteDuration / 1000} seconds`,
+                limitedType: type,
+                retryAfter: Math.ceil(escalation.muteDuration / 1000),
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        this.sendToClient(connectionId, {
+            type: 'rate_limited',
+            action: client.mutedUntil > now ? 'muted' : 'throttle',
+            message: client.mutedUntil > now ? 'You are muted' : `Slow down: ${type} rate limit exceeded`,
+            limitedType: type,
+            retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+            timestamp: this.getTimestamp()
+        });
+    }
+
+    // reason is reported once the socket closes (see handleClientDisconnect)
+    disconnectClient(connectionId, reason = 'closed') {
+        const client = this.clients.get(connectionId);
+        if (!client || client.disconnecting) return;
+
+        // Release the ID right away rather than holding it for a resume
+        client.disconnecting = true;
+        client.disconnectReason = reason;
+        if (client.registered) {
+            this.sessions.delete(`${client.systemId}.${client.clientId}`);
+        }
+
+        // Let the last message flush, then make sure the socket really goes
+        client.socket.end();
+        setTimeout(() => {
+            if (!client.socket.destroyed) {
+                client.socket.destroy();
+            }
+        }, 1000);
+    }
+
+    isAdminMuted(client) {
+        if (!client.registered) return false;
+
+        const fullId = `${client.systemId}.${client.clientId}`;
+        const until = this.adminMutes.get(fullId);
+        if (until === undefined) return false;
+        if (until <= Date.now()) {
+            this.adminMutes.delete(fullId);
+            return false;
+        }
+        return true;
+    }
+
+    getBannedMessage(ban) {
+        return {
+            type: 'banned',
+            message: ban.reason ? `You are banned: ${ban.reason}` : 'You are banned from this server',
+            until: ban.until ? new Date(ban.until).toISOString() : null,
+            timestamp: this.getTimestamp()
+        };
+    }
+
+    // Disconnects anyone the ban list now covers (after it was reloaded from disk);
+    // returns how many went
+    enforceBans() {
+        let removed = 0;
+        for (const [connectionId, client] of this.clients) {
+            const ban = this.banList.find({
+                fullId: client.registered ? `${client.systemId}.${client.clientId}` : null,
+                systemId: client.registered ? client.systemId : null,
+                ip: client.remoteAddress
+            });
+            if (ban) {
+                this.sendToClient(connectionId, this.getBannedMessage(ban));
+                this.disconnectClient(connectionId, 'banned');
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // Connections matching a fullId, systemId or IP (used by kick and ban)
+    findConnections(target) {
+        const kind = BanList.kindOf(target);
+        const matches = [];
+        for (const [connectionId, client] of this.clients) {
+            const ip = (client.remoteAddress || '').replace(/^::ffff:/, '');
+            if ((kind === 'ip' && ip === target) ||
+                (kind === 'fullId' && client.registered && `${client.systemId}.${client.clientId}` === target) ||
+                (kind === 'systemId' && client.registered && client.systemId === target)) {
+                matches.push(connectionId);
+            }
+        }
+        return matches;
+    }
+
+    handleAdminCommand(connectionId, parsed) {
+        const client = this.clients.get(connectionId);
+        const adminId = client.registered ? `${client.systemId}.${client.clientId}` : null;
+
+        if (!adminId || !this.admins.has(adminId)) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'NOT_ADMIN',
+                message: `${parsed.type} requires admin privileges`,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        if (parsed.type === 'announce' ? !parsed.content : !parsed.target) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'MISSING_FIELD',
+                message: parsed.type === 'announce' ? 'content is required for announce' : `target is required for ${parsed.type}`,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        // Durations arrive in seconds; none means permanent (or until unmuted)
+        const duration = parsed.duration > 0 ? parsed.duration * 1000 : null;
+        const reason = parsed.reason || '';
+        let result;
+
+        switch (parsed.type) {
+            case 'kick': {
+                const targets = this.findConnections(parsed.target).filter(connId => connId !== connectionId);
+                targets.forEach(connId => {
+                    this.sendToClient(connId, {
+                        type: 'kicked',
+                        by: adminId,
+                        message: reason ? `You were kicked by ${adminId}: ${reason}` : `You were kicked by ${adminId}`,
+                        timestamp: this.getTimestamp()
+                    });
+                    this.disconnectClient(connId, 'kicked');
+                });
+                result = targets.length > 0 ? `Kicked ${parsed.target}` : `${parsed.target} is not connected`;
+                break;
+            }
+
+            case 'ban': {
+                if (parsed.target === adminId) {
+                    result = 'You cannot ban yourself';
+                    break;
+                }
+                const ban = this.banList.add(parsed.target, { duration: duration, reason: reason, by: adminId });
+                // Anyone already connected under the banned identity goes now
+                const targets = this.findConnections(parsed.target).filter(connId => connId !== connectionId);
+                targets.forEach(connId => {
+                    this.sendToClient(connId, this.getBannedMessage(ban));
+                    this.disconnectClient(connId, 'banned');
+                });
+                result = `Banned ${ban.kind} ${parsed.target}${duration ? ` for ${parsed.duration}s` : ''} (${targets.length} disconnected)`;
+                break;
+            }
+
+            case 'unban':
+                result = this.banList.remove(parsed.target) ? `Unbanned ${parsed.target}` : `${parsed.target} is not banned`;
+                break;
+
+            case 'mute': {
+                this.adminMutes.set(parsed.target, duration ? Date.now() + duration : Infinity);
+                const targetConnectionId = this.clientMap.get(parsed.target);
+                if (targetConnectionId) {
+                    this.sendToClient(targetConnectionId, {
+                        type: 'muted',
+                        by: adminId,
+                        message: `You were muted by ${adminId}${duration ? ` for ${parsed.duration} seconds` : ''}`,
+                        until: duration ? new Date(Date.now() + duration).toISOString() : null,
+                        timestamp: this.getTimestamp()
+                    });
+                }
+                result = `Muted ${parsed.target}${duration ? ` for ${parsed.duration}s` : ''}`;
+                break;
+            }
+
+            case 'unmute': {
+                const wasMuted = this.adminMutes.delete(parsed.target);
+                const targetConnectionId = this.clientMap.get(parsed.target);
+                if (wasMuted && targetConnectionId) {
+                    this.sendToClient(targetConnectionId, {
+                        type: 'unmuted',
+                        by: adminId,
+                        message: `You were unmuted by ${adminId}`,
+                        timestamp: this.getTimestamp()
+                    });
+                }
+                result = wasMuted ? `Unmuted ${parsed.target}` : `${parsed.target} is not muted`;
+                break;
+            }
+
+            case 'announce': {
+                const announcement = {
+                    type: 'announcement',
+                    id: this.generateMessageId(),
+                    from: adminId,
+                    content: parsed.content,
+                    timestamp: this.getTimestamp()
+                };
+                this.broadcastMessage(announcement);
+                this.federation?.broadcast({ type: 'peer_broadcast', message: announcement });
+                result = 'Announcement sent';
+                break;
+            }
+        }
+
+        this.logger.info('Admin command', this.logContext(connectionId, { action: parsed.type, target: parsed.target, result: result }));
+        this.audit?.record('admin', {
+            admin: adminId,
+            connectionId: connectionId,
+            action: parsed.type,
+            target: parsed.target,
+            duration: parsed.duration > 0 ? parsed.duration : undefined,
+            reason: parsed.reason || undefined,
+            result: result
+        });
+        this.sendToClient(connectionId, {
+            type: 'admin_result',
+            action: parsed.type,
+            target: parsed.target,
+            message: result,
+            timestamp: this.getTimestamp()
+        });
+    }
+
+    authenticateClient(connectionId, systemId, clientId, secret, registerOptions = {}) {
+        const client = this.clients.get(connectionId);
+        if (!client) return;
+
+        const fullId = `${systemId}.${clientId}`;
+        // Failures count against the address and the ID tried together. Per ID alone, anyone
+        // could lock a user out by sending wrong secrets for it; per address alone, one typo
+        // behind a shared NAT would lock out everybody else there
+        const lockKeys = [`${client.remoteAddress} ${fullId}`];
+
+        const lockedFor = this.getLockoutRemaining(lockKeys);
+        if (lockedFor > 0) {
+            this.sendToClient(connectionId, {
+                type: 'auth_failed',
+                code: 'LOCKED_OUT',
+                message: `Too many failed attempts for ${fullId}. Try again in ${Math.ceil(lockedFor / 1000)} seconds`,
+                locked: true,
+                retryAfter: Math.ceil(lockedFor / 1000),
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        // With mutual TLS the certificate's CN can be required to match the systemId
+        if (this.tlsConfig && this.tlsConfig.requireCertMatch) {
+            const cert = client.socket.getPeerCertificate ? client.socket.getPeerCertificate() : null;
+            const commonName = cert && cert.subject ? cert.subject.CN : null;
+            if (commonName !== systemId) {
+                const attemptsRemaining = this.recordAuthFailure(lockKeys);
+                this.logger.warn('Certificate CN does not match systemId', this.logContext(connectionId, { commonName: commonName, systemId: systemId }));
+                this.audit?.record('auth_failed', {
+                    fullId: fullId,
+                    connectionId: connectionId,
+                    remoteAddress: client.remoteAddress,
+                    reason: 'certificate_mismatch',
+                    lockedOut: attemptsRemaining === 0
+                });
+                this.sendToClient(connectionId, {
+                    type: 'auth_failed',
+                    code: 'AUTH_FAILED',
+                    message: `Client certificate does not match systemId ${systemId}`,
+                    locked: attemptsRemaining === 0,
+                    attemptsRemaining: attemptsRemaining,
+                    timestamp: this.getTimestamp()
+                });
+                return;
+            }
+        }
+
+        client.authenticating = true;
+        Promise.resolve()
+            .then(() => this.authenticator.authenticate({
+                systemId: systemId,
+                clientId: clientId,
+                fullId: fullId,
+                secret: secret,
+                remoteAddress: client.remoteAddress
+            }))
+            .catch((error) => {
+                this.logger.error('Authenticator error', this.logContext(connectionId, { fullId: fullId, error: error.message }));
+                return false;
+            })
+            .then(this.bindReply((ok) => {
+                // Connection may have gone away while we were checking
+                if (!this.clients.has(connectionId)) return;
+                client.authenticating = false;
+
+                if (!ok) {
+                    const attemptsRemaining = this.recordAuthFailure(lockKeys);
+                    this.logger.warn('Authentication failed', this.logContext(connectionId, { fullId: fullId }));
+                    this.audit?.record('auth_failed', {
+                        fullId: fullId,
+                        connectionId: connectionId,
+                        remoteAddress: client.remoteAddress,
+                        reason: 'invalid_secret',
+                        lockedOut: attemptsRemaining === 0
+                    });
+                    this.sendToClient(connectionId, {
+                        type: 'auth_failed',
+                        code: attemptsRemaining > 0 ? 'AUTH_FAILED' : 'LOCKED_OUT',
+                        message: attemptsRemaining > 0
+                            ? `Invalid credentials for ${fullId}`
+                            : `Invalid credentials for ${fullId}. Locked out for ${this.authLockoutTime / 1000} seconds`,
+                        locked: attemptsRemaining === 0,
+                        attemptsRemaining: attemptsRemaining,
+                        retryAfter: attemptsRemaining === 0 ? this.authLockoutTime / 1000 : undefined,
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+
+                // The secret was right, so earlier typos for this ID no longer count
+                lockKeys.forEach(key => this.authFailures.delete(key));
+                this.registerClient(connectionId, systemId, clientId, registerOptions);
+            }))
+            // Finishing the register ran outside processMessage's try, so report failures here
+            .catch(this.bindReply(error => this.dispatchFailed(connectionId, 'register', error)))
+            .then(() => {
+                const deferred = client.deferred;
+                client.deferred = [];
+                deferred.forEach(message => this.processMessage(connectionId, message));
+            });
+    }
+
+    getLockoutRemaining(keys) {
+        const now = Date.now();
+        let remaining = 0;
+        for (const key of keys) {
+            const entry = this.authFailures.get(key);
+            if (entry && entry.lockedUntil > now) {
+                remaining = Math.max(remaining, entry.lockedUntil - now);
+            }
+        }
+        return remaining;
+    }
+
+    recordAuthFailure(keys) {
+        const now = Date.now();
+        let attemptsRemaining = this.maxAuthFailures;
+
+        // Forget stale entries so IDs tried at random don't grow the map forever
+        if (this.authFailures.size > 1000) {
+            for (const [key, entry] of this.authFailures) {
+                if (now - entry.lastFailure > this.authLockoutTime && entry.lockedUntil <= now) {
+                    this.authFailures.delete(key);
+                }
+            }
+        }
+
+        for (const key of keys) {
+            let entry = this.authFailures.get(key);
+            // Forget failures older than the lockout window
+            if (!entry || now - entry.lastFailure > this.authLockoutTime) {
+                entry = { count: 0, lastFailure: now, lockedUntil: 0 };
+                this.authFailures.set(key, entry);
+            }
+
+            entry.count++;
+            entry.lastFailure = now;
+            if (entry.count >= this.maxAuthFailures) {
+                entry.lockedUntil = now + this.authLockoutTime;
+                entry.count = 0;
+                attemptsRemaining = 0;
+            } else {
+                attemptsRemaining = Math.min(attemptsRemaining, this.maxAuthFailures - entry.count);
+            }
+        }
+
+        return attemptsRemaining;
+    }
+
+    registerClient(connectionId, systemId, clientId, registerOptions = {}) {
+        const client = this.clients.get(connectionId);
+        if (!client) return;
+
+        // Validate systemId and clientId format
+        if (!this.idPattern.test(systemId) || !this.idPattern.test(clientId)) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'INVALID_ID',
+                message: this.idPattern.source === DEFAULT_ID_PATTERN
+                    ? 'systemId and clientId can only contain letters, numbers, underscores, and hyphens'
+                    : `systemId and clientId must match ${this.idPattern.source}`,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        const fullId = `${systemId}.${clientId}`;
+        const session = this.sessions.get(fullId);
+        const resuming = !!session && this.isValidResumeToken(session, registerOptions.resumeToken);
+
+        // A held ID can only be reclaimed with its resume token
+        if (session && session.connectionId === null && !resuming) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'ID_RESERVED',
+                message: `Client ID ${fullId} is reserved for a reconnecting client. Try again later or choose a different ID.`,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        const ban = this.banList.find({ fullId: fullId, systemId: systemId, ip: client.remoteAddress });
+        if (ban) {
+            this.logger.warn('Rejected banned client', this.logContext(connectionId, { fullId: fullId }));
+            this.audit?.record('register_refused', {
+                fullId: fullId,
+                connectionId: connectionId,
+                remoteAddress: client.remoteAddress,
+                reason: 'banned',
+                ban: ban.value
+            });
+            this.sendToClient(connectionId, this.getBannedMessage(ban));
+            this.disconnectClient(connectionId, 'banned');
+            return;
+        }
+
+        // Check for duplicate registration, including on federated servers we can still reach
+        const remote = this.remoteClients.get(fullId);
+        if (remote && remote.reachable) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'ID_TAKEN',
+                message: `Client ID ${fullId} is already registered on server ${remote.serverId}. Choose a different ID.`,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+        if (remote) {
+            // Its server is out of reach; whoever registered first wins once the link is back
+            this.remoteClients.delete(fullId);
+            this.clientMap.delete(fullId);
+        }
+
+        if (this.clientMap.has(fullId)) {
+            const existingConnectionId = this.clientMap.get(fullId);
+            if (existingConnectionId !== connectionId && this.clients.has(existingConnectionId) && resuming) {
+                // The old connection is probably half-open; the token holder takes over
+                this.takeOverConnection(existingConnectionId, connectionId);
+            } else if (existingConnectionId !== connectionId && this.clients.has(existingConnectionId)) {
+                this.sendToClient(connectionId, {
+                    type: 'error',
+                    code: 'ID_TAKEN',
+                    message: `Client ID ${fullId} is already registered. Choose a different ID.`,
+                    timestamp: this.getTimestamp()
+                });
+                return;
+            }
+            // If same connection is re-registering, allow it
+            this.clientMap.delete(fullId);
+        }
+
+        // Registering again under another ID gives up the old one, or it would linger in the
+        // lists and stay resumable with nobody behind it
+        if (client.registered && `${client.systemId}.${client.clientId}` !== fullId) {
+            for (const room of Array.from(client.rooms)) {
+                this.leaveRoom(connectionId, room, false);
+            }
+            this.releaseId(connectionId, client, 'reregistered');
+        }
+
+        // Update client registration
+        client.systemId = systemId;
+        client.clientId = clientId;
+        client.registered = true;
+        client.registeredAt = resuming ? session.registeredAt : Date.now();
+        this.clientMap.set(fullId, connectionId);
+
+        // Issue a fresh resume token on every (re)registration
+        const resumeToken = this.sessionGraceTime > 0 ? crypto.randomBytes(24).toString('hex') : null;
+        let pending = [];
+        if (resuming) {
+            pending = this.resumeSession(fullId, connectionId);
+        }
+        if (resumeToken) {
+            this.sessions.set(fullId, {
+                token: resumeToken,
+                connectionId: connectionId,
+                rooms: [],
+                pending: [],
+                graceTimer: null,
+                registeredAt: client.registeredAt
+            });
+        }
+
+        this.logger.info(resuming ? 'Client resumed' : 'Client registered', this.logContext(connectionId));
+        this.audit?.record('register', {
+            fullId: fullId,
+            connectionId: connectionId,
+            remoteAddress: client.remoteAddress,
+            resumed: resuming,
+            authenticated: this.authenticator.requiresSecret,
+            admin: this.admins.has(fullId)
+        });
+        
+        this.sendToClient(connectionId, {
+            type: 'registered',
+            message: resuming ? `Session resumed as ${fullId}` : `Successfully registered as ${fullId}`,
+            fullId: fullId,
+            isAdmin: this.admins.has(fullId),
+            resumed: resuming,
+            resumeToken: resumeToken,
+            resumeGrace: resumeToken ? this.sessionGraceTime : undefined,
+            timestamp: this.getTimestamp()
+        });
+        this.emit('register', fullId, { connectionId: connectionId, resumed: resuming });
+
+        if (resuming) {
+            // Peers never saw us leave: just catch up on what was sent meanwhile
+            pending.forEach(message => this.sendToClient(connectionId, message));
+            this.flushOfflineQueue(fullId);
+            this.resumeTransfers(fullId);
+            return;
+        }
+
+        // Send current client list
+        this.sendClientList(connectionId);
+
+        // Deliver anything that was sent while this identity was offline
+        this.knownClients.add(fullId);
+        this.flushOfflineQueue(fullId);
+        this.resumeTransfers(fullId);
+
+        // Optionally replay the last N broadcasts (only newer than `since` after a reconnect)
+        if (registerOptions.replay > 0) {
+            this.sendHistory(connectionId, {
+                type: 'chat_message',
+                since: registerOptions.since,
+                limit: registerOptions.replay,
+                replay: true
+            });
+        }
+
+        // Notify all other clients about new connection
+        this.broadcastMessage({
+            type: 'client_joined',
+            systemId: systemId,
+            clientId: clientId,
+            fullId: fullId,
+            message: `${fullId} joined the chat`,
+            timestamp: this.getTimestamp()
+        }, connectionId);
+        this.federation?.announceClient(fullId, client.registeredAt);
+    }
+
+    // Federation: clients registered on peer servers sit in clientMap under a pseudo
+    // connection ID ("peer:<serverId>/<fullId>") so lookups and private messages find them;
+    // sendToClient forwards anything addressed to one over the owning server's link.
+    isRemoteConnection(connectionId) {
+        return typeof connectionId === 'string' && connectionId.startsWith('peer:');
+    }
+
+    isReachableRemote(connectionId) {
+        if (!this.isRemoteConnection(connectionId)) return false;
+        const remote = this.remoteClients.get(connectionId.slice(connectionId.indexOf('/') + 1));
+        return !!remote && remote.reachable;
+    }
+
+    sendToRemote(connectionId, messageObj) {
+        const fullId = connectionId.slice(connectionId.indexOf('/') + 1);
+        const remote = this.remoteClients.get(fullId);
+        if (!remote || !remote.reachable || !this.federation) {
+            return false;
+        }
+        return this.federation.sendTo(remote.serverId, { type: 'peer_deliver', to: fullId, message: messageObj });
+    }
+
+    // What this server owns, for a peer_sync: connected clients plus held sessions
+    getLocalClients() {
+        const local = [];
+        for (const [fullId, connectionId] of this.clientMap) {
+            const client = this.clients.get(connectionId);
+            if (client) {
+                local.push(Object.assign({ fullId: fullId, registeredAt: client.registeredAt }, client.presence));
+            }
+        }
+        for (const [fullId, session] of this.sessions) {
+            if (session.connectionId === null) {
+                local.push(Object.assign({ fullId: fullId, registeredAt: session.registeredAt }, session.presence));
+            }
+        }
+        return local;
+    }
+
+    addRemoteClient(serverId, fullId, registeredAt, announce = true) {
+        if (!this.isFullId(fullId)) return;
+        registeredAt = Number(registeredAt) || Date.now();
+
+        // Registered both here and there: the earlier registration keeps the ID (lower
+        // serverId on a tie). Both servers apply the same rule, so exactly one gives way.
+        const localConnectionId = this.clientMap.get(fullId);
+        const localClient = this.clients.get(localConnectionId);
+        const heldSession = this.sessions.get(fullId);
+        const isHeld = heldSession && heldSession.connectionId === null;
+        if (localClient || isHeld) {
+            const localRegisteredAt = localClient ? localClient.registeredAt : heldSession.registeredAt;
+            const remoteWins = registeredAt < localRegisteredAt ||
+                (registeredAt === localRegisteredAt && serverId < this.federation.serverId);
+            if (!remoteWins) {
+                this.logger.warn('Client also registered on a peer; keeping ours (registered first)', { fullId: fullId, serverId: serverId });
+                return;
+            }
+
+            this.logger.warn('Client registered on a peer first; disconnecting ours', { fullId: fullId, serverId: serverId });
+            if (isHeld) {
+                clearTimeout(heldSession.graceTimer);
+            }
+            this.sessions.delete(fullId);
+            if (localClient) {
+                this.sendToClient(localConnectionId, {
+                    type: 'error',
+                    code: 'ID_TAKEN',
+                    message: `Client ID ${fullId} is already registered on server ${serverId}. Choose a different ID.`,
+                    timestamp: this.getTimestamp()
+                });
+                // Not a departure as far as anyone else is concerned: the ID just lives elsewhere now
+                localClient.registered = false;
+                this.disconnectClient(localConnectionId);
+            }
+            announce = false;
+        }
+
+        const existing = this.remoteClients.get(fullId);
+        if (existing && existing.serverId !== serverId && existing.reachable && existing.registeredAt <= registeredAt) {
+            return; // Two peers disagree; they settle it between themselves
+        }
+
+        this.remoteClients.set(fullId, { serverId: serverId, registeredAt: registeredAt, reachable: true });
+        this.clientMap.set(fullId, `peer:${serverId}/${fullId}`);
+        this.logger.info('Remote client', { fullId: fullId, serverId: serverId });
+
+        if (announce && !existing) {
+            const [systemId, clientId] = fullId.split('.');
+            this.broadcastMessage({
+                type: 'client_joined',
+                systemId: systemId,
+                clientId: clientId,
+                fullId: fullId,
+                server: serverId,
+                message: `${fullId} joined the chat (via ${serverId})`,
+                timestamp: this.getTimestamp()
+            });
+        }
+    }
+
+    removeRemoteClient(serverId, fullId) {
+        const remote = this.remoteClients.get(fullId);
+        if (!remote || remote.serverId !== serverId) return;
+
+        this.remoteClients.delete(fullId);
+        this.clientMap.delete(fullId);
+        const [systemId, clientId] = fullId.split('.');
+        this.broadcastMessage({
+            type: 'client_left',
+            systemId: systemId,
+            clientId: clientId,
+            fullId: fullId,
+            server: serverId,
+            message: `${fullId} left the chat (via ${serverId})`,
+            lastSeen: this.recordLastSeen(fullId),
+            timestamp: this.getTimestamp()
+        });
+    }
+
+    // A (re)connected peer's full client list replaces what we knew about it
+    syncRemoteClients(serverId, clients) {
+        const listed = new Set();
+        const reachableAgain = [];
+        for (const entry of clients) {
+            listed.add(entry.fullId);
+            const remote = this.remoteClients.get(entry.fullId);
+            if (remote && remote.serverId === serverId) {
+                if (!remote.reachable) {
+                    remote.reachable = true;
+                    reachableAgain.push(entry.fullId);
+                }
+            } else {
+                this.addRemoteClient(serverId, entry.fullId, entry.registeredAt);
+            }
+            if (entry.status) {
+                this.updateRemotePresence(serverId, entry.fullId, entry);
+            }
+        }
+
+        for (const [fullId, remote] of Array.from(this.remoteClients)) {
+            if (remote.serverId === serverId && !listed.has(fullId)) {
+                this.removeRemoteClient(serverId, fullId);
+            }
+        }
+
+        if (reachableAgain.length > 0) {
+            this.broadcastMessage({
+                type: 'clients_reachable',
+                server: serverId,
+                clients: reachableAgain.sort(),
+                message: `${reachableAgain.length} client(s) on ${serverId} are reachable again`,
+                timestamp: this.getTimestamp()
+            });
+        }
+    }
+
+    // The link to serverId dropped: keep its clients listed (and their IDs taken) but unreachable
+    markServerUnreachable(serverId) {
+        const lost = [];
+        for (const [fullId, remote] of this.remoteClients) {
+            if (remote.serverId === serverId && remote.reachable) {
+                remote.reachable = false;
+                lost.push(fullId);
+            }
+        }
+
+        if (lost.length > 0) {
+            this.broadcastMessage({
+                type: 'clients_unreachable',
+                server: serverId,
+                clients: lost.sort(),
+                message: `Lost contact with server ${serverId}; ${lost.length} client(s) are unreachable`,
+                timestamp: this.getTimestamp()
+            });
+        }
+    }
+
+    deliverFromPeer(serverId, fullId, message) {
+        if (!message || typeof message !== 'object') return;
+
+        // The sender's server tracks the receipts; remember where to send them
+        if (message.type === 'private_message' && typeof message.id === 'string') {
+            if (this.peerMessages.size >= this.maxTrackedReceipts) {
+                this.peerMessages.delete(this.peerMessages.keys().next().value);
+            }
+            this.peerMessages.set(message.id, serverId);
+        }
+
+        const connectionId = this.clientMap.get(fullId);
+        if (this.clients.has(connectionId) && this.sendToClient(connectionId, message)) {
+            return;
+        }
+        // Gone in the meantime: private messages wait in the offline queue like local ones
+        if (message.type === 'private_message') {
+            this.queueOfflineMessage(fullId, message.id, message.from, message.content);
+        }
+    }
+
+    // A receipt from a recipient on a peer server; only that server may speak for its clients
+    receiptFromPeer(serverId, message) {
+        if (typeof message.id !== 'string' || typeof message.by !== 'string' || !['delivered', 'read'].includes(message.status)) return;
+        const remote = this.remoteClients.get(message.by);
+        if (this.clients.has(this.clientMap.get(message.by)) || (remote && remote.serverId !== serverId)) return;
+        this.handleReceipt(message.by, message.id, message.status);
+    }
+
+    broadcastFromPeer(serverId, message) {
+        if (!message || !['chat_message', 'announcement'].includes(message.type)) return;
+
+        this.broadcastMessage(message);
+        if (message.type === 'chat_message') {
+            this.history.append(message);
+        }
+    }
+
+    isValidResumeToken(session, token) {
+        if (typeof token !== 'string' || token.length !== session.token.length) {
+            return false;
+        }
+        return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(session.token));
+    }
+
+    takeOverConnection(oldConnectionId, newConnectionId) {
+        const oldClient = this.clients.get(oldConnectionId);
+        const newClient = this.clients.get(newConnectionId);
+        if (!oldClient || !newClient) return;
+
+        // Move room membership across without anyone seeing a leave/join
+        for (const room of oldClient.rooms) {
+            const members = this.rooms.get(room);
+            if (members) {
+                members.delete(oldConnectionId);
+                members.add(newConnectionId);
+            }
+            newClient.rooms.add(room);
+        }
+        oldClient.rooms.clear();
+        oldClient.registered = false;
+
+        this.logger.info('Session taken over', {
+            fullId: `${oldClient.systemId}.${oldClient.clientId}`,
+            connectionId: newConnectionId,
+            replaced: oldConnectionId
+        });
+        this.handleClientDisconnect(oldConnectionId, 'replaced');
+    }
+
+    holdSession(connectionId, client) {
+        const fullId = `${client.systemId}.${client.clientId}`;
+        const session = this.sessions.get(fullId);
+        if (!session || session.connectionId !== connectionId || this.sessionGraceTime <= 0) {
+            return false;
+        }
+
+        // Keep the ID reserved and remember rooms, but stop routing to the dead socket
+        this.clientMap.delete(fullId);
+        session.connectionId = null;
+        session.rooms = Array.from(client.rooms);
+        session.presence = client.presence;
+        session.pending = [];
+        for (const room of session.rooms) {
+            const members = this.rooms.get(room);
+            if (members) {
+                members.delete(connectionId);
+            }
+        }
+        client.rooms.clear();
+
+        session.heldUntil = Date.now() + this.sessionGraceTime;
+        session.graceTimer = setTimeout(() => this.expireSession(fullId), this.sessionGraceTime);
+        this.logger.info('Holding session for resume', { fullId: fullId, seconds: this.sessionGraceTime / 1000 });
+        return true;
+    }
+
+    resumeSession(fullId, connectionId) {
+        const session = this.sessions.get(fullId);
+        const client = this.clients.get(connectionId);
+        clearTimeout(session.graceTimer);
+        if (session.presence) {
+            client.presence = session.presence;
+        }
+
+        // Rejoin the rooms the old connection was in
+        for (const room of session.rooms) {
+            if (!this.rooms.has(room)) {
+                this.rooms.set(room, new Set());
+            }
+            this.rooms.get(room).add(connectionId);
+            client.rooms.add(room);
+        }
+
+        return session.pending;
+    }
+
+    expireSession(fullId) {
+        const session = this.sessions.get(fullId);
+        if (!session || session.connectionId !== null) return;
+        this.sessions.delete(fullId);
+
+        const [systemId, clientId] = fullId.split('.');
+        for (const room of session.rooms) {
+            this.broadcastToRoom(room, {
+                type: 'room_client_left',
+                room: room,
+                fullId: fullId,
+                message: `${fullId} left room ${room}`,
+                timestamp: this.getTimestamp()
+            });
+            // Held sessions kept the room name alive; drop it if nobody is left
+            if (this.rooms.has(room) && this.rooms.get(room).size === 0) {
+                this.rooms.delete(room);
+            }
+        }
+
+        this.broadcastMessage({
+            type: 'client_left',
+            systemId: systemId,
+            clientId: clientId,
+            fullId: fullId,
+            message: `${fullId} left the chat`,
+            lastSeen: this.recordLastSeen(fullId),
+            timestamp: this.getTimestamp()
+        });
+
+        this.federation?.withdrawClient(fullId);
+        this.logger.info('Unregistered (resume grace period expired)', { fullId: fullId });
+        this.audit?.record('session_expired', { fullId: fullId });
+    }
+
+    bufferForHeldSessions(message, matches) {
+        for (const session of this.sessions.values()) {
+            if (session.connectionId === null && matches(session)) {
+                session.pending.push(message);
+                if (session.pending.length > this.sessionBufferLimit) {
+                    session.pending.shift();
+                }
+            }
+        }
+    }
+
+    // Splits "system.client" on its first dot and checks both halves against idPattern, so
+    // any ID this server lets register can be addressed. Returns null for anything else.
+    splitFullId(value, allowWildcard = false) {
+        if (typeof value !== 'string') return null;
+        const dot = value.indexOf('.');
+        if (dot < 0) return null;
+        const systemId = value.slice(0, dot);
+        const clientId = value.slice(dot + 1);
+        if (!this.idPattern.test(systemId)) return null;
+        if (!(allowWildcard && clientId === '*') && !this.idPattern.test(clientId)) return null;
+        return [systemId, clientId];
+    }
+
+    isFullId(value) {
+        return this.splitFullId(value) !== null;
+    }
+
+    resolveTargets(targetSpec, senderFullId) {
+        // Accepts "sys.client", "sys.*" or a comma-separated list of either
+        const recipients = new Set();
+        const offline = new Set();
+        const invalid = [];
+
+        for (const part of targetSpec.split(',').map(p => p.trim()).filter(Boolean)) {
+            const ids = this.splitFullId(part, true);
+            if (!ids) {
+                invalid.push(part);
+                continue;
+            }
+
+            const [systemId, clientId] = ids;
+            if (clientId === '*') {
+                // Every online client on that system, except the sender
+                let matched = false;
+                for (const fullId of this.clientMap.keys()) {
+                    if (fullId.startsWith(`${systemId}.`) && fullId !== senderFullId) {
+                        recipients.add(fullId);
+                        matched = true;
+                    }
+                }
+                if (!matched) {
+                    offline.add(part);
+                }
+            } else if (part !== senderFullId) {
+                const connId = this.clientMap.get(part);
+                if (connId && (this.clients.has(connId) || this.isReachableRemote(connId))) {
+                    recipients.add(part);
+                } else {
+                    offline.add(part);
+                }
+            }
+        }
+
+        return {
+            recipients: Array.from(recipients).sort(),
+            offline: Array.from(offline).sort(),
+            invalid: invalid
+        };
+    }
+
+    sendPrivateMessage(senderConnectionId, senderFullId, targetSpec, content) {
+        const { recipients, offline, invalid } = this.resolveTargets(targetSpec, senderFullId);
+
+        if (invalid.length > 0) {
+            this.sendToClient(senderConnectionId, {
+                type: 'error',
+                code: 'INVALID_TARGET',
+                message: `Invalid target: ${invalid.join(', ')}. Use systemId.clientId, systemId.* or a comma-separated list`,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        // Don't allow sending to self
+        if (recipients.length === 0 && offline.length === 0) {
+            this.sendToClient(senderConnectionId, {
+                type: 'error',
+                code: 'INVALID_TARGET',
+                message: 'Cannot send private message to yourself',
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        // Send to each target client; a backed-up connection only has it waiting in its queue.
+        // Each recipient is only told it was sent to them: who else was on the list is the sender's business
+        const messageId = this.generateMessageId();
+        const delivered = [];
+        const pending = [];
+        const undelivered = offline.slice();
+        for (const targetFullId of recipients) {
+            const sent = this.sendToClient(this.clientMap.get(targetFullId), {
+                type: 'private_message',
+                id: messageId,
+                from: senderFullId,
+                to: targetFullId,
+                content: content,
+                timestamp: this.getTimestamp()
+            });
+            if (sent === 'queued') {
+                pending.push(targetFullId);
+            } else if (sent) {
+                delivered.push(targetFullId);
+            } else {
+                undelivered.push(targetFullId);
+            }
+        }
+
+        // Hold messages for identities we have seen before; the rest are just offline
+        const queued = [];
+        const queueFull = [];
+        const unreachable = [];
+        for (const targetFullId of undelivered) {
+            if (this.queueOfflineMessage(targetFullId, messageId, senderFullId, content)) {
+                queued.push(targetFullId);
+            } else {
+                if (this.knownClients.has(targetFullId)) {
+                    queueFull.push(targetFullId);
+                }
+                unreachable.push(targetFullId);
+            }
+        }
+
+        if (delivered.length === 0 && pending.length === 0 && queued.length === 0) {
+            const remoteOnly = unreachable.every(fullId => this.remoteClients.has(fullId));
+            this.sendToClient(senderConnectionId, {
+                type: 'error',
+                code: queueFull.length > 0 ? 'QUEUE_FULL' : remoteOnly ? 'UNREACHABLE' : 'OFFLINE',
+                message: queueFull.length > 0
+                    ? `Client ${unreachable.join(', ')} is offline and its message queue is full`
+                    : remoteOnly
+                        ? `Client ${unreachable.join(', ')} is unreachable: the link to its server is down`
+                        : `Client ${unreachable.join(', ')} not found or offline`,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        const recipientsReached = delivered.concat(pending, queued);
+        this.trackReceipts(messageId, senderFullId, recipientsReached);
+        this.history.append({
+            type: 'private_message',
+            id: messageId,
+            from: senderFullId,
+            to: targetSpec,
+            recipients: recipientsReached,
+            content: content,
+            timestamp: this.getTimestamp()
+        });
+
+        // Send delivery summary to sender
+        this.sendToClient(senderConnectionId, {
+            type: delivered.length > 0 || pending.length > 0 ? 'private_sent' : 'private_queued',
+            id: messageId,
+            to: targetSpec,
+            content: content,
+            delivered: delivered,
+            pending: pending,
+            queued: queued,
+            offline: unreachable,
+            timestamp: this.getTimestamp()
+        });
+
+        this.emit('private_message', {
+            id: messageId,
+            from: senderFullId,
+            to: targetSpec,
+            content: content,
+            delivered: delivered,
+            pending: pending,
+            queued: queued
+        });
+
+        this.logger.debug('Private message', {
+            id: messageId,
+            from: senderFullId,
+            to: targetSpec,
+            delivered: delivered.length,
+            pending: pending.length,
+            queued: queued.length,
+            offline: unreachable.length
+        });
+        this.audit?.record('private_message', {
+            id: messageId,
+            from: senderFullId,
+            to: targetSpec,
+            delivered: delivered,
+            pending: pending,
+            queued: queued,
+            offline: unreachable,
+            bytes: Buffer.byteLength(content)
+        });
+    }
+
+    queueOfflineMessage(targetFullId, messageId, senderFullId, content) {
+        // Only exact, previously registered identities can be queued for
+        if (!this.knownClients.has(targetFullId)) {
+            return false;
+        }
+
+        const queue = this.pruneOfflineQueue(targetFullId);
+        if (queue.length >= this.offlineQueueLimit) {
+            this.logger.warn('Offline queue full, message not queued', { from: senderFullId, to: targetFullId });
+            return false;
+        }
+
+        queue.push({
+            id: messageId,
+            from: senderFullId,
+            to: targetFullId,
+            content: content,
+            timestamp: this.getTimestamp(),
+            expiresAt: Date.now() + this.offlineMessageTtl
+        });
+        this.offlineQueue.set(targetFullId, queue);
+        return true;
+    }
+
+    pruneOfflineQueue(fullId) {
+        const now = Date.now();
+        const queue = (this.offlineQueue.get(fullId) || []).filter(entry => entry.expiresAt > now);
+        if (queue.length === 0) {
+            this.offlineQueue.delete(fullId);
+        } else {
+            this.offlineQueue.set(fullId, queue);
+        }
+        return queue;
+    }
+
+    flushOfflineQueue(fullId) {
+        const queue = this.pruneOfflineQueue(fullId);
+        if (queue.length === 0) return;
+
+        const connectionId = this.clientMap.get(fullId);
+        const remaining = [];
+        for (const entry of queue) {
+            const sent = this.sendToClient(connectionId, {
+                type: 'private_message',
+                id: entry.id,
+                from: entry.from,
+                to: entry.to,
+                content: entry.content,
+                offline: true,
+                timestamp: entry.timestamp
+            });
+            if (!sent) {
+                remaining.push(entry);
+            }
+        }
+
+        if (remaining.length > 0) {
+            this.offlineQueue.set(fullId, remaining);
+        } else {
+            this.offlineQueue.delete(fullId);
+        }
+
+        this.logger.info('Delivered queued messages', { fullId: fullId, count: queue.length - remaining.length });
+    }
+
+    sendHistory(connectionId, { peer, before, since, limit, type, replay = false }) {
+        const client = this.clients.get(connectionId);
+        if (!client) return;
+
+        const viewer = `${client.systemId}.${client.clientId}`;
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), this.maxHistoryPage);
+
+        Promise.resolve()
+            .then(() => this.history.query({
+                viewer: viewer,
+                peer: peer || null,
+                before: parseInt(before) || null,
+                since: since || null,
+                limit: pageSize,
+                type: type || null
+            }))
+            .then(this.bindReply(({ messages, hasMore }) => {
+                this.sendToClient(connectionId, {
+                    type: 'history',
+                    peer: peer || null,
+                    replay: replay,
+                    // Private entries are shown to participants without the full recipient list;
+                    // only the sender sees what they addressed, everyone else just themselves
+                    messages: messages.map(entry => ({
+                        seq: entry.seq,
+                        id: entry.id,
+                        type: entry.type,
+                        from: entry.from,
+                        to: entry.type === 'private_message' && entry.from !== viewer ? viewer : entry.to,
+                        content: entry.content,
+                        timestamp: entry.timestamp
+                    })),
+                    hasMore: hasMore,
+                    timestamp: this.getTimestamp()
+                });
+            }))
+            .catch(this.bindReply((error) => {
+                this.logger.error('History query failed', { fullId: viewer, error: error.message });
+                this.sendToClient(connectionId, {
+                    type: 'error',
+                    code: 'UNAVAILABLE',
+                    message: 'History is currently unavailable',
+                    timestamp: this.getTimestamp()
+                });
+            }));
+    }
+
+    generateMessageId() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    trackReceipts(messageId, senderFullId, recipients) {
+        if (recipients.length === 0) return;
+
+        // Forget the oldest tracked message once we hit the cap (Map keeps insertion order)
+        if (this.receipts.size >= this.maxTrackedReceipts) {
+            this.receipts.delete(this.receipts.keys().next().value);
+        }
+
+        this.receipts.set(messageId, {
+            from: senderFullId,
+            recipients: new Map(recipients.map(fullId => [fullId, 'sent'])),
+            expiresAt: Date.now() + this.offlineMessageTtl
+        });
+    }
+
+    handleReceipt(recipientFullId, messageId, status) {
+        const tracked = this.receipts.get(messageId);
+        const peerServerId = this.peerMessages.get(messageId);
+        if (!tracked && peerServerId) {
+            this.federation?.sendTo(peerServerId, { type: 'peer_receipt', id: messageId, by: recipientFullId, status: status });
+            if (status === 'read') {
+                this.peerMessages.delete(messageId);
+            }
+            return;
+        }
+        if (!tracked || tracked.expiresAt < Date.now()) {
+            this.receipts.delete(messageId);
+            return;
+        }
+
+        // Only recipients of the message can ack it, and status only moves forward
+        const current = tracked.recipients.get(recipientFullId);
+        if (!current || current === status || current === 'read') return;
+        tracked.recipients.set(recipientFullId, status);
+
+        const senderConnectionId = this.clientMap.get(tracked.from);
+        if (senderConnectionId) {
+            this.sendToClient(senderConnectionId, {
+                type: status,
+                id: messageId,
+                by: recipientFullId,
+                timestamp: this.getTimestamp()
+            });
+        }
+
+        // Nothing more to report once everyone has read it
+        if (Array.from(tracked.recipients.values()).every(value => value === 'read')) {
+            this.receipts.delete(messageId);
+        }
+    }
+
+    // Relays a file transfer between two registered clients. The server never stores file
+    // data: it checks who may send what, forwards it, and remembers how far the recipient
+    // has acknowledged so a transfer can resume after either side reconnects.
+    handleFileMessage(connectionId, parsed) {
+        const client = this.clients.get(connectionId);
+        const fullId = `${client.systemId}.${client.clientId}`;
+        this.pruneTransfers();
+
+        if (parsed.type === 'file_offer') {
+            this.offerFile(connectionId, fullId, parsed);
+            return;
+        }
+
+        const transfer = this.transfers.get(parsed.id);
+        const senderTypes = ['file_chunk', 'file_complete'];
+        const recipientTypes = ['file_accept', 'file_ack', 'file_result'];
+        const allowed = transfer && (
+            (senderTypes.includes(parsed.type) && transfer.from === fullId) ||
+            (recipientTypes.includes(parsed.type) && transfer.to === fullId) ||
+            (parsed.type === 'file_cancel' && (transfer.from === fullId || transfer.to === fullId))
+        );
+        if (!allowed) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'UNKNOWN_TRANSFER',
+                message: `Unknown file transfer: ${parsed.id}`,
+                id: parsed.id,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        transfer.updatedAt = Date.now();
+
+        switch (parsed.type) {
+            case 'file_accept': {
+                const offset = Math.min(Math.max(parseInt(parsed.offset) || 0, 0), transfer.size);
+                transfer.state = 'accepted';
+                transfer.acked = offset;
+                if (!this.clientMap.has(transfer.from)) {
+                    this.sendToClient(connectionId, {
+                        type: 'file_paused',
+                        id: transfer.id,
+                        message: `${transfer.from} is offline; the transfer continues when they reconnect`,
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.sendFileAccept(transfer, false);
+                break;
+            }
+
+            case 'file_chunk': {
+                const offset = parseInt(parsed.offset);
+                const length = typeof parsed.data === 'string' ? Buffer.byteLength(parsed.data, 'base64') : -1;
+                if (transfer.state !== 'accepted' || !(offset >= 0) || length <= 0 ||
+                    length > transfer.chunkSize || offset + length > transfer.size) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'INVALID_CHUNK',
+                        message: `Invalid chunk for file transfer ${transfer.id}`,
+                        id: transfer.id,
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                // Chunks are never buffered: a missing recipient pauses the transfer instead
+                const sent = this.clientMap.has(transfer.to) && this.sendToClient(this.clientMap.get(transfer.to), {
+                    type: 'file_chunk',
+                    id: transfer.id,
+                    offset: offset,
+                    data: parsed.data,
+                    timestamp: this.getTimestamp()
+                });
+                if (!sent) {
+                    this.sendToClient(connectionId, {
+                        type: 'file_paused',
+                        id: transfer.id,
+                        message: `${transfer.to} is offline; the transfer continues when they reconnect`,
+                        timestamp: this.getTimestamp()
+                    });
+                }
+                break;
+            }
+
+            case 'file_ack':
+                transfer.acked = Math.min(Math.max(transfer.acked, parseInt(parsed.offset) || 0), transfer.size);
+                this.sendToFullId(transfer.from, {
+                    type: 'file_progress',
+                    id: transfer.id,
+                    received: transfer.acked,
+                    size: transfer.size,
+                    timestamp: this.getTimestamp()
+                });
+                break;
+
+            case 'file_complete':
+                transfer.state = 'verifying';
+                this.sendToFullId(transfer.to, {
+                    type: 'file_complete',
+                    id: transfer.id,
+                    size: transfer.size,
+                    sha256: transfer.sha256,
+                    timestamp: this.getTimestamp()
+                });
+                break;
+
+            case 'file_result':
+                this.transfers.delete(transfer.id);
+                this.logger.info(parsed.ok ? 'File transfer verified' : 'File transfer checksum mismatch', { transferId: transfer.id, from: transfer.from, to: transfer.to });
+                this.sendToFullId(transfer.from, {
+                    type: 'file_result',
+                    id: transfer.id,
+                    ok: !!parsed.ok,
+                    by: fullId,
+                    message: parsed.ok
+                        ? `${fullId} received ${transfer.name} (checksum verified)`
+                        : `${fullId} could not verify ${transfer.name}: ${parsed.message || 'checksum mismatch'}`,
+                    timestamp: this.getTimestamp()
+                });
+                break;
+
+            case 'file_cancel': {
+                this.transfers.delete(transfer.id);
+                const other = transfer.from === fullId ? transfer.to : transfer.from;
+                this.sendToFullId(other, {
+                    type: 'file_cancelled',
+                    id: transfer.id,
+                    by: fullId,
+                    message: `${fullId} cancelled ${transfer.name}${parsed.reason ? `: ${parsed.reason}` : ''}`,
+                    timestamp: this.getTimestamp()
+                });
+                break;
+            }
+        }
+    }
+
+    offerFile(connectionId, fullId, parsed) {
+        const name = String(parsed.name || '').split(/[\\/]/).pop();
+        const size = parseInt(parsed.size);
+        let problem = null;
+        let code = 'INVALID_OFFER';
+
+        if (!parsed.to || !name) {
+            problem = 'to and name are required for file_offer';
+            code = 'MISSING_FIELD';
+        } else if (name === '.' || name === '..') {
+            problem = 'name must be a file name, not "." or ".."';
+        } else if (parsed.to === fullId) {
+            problem = 'Cannot send a file to yourself';
+            code = 'INVALID_TARGET';
+        } else if (!this.clients.has(this.clientMap.get(parsed.to))) {
+            problem = this.remoteClients.has(parsed.to)
+                ? `${parsed.to} is on another server; files can only be sent to clients on this one`
+                : `${parsed.to} is not online`;
+            code = this.remoteClients.has(parsed.to) ? 'UNREACHABLE' : 'OFFLINE';
+        } else if (!(size >= 0) || size > this.maxTransferSize) {
+            problem = `File size must be between 0 and ${this.maxTransferSize} bytes`;
+        } else if (!/^[0-9a-f]{64}$/i.test(parsed.sha256 || '')) {
+            problem = 'sha256 must be a hex SHA-256 digest';
+        } else if (Array.from(this.transfers.values()).filter(t => t.from === fullId).length >= this.maxTransfersPerClient) {
+            problem = `Too many file transfers in progress (limit ${this.maxTransfersPerClient})`;
+            code = 'LIMIT_REACHED';
+        }
+
+        if (problem) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: code,
+                message: problem,
+                ref: parsed.ref,
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        const now = Date.now();
+        const transfer = {
+            id: this.generateMessageId(),
+            from: fullId,
+            to: parsed.to,
+            name: name,
+            size: size,
+            sha256: parsed.sha256.toLowerCase(),
+            chunkSize: 0, // Settled on each accept from both sides' current framing
+            state: 'offered',
+            acked: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.transfers.set(transfer.id, transfer);
+
+        this.sendFileOffer(transfer, false);
+        // `ref` lets the sender match this id to the file it asked to send
+        this.sendToClient(connectionId, {
+            type: 'file_offered',
+            id: transfer.id,
+            ref: parsed.ref,
+            to: transfer.to,
+            name: name,
+            size: size,
+            timestamp: this.getTimestamp()
+        });
+        this.logger.info('File offer', { transferId: transfer.id, from: fullId, to: transfer.to, name: name, size: size });
+    }
+
+    sendFileOffer(transfer, resumed) {
+        return this.sendToFullId(transfer.to, {
+            type: 'file_offer',
+            id: transfer.id,
+            from: transfer.from,
+            name: transfer.name,
+            size: transfer.size,
+            sha256: transfer.sha256,
+            resumed: resumed,
+            offset: resumed ? transfer.acked : undefined,
+            timestamp: this.getTimestamp()
+        });
+    }
+
+    sendFileAccept(transfer, resumed) {
+        // Chunks must fit in one message on both connections once base64 and JSON are added
+        const limitOf = (fullId) => {
+            const client = this.clients.get(this.clientMap.get(fullId));
+            return client && client.decoder.framing === 'length' ? this.maxFrameSize : this.maxMessageSize;
+        };
+        const limit = Math.min(limitOf(transfer.from), limitOf(transfer.to));
+        transfer.chunkSize = Math.min(this.maxChunkSize, Math.floor((limit - 512) / 4) * 3);
+
+        return this.sendToFullId(transfer.from, {
+            type: 'file_accept',
+            id: transfer.id,
+            by: transfer.to,
+            offset: transfer.acked,
+            chunkSize: transfer.chunkSize,
+            chunkRate: this.rateLimits.file_chunk, // Pace chunks to this {rate, burst} to stay under the limit
+            resumed: resumed,
+            timestamp: this.getTimestamp()
+        });
+    }
+
+    // Called when fullId (re)registers: re-offer what it was being sent and restart any
+    // accepted transfer whose other side is still here
+    resumeTransfers(fullId) {
+        for (const transfer of this.transfers.values()) {
+            if (transfer.to === fullId && transfer.state !== 'verifying') {
+                this.sendFileOffer(transfer, true);
+            } else if (transfer.from === fullId && transfer.state === 'accepted' && this.clientMap.has(transfer.to)) {
+                this.sendFileAccept(transfer, true);
+            }
+        }
+    }
+
+    // Called when fullId drops: the other side stops sending until it returns
+    pauseTransfers(fullId) {
+        for (const transfer of this.transfers.values()) {
+            if (transfer.state !== 'accepted' || (transfer.from !== fullId && transfer.to !== fullId)) continue;
+            const other = transfer.from === fullId ? transfer.to : transfer.from;
+            this.sendToFullId(other, {
+                type: 'file_paused',
+                id: transfer.id,
+                message: `${fullId} disconnected; the transfer continues when they reconnect`,
+                timestamp: this.getTimestamp()
+            });
+        }
+    }
+
+    pruneTransfers() {
+        const now = Date.now();
+        for (const [id, transfer] of this.transfers) {
+            if (now - transfer.updatedAt > this.transferTtl) {
+                this.transfers.delete(id);
+                this.logger.info('File transfer expired', { transferId: id, from: transfer.from, to: transfer.to });
+            }
+        }
+    }
+
+    sendToFullId(fullId, message) {
+        return this.clientMap.has(fullId) && this.sendToClient(this.clientMap.get(fullId), message);
+    }
+
+    sendClientList(connectionId) {
+        const clientList = Array.from(this.clientMap.keys()).sort();
+        const clientDetails = clientList.map(fullId => {
+            const [systemId, clientId] = fullId.split('.');
+            const remote = this.remoteClients.get(fullId);
+            const presence = this.getPresence(fullId);
+            return {
+                fullId: fullId,
+                systemId: systemId,
+                clientId: clientId,
+                server: remote ? remote.serverId : this.federation?.serverId,
+                reachable: remote ? remote.reachable : true,
+                status: presence.status,
+                statusText: presence.text,
+                idle: presence.idle
+            };
+        });
+
+        this.sendToClient(connectionId, {
+            type: 'client_list',
+            clients: clientList,
+            clientDetails: clientDetails,
+            unreachable: clientDetails.filter(detail => !detail.reachable).map(detail => detail.fullId),
+            count: clientList.length,
+            timestamp: this.getTimestamp()
+        });
+    }
+
+    // Heartbeats: a connection we haven't heard from for heartbeatInterval is sent a
+    // heartbeat, and anything arriving within heartbeatTimeout (normally its
+    // heartbeat_ack) shows it is still there. One that stays silent is half-open or
+    // hung, so it is evicted like a dropped connection rather than left holding its ID.
+    // Only clients that asked for heartbeats in their hello get them; the rest are left to
+    // the socket timeout and TCP keep-alive
+    checkHeartbeats() {
+        const now = Date.now();
+        for (const [connectionId, client] of this.clients) {
+            // We stopped reading from it ourselves while a middleware decides, so its answers
+            // can't be seen; middlewareTimeout bounds that wait instead
+            if (client.middlewarePending) {
+                continue;
+            }
+            if (!client.features.includes('heartbeat')) {
+                client.heartbeat = null;
+                continue;
+            }
+
+            const pending = client.heartbeat;
+            if (pending && client.lastHeard < pending.sentAt) {
+                if (now - pending.sentAt >= this.heartbeatTimeout) {
+                    this.evictUnresponsive(connectionId, client);
+                }
+                continue;
+            }
+
+            if (now - client.lastHeard >= this.heartbeatInterval) {
+                client.heartbeat = { seq: (pending ? pending.seq : 0) + 1, sentAt: now };
+                this.sendToClient(connectionId, {
+                    type: 'heartbeat',
+                    seq: client.heartbeat.seq,
+                    timeout: this.heartbeatTimeout,
+                    timestamp: this.getTimestamp()
+                });
+            } else {
+                client.heartbeat = null;
+            }
+        }
+    }
+
+    evictUnresponsive(connectionId, client) {
+        const silentFor = Math.round((Date.now() - client.lastHeard) / 1000);
+        this.logger.warn('No heartbeat answer, disconnecting', this.logContext(connectionId, { silentFor: silentFor }));
+        this.metrics.heartbeatEvictions++;
+        this.handleClientDisconnect(connectionId, 'heartbeat_timeout');
+    }
+
+    // Presence: a status (online, away or busy, with optional text) is broadcast to
+    // everyone as a `presence` message. Typing notices go to one peer and are never
+    // stored or queued; if the peer isn't online they are simply dropped.
+    handlePresenceMessage(connectionId, client, parsed) {
+        const fullId = `${client.systemId}.${client.clientId}`;
+
+        switch (parsed.type) {
+            case 'set_status': {
+                const text = parsed.text === undefined || parsed.text === null ? '' : parsed.text;
+                let problem = null;
+                if (!PRESENCE_STATES.includes(parsed.status)) {
+                    problem = `status must be one of ${PRESENCE_STATES.join(', ')}`;
+                } else if (typeof text !== 'string' || text.length > this.maxStatusText) {
+                    problem = `Status text must be a string of at most ${this.maxStatusText} characters`;
+                }
+                if (problem) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'INVALID_STATUS',
+                        message: problem,
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.setPresence(connectionId, client, parsed.status, text.trim() || null, false);
+                break;
+            }
+
+            case 'typing': {
+                if (!this.isFullId(parsed.to) || parsed.to === fullId) {
+                    this.sendToClient(connectionId, {
+                        type: 'error',
+                        code: 'INVALID_TARGET',
+                        message: 'typing needs `to`: one other client as system.client',
+                        timestamp: this.getTimestamp()
+                    });
+                    return;
+                }
+                this.sendToFullId(parsed.to, {
+                    type: 'typing',
+                    from: fullId,
+                    to: parsed.to,
+                    active: parsed.active !== false,
+                    timestamp: this.getTimestamp()
+                });
+                break;
+            }
+
+            case 'last_seen':
+                this.sendLastSeen(connectionId, parsed.target);
+                break;
+        }
+    }
+
+    // Tells everyone (the client itself included) and the federation peers. An unchanged
+    // status only goes back to the client that set it.
+    setPresence(connectionId, client, status, text, auto) {
+        const fullId = `${client.systemId}.${client.clientId}`;
+        const previous = client.presence;
+        client.presence = { status: status, text: text, auto: auto };
+
+        const message = {
+            type: 'presence',
+            fullId: fullId,
+            status: status,
+            text: text,
+            auto: auto,
+            message: `${fullId} is ${auto ? 'away (idle)' : status}${text ? `: ${text}` : ''}`,
+            timestamp: this.getTimestamp()
+        };
+        if (previous.status === status && previous.text === text && previous.auto === auto) {
+            this.sendToClient(connectionId, message);
+            return;
+        }
+
+        this.broadcastMessage(message);
+        this.federation?.broadcast({ type: 'peer_presence', fullId: fullId, status: status, text: text, auto: auto });
+        this.emit('presence', fullId, { status: status, text: text, auto: auto, previous: previous.status });
+    }
+
+    // A message from the person ends an automatic away (set_status says for itself what
+    // the status should be)
+    noteActivity(connectionId, client, type) {
+        client.lastActivity = Date.now();
+        if (client.presence.auto && type !== 'set_status') {
+            this.setPresence(connectionId, client, 'online', client.presence.text, false);
+        }
+    }
+
+    // Online clients that have been quiet for idleTimeout become away; a status the
+    // client chose itself (away or busy) is left alone
+    checkIdle() {
+        const now = Date.now();
+        for (const [connectionId, client] of this.clients) {
+            if (client.registered && client.presence.status === 'online' && now - client.lastActivity >= this.idleTimeout) {
+                this.setPresence(connectionId, client, 'away', client.presence.text, true);
+            }
+        }
+    }
+
+    // {status, text, auto, idle} for a listed client (idle in seconds, null when the
+    // client is on another server), or null if fullId isn't online
+    getPresence(fullId) {
+        const connectionId = this.clientMap.get(fullId);
+        const client = this.clients.get(connectionId);
+        if (client) {
+            return Object.assign({ idle: Math.floor((Date.now() - client.lastActivity) / 1000) }, client.presence);
+        }
+        const remote = this.remoteClients.get(fullId);
+        if (remote) {
+            return Object.assign({ status: 'online', text: null, auto: false }, remote.presence, { idle: null });
+        }
+        return null;
+    }
+
+    updateRemotePresence(serverId, fullId, presence) {
+        const remote = this.remoteClients.get(fullId);
+        if (!remote || remote.serverId !== serverId || !PRESENCE_STATES.includes(presence.status)) return;
+
+        const text = typeof presence.text === 'string' ? presence.text.slice(0, this.maxStatusText) : null;
+        const auto = !!presence.auto;
+        const previous = remote.presence || { status: 'online', text: null, auto: false };
+        if (previous.status === presence.status && previous.text === text && previous.auto === auto) return;
+
+        remote.presence = { status: presence.status, text: text, auto: auto };
+        this.broadcastMessage({
+            type: 'presence',
+            fullId: fullId,
+            status: presence.status,
+            text: text,
+            auto: auto,
+            server: serverId,
+            message: `${fullId} is ${auto ? 'away (idle)' : presence.status}${text ? `: ${text}` : ''}`,
+            timestamp: this.getTimestamp()
+        });
+    }
+
+    // Remembers when fullId left (the oldest entries go once maxLastSeen is reached);
+    // returns the time as an ISO string for the client_left message
+    recordLastSeen(fullId) {
+        const now = Date.now();
+        this.lastSeen.delete(fullId); // Re-inserting keeps the Map in order of departure
+        this.lastSeen.set(fullId, now);
+        if (this.lastSeen.size > this.maxLastSeen) {
+            this.lastSeen.delete(this.lastSeen.keys().next().value);
+        }
+        return new Date(now).toISOString();
+    }
+
+    sendLastSeen(connectionId, target) {
+        if (!this.isFullId(target)) {
+            this.sendToClient(connectionId, {
+                type: 'error',
+                code: 'INVALID_TARGET',
+                message: 'last_seen needs `target`: a client as system.client',
+                timestamp: this.getTimestamp()
+            });
+            return;
+        }
+
+        const presence = this.getPresence(target);
+        const seen = this.lastSeen.get(target);
         this.sendToClient(connectionId, {
-            type: 'registered',
-            message: `Successfully registered as ${fullId}`,
-            fullId: fullId,
+            type: 'last_seen',
+            fullId: target,
+            online: !!presence,
+            status: presence ? presence.status : undefined,
+            statusText: presence ? presence.text : undefined,
+            idle: presence ? presence.idle : undefined,
+            lastSeen: seen ? new Date(seen).toISOString() : null,
+            known: !!presence || !!seen || this.knownClients.has(target) || this.sessions.has(target),
             timestamp: this.getTimestamp()
         });
-
-        // Send current client list
-        this.sendClientList(connectionId);
-
-        // Notify all other clients about new connection
-        this.broadcastMessage({
-            type: 'client_joined',
-            systemId: systemId,
-            clientId: clientId,
-            fullId: fullId,
-            message: `${fullId} joined the chat`,
-            timestamp: this.getTimestamp()
-        }, connectionId);
     }
 
-    sendPrivateMessage(senderConnectionId, senderFullId, targetFullId, content) {
-        const targetConnectionId = this.clientMap.get(targetFullId);
-        
-        if (!targetConnectionId || !this.clients.has(targetConnectionId)) {
-            this.sendToClient(senderConnectionId, {
+    joinRoom(connectionId, room) {
+        const client = this.clients.get(connectionId);
+        if (!client) return;
+
+        // Room names follow the same rules as systemId/clientId
+        const roomRegex = /^[a-zA-Z0-9_-]+$/;
+        if (!roomRegex.test(room)) {
+            this.sendToClient(connectionId, {
                 type: 'error',
-                message: `Client ${targetFullId} not found or offline`,
+                code: 'INVALID_ROOM',
+                message: 'Room names can only contain letters, numbers, underscores, and hyphens',
                 timestamp: this.getTimestamp()
             });
             return;
         }
 
-        // Don't allow sending to self
-        if (senderFullId === targetFullId) {
-            this.sendToClient(senderConnectionId, {
+        if (client.rooms.has(room)) {
+            this.sendToClient(connectionId, {
                 type: 'error',
-                message: 'Cannot send private message to yourself',
+                code: 'ALREADY_IN_ROOM',
+                message: `You are already in room ${room}`,
                 timestamp: this.getTimestamp()
             });
             return;
         }
 
-        // Send to target client
-        const sent = this.sendToClient(targetConnectionId, {
-            type: 'private_message',
-            from: senderFullId,
-            content: content,
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, new Set());
+        }
+        this.rooms.get(room).add(connectionId);
+        client.rooms.add(room);
+
+        const fullId = `${client.systemId}.${client.clientId}`;
+        this.logger.info('Joined room', { fullId: fullId, room: room });
+
+        this.sendToClient(connectionId, {
+            type: 'room_joined',
+            room: room,
+            members: this.getRoomMembers(room),
             timestamp: this.getTimestamp()
         });
 
-        if (sent) {
-            // Send confirmation to sender
-            this.sendToClient(senderConnectionId, {
-                type: 'private_sent',
-                to: targetFullId,
-                content: content,
+        // Notify the other members of this room only
+        this.broadcastToRoom(room, {
+            type: 'room_client_joined',
+            room: room,
+            fullId: fullId,
+            message: `${fullId} joined room ${room}`,
+            timestamp: this.getTimestamp()
+        }, connectionId);
+    }
+
+    leaveRoom(connectionId, room, notifySelf = true) {
+        const client = this.clients.get(connectionId);
+        if (!client) return;
+
+        if (!client.rooms.has(room)) {
+            if (notifySelf) {
+                this.sendToClient(connectionId, {
+                    type: 'error',
+                    code: 'NOT_IN_ROOM',
+                    message: `You are not a member of room ${room}`,
+                    timestamp: this.getTimestamp()
+                });
+            }
+            return;
+        }
+
+        client.rooms.delete(room);
+        const members = this.rooms.get(room);
+        if (members) {
+            members.delete(connectionId);
+            // Drop empty rooms so list_rooms only shows active ones
+            if (members.size === 0) {
+                this.rooms.delete(room);
+            }
+        }
+
+        const fullId = `${client.systemId}.${client.clientId}`;
+        this.logger.info('Left room', { fullId: fullId, room: room });
+
+        if (notifySelf) {
+            this.sendToClient(connectionId, {
+                type: 'room_left',
+                room: room,
                 timestamp: this.getTimestamp()
             });
-
-            console.log(`[${this.getTimestamp()}] Private message: ${senderFullId} -> ${targetFullId}`);
         }
+
+        this.broadcastToRoom(room, {
+            type: 'room_client_left',
+            room: room,
+            fullId: fullId,
+            message: `${fullId} left room ${room}`,
+            timestamp: this.getTimestamp()
+        }, connectionId);
     }
 
-    sendClientList(connectionId) {
-        const clientList = Array.from(this.clientMap.keys()).sort();
-        const clientDetails = clientList.map(fullId => {
-            const connId = this.clientMap.get(fullId);
-            const client = this.clients.get(connId);
-            return {
-                fullId: fullId,
-                systemId: client?.systemId,
-                clientId: client?.clientId
-            };
-        });
+    getRoomMembers(room) {
+        const members = this.rooms.get(room);
+        if (!members) return [];
+
+        return Array.from(members)
+            .map(connId => this.clients.get(connId))
+            .filter(client => client && client.registered)
+            .map(client => `${client.systemId}.${client.clientId}`)
+            .sort();
+    }
+
+    sendRoomList(connectionId) {
+        const client = this.clients.get(connectionId);
+        // A room whose members are all held sessions keeps its entry for their resume, but isn't listed
+        const rooms = Array.from(this.rooms.keys()).sort()
+            .filter(room => this.rooms.get(room).size > 0)
+            .map(room => ({
+                name: room,
+                count: this.rooms.get(room).size,
+                joined: !!client && client.rooms.has(room)
+            }));
 
         this.sendToClient(connectionId, {
-            type: 'client_list',
-            clients: clientList,
-            clientDetails: clientDetails,
-            count: clientList.length,
+            type: 'room_list',
+            rooms: rooms,
+            count: rooms.length,
             timestamp: this.getTimestamp()
         });
     }
 
+    broadcastToRoom(room, message, excludeConnectionId = null) {
+        const members = this.rooms.get(room);
+        if (!members) return 0;
+
+        let sentCount = 0;
+        for (const connectionId of members) {
+            if (connectionId !== excludeConnectionId) {
+                if (this.sendToClient(connectionId, message)) {
+                    sentCount++;
+                }
+            }
+        }
+        this.bufferForHeldSessions(message, session => session.rooms.includes(room));
+        return sentCount;
+    }
+
     broadcastMessage(message, excludeConnectionId = null) {
         let sentCount = 0;
         for (const [connectionId, client] of this.clients) {
@@ -351,42 +3237,148 @@ class TCPServer {
                 }
             }
         }
+        this.bufferForHeldSessions(message, () => true);
         return sentCount;
     }
 
+    // Returns true once the message is handed to the socket, 'queued' while it waits behind
+    // a backed-up connection (it can still be lost if the client is cut off as a slow
+    // consumer), and false if it couldn't be sent
     sendToClient(connectionId, messageObj) {
+        if (this.isRemoteConnection(connectionId)) {
+            return this.sendToRemote(connectionId, messageObj);
+        }
+
         const client = this.clients.get(connectionId);
         if (!client || !client.socket || client.socket.destroyed || !client.socket.writable) {
             return false;
         }
 
+        // Replies to a request carry its ID; broadcasts it triggers for others do not
+        if (this.replyTo && this.replyTo.connectionId === connectionId && messageObj.requestId === undefined) {
+            messageObj = Object.assign({}, messageObj, { requestId: this.replyTo.requestId });
+        }
+
         try {
-            client.socket.write(JSON.stringify(messageObj) + '\n');
+            const data = encodeMessage(messageObj, client.decoder.framing);
+            this.countMessage(this.metrics.messagesOut, messageObj.type);
+            if (client.writeBlocked || client.outQueue.length > 0) {
+                return this.enqueueOutbound(connectionId, client, messageObj.type, data) ? 'queued' : false;
+            }
+            this.writeToSocket(client, data);
             return true;
         } catch (error) {
-            console.error(`[${this.getTimestamp()}] Error sending to ${connectionId}:`, error.message);
+            this.metrics.errors.send++;
+            this.logger.error('Error sending', this.logContext(connectionId, { error: error.message }));
+            this.emitError(error, { connectionId: connectionId, source: 'send' });
             return false;
         }
     }
 
-    handleClientDisconnect(connectionId) {
+    writeToSocket(client, data) {
+        this.metrics.bytesOut += Buffer.byteLength(data);
+        if (!client.socket.write(data)) {
+            // Node is now buffering for this socket: queue everything else until 'drain'
+            client.writeBlocked = true;
+        }
+    }
+
+    enqueueOutbound(connectionId, client, type, data) {
+        const size = Buffer.byteLength(data);
+        client.outQueue.push({ type: type, data: data, size: size });
+        client.outQueueBytes += size;
+
+        if (client.outQueueBytes > this.outboundHighWaterMark || client.outQueue.length > this.outboundMaxMessages) {
+            return this.handleSlowConsumer(connectionId, client);
+        }
+        return true;
+    }
+
+    // Over the high-water mark: drop the oldest messages that can be missed, or give up on the client
+    handleSlowConsumer(connectionId, client) {
+        const overLimit = () => client.outQueueBytes > this.outboundHighWaterMark || client.outQueue.length > this.outboundMaxMessages;
+
+        if (this.slowConsumerPolicy === 'drop') {
+            let dropped = 0;
+            for (let i = 0; i < client.outQueue.length && overLimit();) {
+                if (DROPPABLE_TYPES.includes(client.outQueue[i].type)) {
+                    client.outQueueBytes -= client.outQueue[i].size;
+                    client.outQueue.splice(i, 1);
+                    dropped++;
+                } else {
+                    i++;
+                }
+            }
+            client.droppedMessages += dropped;
+            this.outboundStats.dropped += dropped;
+
+            if (!overLimit()) {
+                return true;
+            }
+            // Only messages that must not be lost are left, and there are still too many
+        }
+
+        this.outboundStats.disconnected++;
+        this.logger.warn('Disconnecting slow consumer', this.logContext(connectionId, { messages: client.outQueue.length, bytes: client.outQueueBytes }));
+        client.outQueue = [];
+        client.outQueueBytes = 0;
+        // Written straight to the socket: it arrives if the client ever catches up
+        client.socket.write(encodeMessage({
+            type: 'slow_consumer',
+            action: 'disconnect',
+            message: 'Disconnected: not reading messages fast enough',
+            timestamp: this.getTimestamp()
+        }, client.decoder.framing));
+        this.disconnectClient(connectionId, 'slow_consumer');
+        return false;
+    }
+
+    flushOutbound(connectionId) {
+        const client = this.clients.get(connectionId);
+        if (!client || client.socket.destroyed) return;
+        client.writeBlocked = false;
+
+        if (client.droppedMessages > 0) {
+            const count = client.droppedMessages;
+            client.droppedMessages = 0;
+            this.countMessage(this.metrics.messagesOut, 'slow_consumer');
+            this.writeToSocket(client, encodeMessage({
+                type: 'slow_consumer',
+                action: 'dropped',
+                dropped: count,
+                message: `${count} message(s) were dropped because you were not reading fast enough`,
+                timestamp: this.getTimestamp()
+            }, client.decoder.framing));
+        }
+
+        while (client.outQueue.length > 0 && !client.writeBlocked) {
+            const item = client.outQueue.shift();
+            client.outQueueBytes -= item.size;
+            this.writeToSocket(client, item.data);
+        }
+    }
+
+    // reason: 'closed', 'error', 'replaced' (session takeover), 'heartbeat_timeout', or what the
+    // server disconnected the client for: 'kicked', 'banned', 'flooding', 'slow_consumer' or 'shutdown'
+    handleClientDisconnect(connectionId, reason = 'closed') {
         const client = this.clients.get(connectionId);
         if (client) {
+            clearTimeout(client.middlewareTimer);
+
+            // With a resume token the ID is held for a grace period instead of released
+            const held = client.registered && this.holdSession(connectionId, client);
+
+            // Leave all rooms so their members see this client go
+            for (const room of Array.from(client.rooms)) {
+                this.leaveRoom(connectionId, room, false);
+            }
+
             if (client.registered) {
-                const fullId = `${client.systemId}.${client.clientId}`;
-                this.clientMap.delete(fullId);
-                
-                // Notify all other clients
-                this.broadcastMessage({
-                    type: 'client_left',
-                    systemId: client.systemId,
-                    clientId: client.clientId,
-                    fullId: fullId,
-                    message: `${fullId} left the chat`,
-                    timestamp: this.getTimestamp()
-                }, connectionId);
+                this.pauseTransfers(`${client.systemId}.${client.clientId}`);
+            }
 
-                console.log(`[${this.getTimestamp()}] Unregistered: ${fullId}`);
+            if (client.registered && !held) {
+                this.releaseId(connectionId, client, reason);
             }
             
             // Clean up socket
@@ -394,24 +3386,119 @@ class TCPServer {
                 client.socket.destroy();
             }
             
+            if (client.registered) {
+                this.audit?.record('disconnect', {
+                    fullId: `${client.systemId}.${client.clientId}`,
+                    connectionId: connectionId,
+                    remoteAddress: client.remoteAddress,
+                    reason: reason,
+                    held: held
+                });
+            }
+
             this.clients.delete(connectionId);
+            this.emit('disconnect', connectionId, {
+                fullId: client.registered ? `${client.systemId}.${client.clientId}` : null,
+                held: held,
+                reason: reason
+            });
         }
     }
 
+    // Gives up a connection's ID for good: no session to resume, and everyone is told it left
+    releaseId(connectionId, client, reason) {
+        const fullId = `${client.systemId}.${client.clientId}`;
+        const session = this.sessions.get(fullId);
+        if (session) clearTimeout(session.graceTimer);
+        this.sessions.delete(fullId);
+        this.clientMap.delete(fullId);
+        this.federation?.withdrawClient(fullId);
+
+        // Notify all other clients
+        this.broadcastMessage({
+            type: 'client_left',
+            systemId: client.systemId,
+            clientId: client.clientId,
+            fullId: fullId,
+            message: reason === 'heartbeat_timeout' ? `${fullId} left the chat (connection timed out)` : `${fullId} left the chat`,
+            reason: reason === 'heartbeat_timeout' ? 'timeout' : undefined,
+            lastSeen: this.recordLastSeen(fullId),
+            timestamp: this.getTimestamp()
+        }, connectionId);
+
+        this.logger.info('Unregistered', { fullId: fullId });
+    }
+
     getTimestamp() {
         return new Date().toISOString();
     }
 
+    // Log fields for a connection: its connectionId and, once registered, its fullId
+    logContext(connectionId, fields = {}) {
+        const client = this.clients.get(connectionId);
+        const fullId = client && client.registered ? `${client.systemId}.${client.clientId}` : undefined;
+        return Object.assign({ connectionId: connectionId, fullId: fullId }, fields);
+    }
+
+    countMessage(counts, type) {
+        // Cap distinct types so junk type names can't grow the table forever
+        const key = type in counts || Object.keys(counts).length < 100 ? String(type) : 'other';
+        counts[key] = (counts[key] || 0) + 1;
+    }
+
     getStats() {
+        // Local clients only; remote ones are counted on their own server
+        const clientsBySystem = {};
+        for (const fullId of this.clientMap.keys()) {
+            if (this.remoteClients.has(fullId)) continue;
+            const systemId = fullId.split('.')[0];
+            clientsBySystem[systemId] = (clientsBySystem[systemId] || 0) + 1;
+        }
+
         return {
             totalConnections: this.clients.size,
-            registeredClients: this.clientMap.size,
+            registeredClients: this.clientMap.size - this.remoteClients.size,
+            clientsBySystem: clientsBySystem,
+            remoteClients: this.remoteClients.size,
+            federation: this.federation ? this.federation.getStats() : null,
+            messagesIn: Object.assign({}, this.metrics.messagesIn),
+            messagesOut: Object.assign({}, this.metrics.messagesOut),
+            bytesIn: this.metrics.bytesIn,
+            bytesOut: this.metrics.bytesOut,
+            errors: Object.assign({}, this.metrics.errors),
+            bufferOverflows: this.metrics.bufferOverflows,
+            heartbeatEvictions: this.metrics.heartbeatEvictions,
+            fileTransfers: this.transfers.size,
+            outbound: this.getOutboundStats(),
+            uptime: Math.floor((Date.now() - this.startedAt) / 1000),
+            rateLimits: {
+                limited: this.rateLimitStats.limited,
+                muted: this.rateLimitStats.muted,
+                disconnected: this.rateLimitStats.disconnected,
+                connectionsRejected: this.rateLimitStats.connectionsRejected,
+                byType: Object.assign({}, this.rateLimitStats.byType)
+            },
             timestamp: this.getTimestamp()
         };
     }
 
+    // Queue depth per connection (by fullId once registered) plus slow-consumer totals
+    getOutboundStats() {
+        const queues = {};
+        for (const [connectionId, client] of this.clients) {
+            const key = client.registered ? `${client.systemId}.${client.clientId}` : connectionId;
+            queues[key] = { messages: client.outQueue.length, bytes: client.outQueueBytes, blocked: client.writeBlocked };
+        }
+        return {
+            policy: this.slowConsumerPolicy,
+            dropped: this.outboundStats.dropped,
+            disconnected: this.outboundStats.disconnected,
+            queues: queues
+        };
+    }
+
     stop() {
-        console.log(`\n[${this.getTimestamp()}] Shutting down server...`);
+        this.logger.info('Shutting down server');
         
         // Notify all clients
         this.broadcastMessage({
@@ -427,41 +3514,437 @@ class TCPServer {
             }
         }
 
+        this.closeListeners();
+        this.releaseState();
+    }
+
+    // Graceful shutdown: stop accepting connections, tell every client when to come back
+    // (restartEta plus up to reconnectJitter ms, so they don't all return at once), let
+    // queued messages reach them and then close. Clients still connected after `timeout`
+    // ms are cut off. Resolves with exportState() once everyone is gone; calling it again
+    // returns the same promise. New requests are refused with SHUTTING_DOWN from the start.
+    drain(options = {}) {
+        if (this.draining) return this.draining;
+
+        const restarting = !!options.restarting;
+        const eta = options.eta !== undefined ? options.eta : this.restartEta;
+        const timeout = options.timeout !== undefined ? options.timeout : this.drainTimeout;
+        this.logger.info('Draining connections', { clients: this.clients.size, restarting: restarting, eta: eta, timeout: timeout });
+
+        // Listeners close first: a replacement process may already be accepting on the same ports
+        this.closeListeners();
+
+        for (const connectionId of this.clients.keys()) {
+            const reconnectAfter = eta + Math.floor(Math.random() * (this.reconnectJitter + 1));
+            this.sendToClient(connectionId, {
+                type: 'server_shutdown',
+                message: restarting
+                    ? `Server is restarting, reconnect in about ${(reconnectAfter / 1000).toFixed(1)} seconds`
+                    : 'Server is shutting down',
+                restarting: restarting,
+                eta: eta,
+                reconnectAfter: reconnectAfter,
+                timestamp: this.getTimestamp()
+            });
+        }
+
+        this.draining = new Promise((resolve) => {
+            const deadline = Date.now() + timeout;
+            const check = () => {
+                if (this.clients.size > 0 && Date.now() < deadline) {
+                    // Each client is closed once everything queued for it has been written
+                    for (const client of this.clients.values()) {
+                        if (!client.disconnecting && client.outQueue.length === 0) {
+                            client.disconnecting = true;
+                            client.disconnectReason = 'shutdown';
+                            client.socket.end();
+                        }
+                    }
+                    return;
+                }
+
+                clearInterval(timer);
+                if (this.clients.size > 0) {
+                    this.logger.warn('Drain timed out, closing remaining connections', { clients: this.clients.size });
+                    for (const client of this.clients.values()) {
+                        client.disconnectReason = client.disconnectReason || 'shutdown';
+                        client.socket.destroy();
+                    }
+                }
+                // Whatever is still owed to clients that are gone; a restart hands it to the
+                // replacement, a plain shutdown loses it (everything here lives in memory)
+                const state = this.exportState();
+                if (!restarting && (state.sessions.length > 0 || state.offlineQueue.length > 0)) {
+                    this.logger.warn('Stopping with undelivered state, it is lost', this.describeState(state));
+                }
+                this.releaseState();
+                this.logger.info('Server stopped');
+                resolve(state);
+            };
+            const timer = setInterval(check, DRAIN_CHECK_INTERVAL);
+            check();
+        });
+        return this.draining;
+    }
+
+    // What a replacement process needs to keep the promises made to clients that are gone:
+    // the sessions held for resume and the messages queued for offline IDs. Plain data, so
+    // it can cross the SIGUSR2 handoff channel: {sessions: [...], offlineQueue: [{fullId, messages}]}
+    exportState() {
+        const now = Date.now();
+        const sessions = [];
+        for (const [fullId, session] of this.sessions) {
+            if (session.connectionId !== null || session.heldUntil <= now) continue;
+            sessions.push({
+                fullId: fullId,
+                token: session.token,
+                rooms: session.rooms,
+                presence: session.presence,
+                pending: session.pending,
+                registeredAt: session.registeredAt,
+                expiresIn: session.heldUntil - now
+            });
+        }
+
+        const offlineQueue = [];
+        for (const fullId of Array.from(this.offlineQueue.keys())) {
+            const messages = this.pruneOfflineQueue(fullId);
+            if (messages.length > 0) {
+                offlineQueue.push({ fullId: fullId, messages: messages });
+            }
+        }
+        return { sessions: sessions, offlineQueue: offlineQueue };
+    }
+
+    // Takes over exportState() from the process this one replaced. Clients that already came
+    // back and registered afresh keep their new session; their queued messages still go out.
+    importState(state) {
+        let sessions = 0;
+        for (const held of state.sessions || []) {
+            if (this.sessions.has(held.fullId) || this.clientMap.has(held.fullId)) continue;
+            this.sessions.set(held.fullId, {
+                token: held.token,
+                connectionId: null,
+                rooms: held.rooms,
+                presence: held.presence,
+                pending: held.pending,
+                registeredAt: held.registeredAt,
+                heldUntil: Date.now() + held.expiresIn,
+                graceTimer: setTimeout(() => this.expireSession(held.fullId), held.expiresIn)
+            });
+            // Held sessions keep their rooms alive, as in holdSession()
+            for (const room of held.rooms) {
+                if (!this.rooms.has(room)) {
+                    this.rooms.set(room, new Set());
+                }
+            }
+            sessions++;
+        }
+
+        let messages = 0;
+        for (const { fullId, messages: entries } of state.offlineQueue || []) {
+            const queue = (this.offlineQueue.get(fullId) || []).concat(entries).slice(-this.offlineQueueLimit);
+            this.offlineQueue.set(fullId, queue);
+            messages += entries.length;
+            if (this.clientMap.has(fullId) && this.clients.has(this.clientMap.get(fullId))) {
+                this.flushOfflineQueue(fullId);
+            }
+        }
+
+        this.logger.info('Took over state from the previous process', { sessions: sessions, queuedMessages: messages });
+    }
+
+    describeState(state) {
+        return {
+            sessions: state.sessions.length,
+            queuedMessages: state.offlineQueue.reduce((total, entry) => total + entry.messages.length, 0)
+        };
+    }
+
+    // The listening servers a replacement process can take over: {chat, websocket, monitor, federation}
+    getListeners() {
+        const listeners = {
+            chat: this.server,
+            websocket: this.websocket?.server,
+            monitor: this.monitor?.server,
+            federation: this.federation?.server
+        };
+        Object.keys(listeners).forEach((name) => {
+            if (!listeners[name] || !listeners[name].listening) delete listeners[name];
+        });
+        return listeners;
+    }
+
+    closeListeners() {
+        if (this.monitor) {
+            this.monitor.stop();
+            this.monitor = null;
+        }
+
+        if (this.websocket) {
+            this.websocket.stop();
+            this.websocket = null;
+        }
+
+        if (this.federation) {
+            this.federation.stop();
+            this.federation = null;
+        }
+
+        if (this.discovery) {
+            this.discovery.stop();
+            this.discovery = null;
+        }
+
         // Close server
         if (this.server) {
             this.server.close(() => {
-                console.log(`[${this.getTimestamp()}] Server stopped`);
+                this.logger.info('Server stopped accepting connections');
             });
+            this.server = null;
         }
+    }
+
+    releaseState() {
+        for (const session of this.sessions.values()) {
+            clearTimeout(session.graceTimer);
+        }
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
 
         this.clients.clear();
         this.clientMap.clear();
+        this.remoteClients.clear();
+        this.rooms.clear();
+        this.sessions.clear();
+
+        if (this.history.close) {
+            this.history.close();
+        }
     }
 }
 
 // Start server
 if (require.main === module) {
-    const port = parseInt(process.argv[2]) || 8080;
-    const host = process.argv[3] || '0.0.0.0';
+    const args = process.argv.slice(2);
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log('Usage: node server.js [port] [host] [--config file] [--option value ...]\n');
+        console.log('Settings come from the defaults, then the config file, then CHAT_* variables, then flags.');
+        console.log('Send SIGHUP to reload the config file (limits, bans, admins, log level) without restarting,');
+        console.log('SIGUSR2 to restart into a new process without closing the ports, and SIGTERM to drain and stop.\n');
+        console.log(describeSettings(SERVER_SETTINGS));
+        process.exit(0);
+    }
+
+    const loadSettings = () => resolveConfig(SERVER_SETTINGS, args, { positional: ['port', 'host'], check: checkServerSettings });
+
+    let config;
+    try {
+        config = loadSettings();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    // Settings named after TCPServer options pass straight through; the rest are wired up here
+    const { port, host, statsInterval, authFile, historyFile, bansFile, auditFile, auditMaxSize, auditMaxFiles,
+        tls, monitor, websocket, federation, discovery, ...options } = config.settings;
+
+    // authFile points at a credentials file (see auth.js); unset keeps open registration
+    const authenticator = createAuthenticator(authFile || 'open');
+
+    // One logger for the server and the stores wired up here, so their problems land in the same log
+    const logger = new Logger({
+        level: options.logLevel,
+        format: options.logFormat,
+        file: options.logFile,
+        maxSize: options.logMaxSize,
+        maxFiles: options.logMaxFiles
+    });
+
+    // History is appended to historyFile ('memory' keeps it in memory only), bans persist to bansFile
+    const historyStore = createHistoryStore(historyFile, { logger });
+    const banList = new BanList(bansFile);
+
+    const server = new TCPServer(port, host, Object.assign(options, {
+        logger,
+        authenticator,
+        historyStore,
+        banList,
+        audit: auditFile ? new AuditLog(auditFile, { maxSize: auditMaxSize, maxFiles: auditMaxFiles }) : null,
+        tls: tls.cert ? tls : null,
+        monitor: monitor.port ? monitor : null,
+        websocket: websocket.port ? websocket : null,
+        federation: federation.serverId ? federation : null,
+        discovery: discovery.enabled ? Object.assign({ name: federation.serverId }, discovery) : null
+    }));
+    if (options.admins.length > 0 && !authenticator.requiresSecret) {
+        server.logger.warn('Admins are configured but registration is open, so anyone can claim an admin ID. Set authFile (or CHAT_AUTH_FILE)');
+    }
 
-    const server = new TCPServer(port, host);
-    server.start();
+    // A process started by a SIGUSR2 handoff is first sent the listening servers of the one
+    // it replaces, then says when it is serving on them so the old one can drain. Once that
+    // drain is over, the old process sends its held sessions and offline messages.
+    if (process.env.CHAT_HANDOFF && process.send) {
+        const listeners = {};
+        const onHandoffMessage = (message, handle) => {
+            if (message.type === 'listener' && handle) {
+                listeners[message.name] = handle;
+            } else if (message.type === 'listeners_sent') {
+                server.inheritedListeners = listeners;
+                server.start();
+                process.send({ type: 'ready' });
+            } else if (message.type === 'state') {
+                process.removeListener('message', onHandoffMessage);
+                server.importState(message.state);
+                process.disconnect();
+            }
+        };
+        process.on('message', onHandoffMessage);
+    } else {
+        server.start();
+    }
 
     // Display stats periodically
-    setInterval(() => {
-        const stats = server.getStats();
-        console.log(`\n[${stats.timestamp}] Server Stats: ${stats.registeredClients} clients (${stats.totalConnections} total connections)`);
-    }, 60000); // Every minute
-
-    // Handle graceful shutdown
-    process.on('SIGINT', () => {
-        server.stop();
-        setTimeout(() => process.exit(0), 1000);
+    let statsTimer = null;
+    const startStats = (interval) => {
+        clearInterval(statsTimer);
+        statsTimer = interval > 0 ? setInterval(() => {
+            const stats = server.getStats();
+            server.logger.info('Server stats', {
+                clients: stats.registeredClients,
+                connections: stats.totalConnections,
+                remoteClients: stats.federation ? stats.remoteClients : undefined,
+                peers: stats.federation ? stats.federation.peers.length : undefined,
+                rateLimitHits: stats.rateLimits.limited
+            });
+        }, interval) : null;
+    };
+    startStats(statsInterval);
+
+    // SIGHUP re-reads the config file, environment and flags. Settings the server can change
+    // in place are applied and the bans and credentials files are read again; anything else
+    // is reported and keeps its old value until a restart. A bad file changes nothing.
+    process.on('SIGHUP', () => {
+        let next;
+        try {
+            next = loadSettings();
+        } catch (error) {
+            server.logger.error('Reload failed, keeping the current configuration', { problems: error.problems || [error.message] });
+            return;
+        }
+
+        const changed = Object.keys(next.settings)
+            .filter(key => JSON.stringify(next.settings[key]) !== JSON.stringify(config.settings[key]));
+        const restartOnly = changed.filter(key => key !== 'statsInterval' && !RELOADABLE_OPTIONS.includes(key));
+        restartOnly.forEach((key) => {
+            next.settings[key] = config.settings[key];
+        });
+
+        const updates = {};
+        changed.forEach((key) => {
+            updates[key] = next.settings[key];
+        });
+        const applied = server.reconfigure(updates);
+        if (changed.includes('statsInterval')) {
+            startStats(next.settings.statsInterval);
+            applied.push('statsInterval');
+        }
+        config = next;
+
+        let removed = 0;
+        try {
+            banList.reload();
+            removed = server.enforceBans();
+            if (authenticator.reload) {
+                authenticator.reload();
+            }
+        } catch (error) {
+            server.logger.error('Could not reload bans or credentials', { error: error.message });
+        }
+
+        server.logger.info('Configuration reloaded', { applied: applied, bans: banList.bans.length, disconnected: removed });
+        if (restartOnly.length > 0) {
+            server.logger.warn('Restart to apply these changes', { settings: restartOnly });
+        }
+        server.audit?.record('reload', { applied: applied, restartOnly: restartOnly, bans: banList.bans.length, disconnected: removed });
     });
 
-    process.on('SIGTERM', () => {
-        server.stop();
-        setTimeout(() => process.exit(0), 1000);
+    // The log and audit files are written in the background; let them catch up before leaving
+    const exit = (code) => {
+        let open = server.audit ? 2 : 1;
+        const closed = () => {
+            if (--open === 0) process.exit(code);
+        };
+        server.audit?.close(closed);
+        logger.close(closed);
+    };
+
+    // SIGINT and SIGTERM drain: queued messages go out and clients are told when to reconnect.
+    // A second signal while draining exits straight away. handOver, if given, gets what the
+    // drain left behind and exits when it is done.
+    const shutdown = (options = {}, handOver = null) => {
+        if (server.draining) {
+            server.logger.warn('Exiting without waiting for the drain to finish');
+            process.exit(1);
+        }
+        clearInterval(statsTimer);
+        server.drain(options).then(state => (handOver ? handOver(state) : exit(0)));
+    };
+
+    process.on('SIGINT', () => shutdown());
+    process.on('SIGTERM', () => shutdown());
+
+    // SIGUSR2 starts a replacement with the same script, arguments and environment (so it
+    // picks up new code and config), hands it the listening servers so the ports never close,
+    // and drains this process once the replacement is serving. If it fails, nothing changes.
+    let replacement = null;
+    process.on('SIGUSR2', () => {
+        if (replacement || server.draining) return;
+
+        const listeners = server.getListeners();
+        const child = spawn(process.execPath, process.execArgv.concat(process.argv.slice(1)), {
+            stdio: ['ignore', 'inherit', 'inherit', 'ipc'],
+            env: Object.assign({}, process.env, { CHAT_HANDOFF: '1' }),
+            detached: true
+        });
+        replacement = child;
+        server.logger.info('Starting replacement process', { pid: child.pid, listeners: Object.keys(listeners) });
+
+        const fail = (reason) => {
+            if (replacement !== child || server.draining) return;
+            replacement = null;
+            clearTimeout(timer);
+            server.logger.error('Replacement process failed, carrying on', { pid: child.pid, reason: reason });
+            child.kill();
+        };
+        const timer = setTimeout(() => fail('did not start in time'), HANDOFF_TIMEOUT);
+        child.on('error', error => fail(error.message));
+        child.on('exit', code => fail(`exited with code ${code}`));
+
+        child.on('message', (message) => {
+            if (message.type !== 'ready' || replacement !== child) return;
+            clearTimeout(timer);
+            child.removeAllListeners('exit');
+            child.unref();
+            server.logger.info('Replacement is serving, draining this process', { pid: child.pid });
+            // Clients can come straight back; the jitter still spreads them out
+            shutdown({ restarting: true, eta: 0 }, (state) => {
+                child.send({ type: 'state', state: state }, (error) => {
+                    if (error) {
+                        server.logger.error('Could not hand state to the replacement, it is lost', Object.assign({ error: error.message }, server.describeState(state)));
+                    } else {
+                        server.logger.info('Handed state to the replacement', server.describeState(state));
+                    }
+                    exit(0);
+                });
+            });
+        });
+
+        Object.entries(listeners).forEach(([name, listener]) => child.send({ type: 'listener', name: name }, listener));
+        child.send({ type: 'listeners_sent' });
     });
 }
 
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SERVER_SETTINGS, CLIENT_SETTINGS, checkServerSettings, resolveConfig, parseYaml } = require('../config');
+const { assert, runChecks } = require('./helpers');
+
+// Settings: the YAML subset config files are written in, the order sources override
+// each other in (defaults < file < environment < flags) and the problems startup refuses.
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-config-test-'));
+
+function writeFile(name, text) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, text);
+    return filePath;
+}
+
+function resolveServer(args, env = {}) {
+    return resolveConfig(SERVER_SETTINGS, args, { positional: ['port', 'host'], check: checkServerSettings, env: env }).settings;
+}
+
+// Returns the problems a configuration is refused for
+function problemsWith(args, env = {}) {
+    try {
+        resolveServer(args, env);
+    } catch (error) {
+        assert.strictEqual(error.code, 'INVALID_CONFIG');
+        return error.problems;
+    }
+    throw new Error('configuration was accepted');
+}
+
+runChecks([
+    ['YAML mappings, lists and scalars', () => {
+        const parsed = parseYaml([
+            '---',
+            '# chat server',
+            'port: 9000 # inline comment',
+            'logFile: it\'s here.log',
+            'tls:',
+            '  cert: "certs/server cert.pem"',
+            '  key: \'certs/server.key\'',
+            'admins:',
+            '- ops.alice',
+            '- ops.bob',
+            'federation:',
+            '  peers:',
+            '    - host: 10.0.0.2',
+            '      port: 9100',
+            '    - {host: 10.0.0.3, port: 9100}',
+            'rateLimits: {message: {rate: 5, burst: 10}, "a:b": [1, 2,]}',
+            'statsInterval: ~',
+            'discovery:',
+            '  enabled: yes',
+            '  group: true'
+        ].join('\n'));
+
+        assert.deepStrictEqual(parsed, {
+            port: 9000,
+            logFile: 'it\'s here.log',
+            tls: { cert: 'certs/server cert.pem', key: 'certs/server.key' },
+            admins: ['ops.alice', 'ops.bob'],
+            federation: { peers: [{ host: '10.0.0.2', port: 9100 }, { host: '10.0.0.3', port: 9100 }] },
+            rateLimits: { message: { rate: 5, burst: 10 }, 'a:b': [1, 2] },
+            statsInterval: null,
+            discovery: { enabled: 'yes', group: true }
+        });
+        assert.deepStrictEqual(parseYaml('# nothing\n\n'), {});
+    }],
+
+    ['YAML mistakes name their line', () => {
+        const cases = [
+            ['port: 1\n\tcert: x', /line 2: indent with spaces/],
+            ['port: 1\nport: 2', /line 2: duplicate key "port"/],
+            ['tls:\n  cert: a\n    key: b', /line 3: unexpected indentation/],
+            ['admins: [a, b', /line 1: unterminated list/],
+            ['logFile: "unterminated', /line 1: bad double-quoted string/],
+            ['base: &anchor\n  port: 1', /line 1: unsupported YAML syntax "&"/],
+            ['just words', /line 1: expected "key: value"/]
+        ];
+        for (const [text, expected] of cases) {
+            assert.throws(() => parseYaml(text), expected, text);
+        }
+    }],
+
+    ['defaults apply when nothing is set', () => {
+        const settings = resolveServer([]);
+        assert.strictEqual(settings.port, 8080);
+        assert.strictEqual(settings.tls.cert, undefined);
+        assert.deepStrictEqual(settings.federation.peers, []);
+    }],
+
+    ['a file overrides defaults, the environment the file and flags everything', () => {
+        const file = writeFile('server.yaml', 'port: 9001\nlogLevel: warn\nmaxConnections: 20\ntls:\n  cert: a.pem\n  key: a.key\n');
+        const env = { CHAT_CONFIG: file, CHAT_LOG_LEVEL: 'debug' };
+
+        const fromFile = resolveServer([], env);
+        assert.strictEqual(fromFile.port, 9001);
+        assert.strictEqual(fromFile.logLevel, 'debug');
+        assert.strictEqual(fromFile.maxConnections, 20);
+        assert.deepStrictEqual([fromFile.tls.cert, fromFile.tls.key], ['a.pem', 'a.key']);
+
+        const fromFlags = resolveServer(['--log-level', 'error', '--max-connections=5', '9002'], env);
+        assert.strictEqual(fromFlags.logLevel, 'error');
+        assert.strictEqual(fromFlags.maxConnections, 5);
+        assert.strictEqual(fromFlags.port, 9002);
+        assert.strictEqual(resolveServer(['9002', '--port', '9003'], env).port, 9003, 'a flag beats a positional argument');
+    }],
+
+    ['the extension picks the parser', () => {
+        const json = writeFile('server.json', JSON.stringify({ port: 9004, federation: { peers: [{ host: 'b', port: 9100 }] }, idPattern: '^[a-z]+$' }));
+        const settings = resolveServer(['--config', json, '--federation-server-id', 'a', '--federation-secret', 's']);
+        assert.strictEqual(settings.port, 9004);
+        assert.deepStrictEqual(settings.federation.peers, [{ host: 'b', port: 9100 }]);
+
+        const yml = writeFile('client.yml', 'systemId: lab\nclientId: ann\ndiscovery:\n  confirm: true\n');
+        const client = resolveConfig(CLIENT_SETTINGS, ['--config', yml]).settings;
+        assert.deepStrictEqual([client.systemId, client.clientId, client.discovery.confirm], ['lab', 'ann', true]);
+
+        assert.ok(problemsWith(['--config', writeFile('broken.json', 'port: 1')])[0].includes('broken.json'));
+    }],
+
+    ['unknown keys and wrong types are refused with their source', () => {
+        const file = writeFile('bad.yaml', 'port: high\nlogLevels: debug\ntls:\n  certificate: x\n');
+        const problems = problemsWith(['--config', file, '--max-connections', '0', '--colour'], { CHAT_SLOW_CONSUMER: 'ignore' });
+        assert.ok(problems.includes(`unknown setting "logLevels" in ${file}`), problems.join('\n'));
+        assert.ok(problems.includes(`unknown setting "tls.certificate" in ${file}`));
+        assert.ok(problems.includes('unknown option --colour'));
+        assert.ok(problems.includes(`port (from ${file}) expected an integer, got "high"`));
+        assert.ok(problems.includes('maxConnections (from --max-connections) must be at least 1, got 0'));
+        assert.ok(problems.some(problem => problem.startsWith('slowConsumerPolicy (from CHAT_SLOW_CONSUMER) expected one of')));
+    }],
+
+    ['an idPattern that lets target syntax into IDs is refused', () => {
+        for (const pattern of ['[a-z]+', '^[a-z.]+$', '^[^,]*$', '.*']) {
+            const problems = problemsWith(['--id-pattern', pattern]);
+            assert.ok(problems[0].startsWith('idPattern (from --id-pattern) must not accept'), pattern);
+        }
+        assert.ok(problemsWith(['--id-pattern', '^[a-z+$'])[0].includes('is not a valid pattern'));
+        assert.strictEqual(resolveServer(['--id-pattern', '^[a-z0-9]{1,16}$']).idPattern, '^[a-z0-9]{1,16}$');
+    }],
+
+    ['settings that only work together are checked together', () => {
+        assert.deepStrictEqual(problemsWith(['--tls-cert', 'a.pem']), ['tls.cert and tls.key must be set together']);
+        assert.deepStrictEqual(problemsWith(['--tls-cert', 'a.pem', '--tls-key', 'a.key', '--tls-require-client-cert']),
+            ['tls.requestCert and tls.requireCertMatch need tls.ca']);
+        assert.deepStrictEqual(problemsWith(['--federation-peers', 'b:9100']), ['federation.port and federation.peers need federation.serverId']);
+        assert.deepStrictEqual(problemsWith(['--federation-server-id', 'a']), ['federation.serverId needs federation.secret']);
+    }],
+
+    ['clean up', () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }]
+]);
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const net = require('net');
+const TCPServer = require('../server');
+const { encodeMessage, MessageDecoder } = require('../framing');
+const { assert, wait, connect, runChecks } = require('./helpers');
+
+// Federation: the shared-secret handshake between servers and the MAC and sequence number
+// on every message of an established link, checked from both a real peer and a raw one.
+
+const SECRET = 'federation test secret';
+const PORT_A = 19240;
+const PEER_PORT_A = 19241;
+const PORT_B = 19242;
+
+const serverA = new TCPServer(PORT_A, '127.0.0.1', {
+    logLevel: 'error',
+    statsInterval: 0,
+    federation: { serverId: 'alpha', secret: SECRET, port: PEER_PORT_A, host: '127.0.0.1' }
+});
+const serverB = new TCPServer(PORT_B, '127.0.0.1', {
+    logLevel: 'error',
+    statsInterval: 0,
+    federation: { serverId: 'beta', secret: SECRET, peers: [{ host: '127.0.0.1', port: PEER_PORT_A }], reconnectDelay: 60000 }
+});
+serverA.start();
+serverB.start();
+
+const hmac = (key, text) => crypto.createHmac('sha256', key).update(text).digest('hex');
+
+async function until(condition, what, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error(`timed out waiting for ${what}`);
+        await wait(20);
+    }
+}
+
+// A peer server written by hand: dials alpha's peer port and plays the dialer's side
+class FakePeer {
+    constructor(serverId, secret) {
+        this.serverId = serverId;
+        this.secret = secret;
+        this.nonce = crypto.randomBytes(16).toString('hex');
+        this.decoder = new MessageDecoder({ framing: 'length' });
+        this.received = [];
+        this.sessionKey = null;
+        this.sendSeq = 0;
+        this.socket = net.createConnection(PEER_PORT_A, '127.0.0.1');
+        this.socket.on('error', () => {});
+        this.closed = new Promise(resolve => this.socket.on('close', resolve));
+        this.socket.on('data', (data) => {
+            this.decoder.push(data);
+            let result;
+            while ((result = this.decoder.next()) !== null) {
+                if (result.message) this.received.push(JSON.parse(result.message));
+            }
+        });
+    }
+
+    write(message) {
+        this.socket.write(encodeMessage(message, 'length'));
+    }
+
+    async handshake() {
+        this.write({ type: 'peer_hello', serverId: this.serverId, nonce: this.nonce });
+        await until(() => this.received.some(message => message.type === 'peer_hello'), 'peer_hello');
+        const hello = this.received.find(message => message.type === 'peer_hello');
+        const transcript = `${this.serverId}:${this.nonce}:${hello.serverId}:${hello.nonce}`;
+        this.write({ type: 'peer_auth', proof: hmac(this.secret, `dialer:${transcript}`) });
+        this.sessionKey = hmac(this.secret, `session:${transcript}`);
+        this.listenerProof = hmac(this.secret, `listener:${transcript}`);
+    }
+
+    // A peer_data envelope as the dialer would sign it; tests tamper with the result
+    envelope(message, seq = this.sendSeq++) {
+        const payload = JSON.stringify(message);
+        return { type: 'peer_data', seq: seq, payload: payload, mac: hmac(this.sessionKey, `dialer:${seq}:${payload}`) };
+    }
+}
+
+async function linkedPeer(serverId) {
+    const peer = new FakePeer(serverId, SECRET);
+    await peer.handshake();
+    await until(() => serverA.federation.links.has(serverId), `the ${serverId} link`);
+    return peer;
+}
+
+const closedWithin = (peer, ms) => Promise.race([peer.closed.then(() => true), wait(ms).then(() => false)]);
+
+let ann;
+let bob;
+
+runChecks([
+    ['two servers with the same secret link up', async () => {
+        await until(() => serverA.federation.links.has('beta') && serverB.federation.links.has('alpha'), 'the alpha-beta link');
+    }],
+
+    ['a private message crosses the link', async () => {
+        ann = await connect(PORT_A);
+        bob = await connect(PORT_B);
+        await ann.register('lab', 'ann');
+        await bob.register('lab', 'bob');
+        await until(() => serverB.remoteClients.has('lab.ann'), 'lab.ann on beta');
+
+        bob.send({ type: 'private_message', target: 'lab.ann', content: 'hello from beta' });
+        const received = await ann.next('private_message');
+        assert.strictEqual(received.content, 'hello from beta');
+        assert.strictEqual(received.from, 'lab.bob');
+    }],
+
+    ['a peer with the wrong secret is cut off', async () => {
+        const peer = new FakePeer('gamma', 'not the secret');
+        await peer.handshake();
+        assert.ok(await closedWithin(peer, 2000), 'link still open');
+        assert.ok(!peer.received.some(message => message.type === 'peer_auth'), 'listener answered a bad proof');
+        assert.ok(!serverA.federation.links.has('gamma'));
+    }],
+
+    ['a peer with the secret is answered and its clients are accepted', async () => {
+        const peer = await linkedPeer('delta');
+        const answer = peer.received.find(message => message.type === 'peer_auth');
+        assert.strictEqual(answer.proof, peer.listenerProof);
+
+        peer.write(peer.envelope({ type: 'peer_client_add', fullId: 'far.dan', registeredAt: Date.now() }));
+        await until(() => serverA.remoteClients.has('far.dan'), 'far.dan on alpha');
+        assert.strictEqual(serverA.remoteClients.get('far.dan').serverId, 'delta');
+        peer.socket.destroy();
+    }],
+
+    ['a message with a bad MAC closes the link', async () => {
+        const peer = await linkedPeer('epsilon');
+        const forged = peer.envelope({ type: 'peer_client_add', fullId: 'far.eve', registeredAt: Date.now() });
+        forged.payload = JSON.stringify({ type: 'peer_client_add', fullId: 'far.mallory', registeredAt: Date.now() });
+        peer.write(forged);
+        assert.ok(await closedWithin(peer, 2000), 'link still open');
+        assert.ok(!serverA.remoteClients.has('far.mallory'));
+    }],
+
+    ['a replayed message closes the link', async () => {
+        const peer = await linkedPeer('zeta');
+        const message = peer.envelope({ type: 'peer_client_add', fullId: 'far.zed', registeredAt: Date.now() });
+        peer.write(message);
+        await until(() => serverA.remoteClients.has('far.zed'), 'far.zed on alpha');
+        peer.write(message);
+        assert.ok(await closedWithin(peer, 2000), 'link still open');
+    }],
+
+    ['nothing but the handshake is accepted before it', async () => {
+        const peer = new FakePeer('eta', SECRET);
+        peer.write({ type: 'peer_client_add', fullId: 'far.eta', registeredAt: Date.now() });
+        assert.ok(await closedWithin(peer, 2000), 'link still open');
+        assert.ok(!serverA.remoteClients.has('far.eta'));
+    }],
+
+    ['clean up', async () => {
+        ann.close();
+        bob.close();
+        serverA.stop();
+        serverB.stop();
+    }]
+]);
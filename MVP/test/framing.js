@@ -0,0 +1,109 @@
+const TCPServer = require('../server');
+const { encodeMessage, MessageDecoder, PROTOCOL_VERSION } = require('../framing');
+const { assert, connect, runChecks } = require('./helpers');
+
+// Framings and the hello exchange: newline and length framing on their own, and a
+// connection switching from one to the other part way through.
+
+const PORT = 19230;
+
+const server = new TCPServer(PORT, '127.0.0.1', { logLevel: 'error', statsInterval: 0, maxFrameSize: 2048, maxMessageSize: 1024 });
+server.start();
+
+// Feeds bytes to a decoder in the given pieces and collects what comes out
+function decode(decoder, pieces) {
+    const results = [];
+    for (const piece of pieces) {
+        decoder.push(piece);
+        let result;
+        while ((result = decoder.next()) !== null) {
+            results.push(result);
+        }
+    }
+    return results;
+}
+
+let client;
+
+runChecks([
+    ['newline framing splits on newlines only', () => {
+        const results = decode(new MessageDecoder(), ['{"type":"a"}\n{"type"', ':"b"}\n{"type":"c"}']);
+        assert.deepStrictEqual(results.map(result => result.message), ['{"type":"a"}', '{"type":"b"}']);
+    }],
+
+    ['length framing survives split headers and multi-byte characters', () => {
+        const frame = encodeMessage({ type: 'message', content: 'héllo\nwörld ✓' }, 'length');
+        assert.strictEqual(frame.readUInt32BE(0), frame.length - 4);
+        const pieces = [frame.slice(0, 2), frame.slice(2, 7), frame.slice(7)];
+        const results = decode(new MessageDecoder({ framing: 'length' }), pieces);
+        assert.strictEqual(JSON.parse(results[0].message).content, 'héllo\nwörld ✓');
+    }],
+
+    ['an oversized frame is skipped without losing sync', () => {
+        const big = encodeMessage({ type: 'message', content: 'x'.repeat(3000) }, 'length');
+        const small = encodeMessage({ type: 'ping' }, 'length');
+        const results = decode(new MessageDecoder({ framing: 'length', maxFrameSize: 1024 }), [big.slice(0, 100), big.slice(100), small]);
+        assert.strictEqual(results[0].overflow, big.length - 4);
+        assert.strictEqual(JSON.parse(results[1].message).type, 'ping');
+    }],
+
+    ['the welcome offers both framings', async () => {
+        client = await connect(PORT);
+        const welcome = client.messages[0];
+        assert.strictEqual(welcome.protocolVersion, PROTOCOL_VERSION);
+        assert.deepStrictEqual(welcome.framings, ['length', 'newline']);
+    }],
+
+    ['a hello switches the connection to length framing', async () => {
+        client.send({ type: 'hello', version: PROTOCOL_VERSION, framings: ['length', 'newline'], features: ['rooms'] });
+        const hello = await client.next('hello');
+        assert.strictEqual(hello.framing, 'length');
+        assert.strictEqual(hello.maxMessageSize, 2048);
+        assert.deepStrictEqual(hello.features, ['rooms']);
+
+        await client.register('lab', 'framed');
+        // Length frames may carry messages longer than a line and with raw newlines in them
+        client.send({ type: 'ping', requestId: 'r1', pad: 'y'.repeat(1500) });
+        assert.strictEqual((await client.next('pong')).requestId, 'r1');
+    }],
+
+    ['an oversized frame is refused and the next one still gets through', async () => {
+        client.socket.write(encodeMessage({ type: 'message', content: 'z'.repeat(3000) }, 'length'));
+        client.send({ type: 'ping', requestId: 'r2' });
+        assert.strictEqual((await client.next('error')).code, 'MESSAGE_TOO_LARGE');
+        assert.strictEqual((await client.next('pong')).requestId, 'r2');
+    }],
+
+    ['hello after register is a protocol error', async () => {
+        client.send({ type: 'hello', version: PROTOCOL_VERSION, framings: ['newline'] });
+        assert.strictEqual((await client.next('error')).code, 'PROTOCOL_ERROR');
+        client.close();
+    }],
+
+    ['unknown framings fall back to newline', async () => {
+        const other = await connect(PORT);
+        other.send({ type: 'hello', version: 99, framings: ['carrier-pigeon'] });
+        const hello = await other.next('hello');
+        assert.strictEqual(hello.framing, 'newline');
+        assert.strictEqual(hello.version, PROTOCOL_VERSION);
+        await other.register('lab', 'pigeon');
+        other.close();
+    }],
+
+    ['a client without hello keeps the version 1 protocol', async () => {
+        const old = await connect(PORT);
+        await old.register('lab', 'legacy');
+        old.socket.write('{"type":"ping","requestId":"r3"}\n');
+        assert.strictEqual((await old.next('pong')).requestId, 'r3');
+        // A line is too long once it passes the limit without a newline in sight
+        old.socket.write(`{"type":"message","content":"${'w'.repeat(1100)}`);
+        assert.strictEqual((await old.next('error')).code, 'MESSAGE_TOO_LARGE');
+        old.socket.write('\n{"type":"ping","requestId":"r4"}\n');
+        assert.strictEqual((await old.next('pong')).requestId, 'r4');
+        old.close();
+    }],
+
+    ['clean up', async () => {
+        server.stop();
+    }]
+]);
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const net = require('net');
+const { encodeMessage, MessageDecoder } = require('../framing');
+
+// Shared by the scripts in this directory. Each script starts its own servers on its own
+// ports, runs its checks in order and exits with status 1 at the first one that fails, so
+// `node test/<name>.js` runs one and `node --test test/` runs them all.
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A raw protocol connection: records every message the server sends and follows the
+// framing a hello reply switches to
+class RawConnection {
+    constructor(port, host = '127.0.0.1') {
+        this.socket = net.createConnection(port, host);
+        this.decoder = new MessageDecoder({ maxLineLength: 1048576 });
+        this.messages = [];
+        this.taken = new Set(); // Messages already handed out by next()
+        this.waiters = [];
+        this.closed = new Promise(resolve => this.socket.on('close', resolve));
+
+        this.socket.on('error', () => {});
+        this.socket.on('data', (data) => {
+            this.decoder.push(data);
+            let result;
+            while ((result = this.decoder.next()) !== null) {
+                if (!result.message) continue;
+                const message = JSON.parse(result.message);
+                if (message.type === 'hello' && message.framing) {
+                    this.decoder.framing = message.framing;
+                }
+                this.messages.push(message);
+                this.waiters.slice().forEach(waiter => waiter());
+            }
+        });
+    }
+
+    send(message) {
+        this.socket.write(encodeMessage(message, this.decoder.framing));
+    }
+
+    // Resolves with the first message of this type (or passing this test) not returned before
+    next(match, timeout = 2000) {
+        const test = typeof match === 'function' ? match : message => message.type === match;
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                const found = this.messages.find(message => !this.taken.has(message) && test(message));
+                if (!found) return false;
+                this.taken.add(found);
+                this.waiters = this.waiters.filter(waiter => waiter !== check);
+                clearTimeout(timer);
+                resolve(found);
+                return true;
+            };
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(waiter => waiter !== check);
+                reject(new Error(`no ${typeof match === 'function' ? 'matching' : match} message within ${timeout} ms`));
+            }, timeout);
+            if (!check()) this.waiters.push(check);
+        });
+    }
+
+    // Sends register and resolves with the registered reply
+    register(systemId, clientId, extra = {}) {
+        this.send(Object.assign({ type: 'register', systemId: systemId, clientId: clientId }, extra));
+        return this.next('registered');
+    }
+
+    close() {
+        this.socket.end();
+    }
+}
+
+function connect(port, host) {
+    const connection = new RawConnection(port, host);
+    return connection.next('welcome').then(() => connection);
+}
+
+// Runs [name, async fn] checks in order, printing each, and exits when done
+function runChecks(checks) {
+    (async () => {
+        for (const [name, check] of checks) {
+            try {
+                await check();
+                console.log(`ok - ${name}`);
+            } catch (error) {
+                console.log(`not ok - ${name}`);
+                console.error(error);
+                process.exit(1);
+            }
+        }
+        process.exit(0);
+    })();
+}
+
+module.exports = {
+    assert,
+    wait,
+    connect,
+    RawConnection,
+    runChecks
+};
@@ -0,0 +1,110 @@
+const TCPServer = require('../server');
+const { assert, wait, connect, runChecks } = require('./helpers');
+
+// Session resume: a dropped client's ID, rooms and messages are held for
+// sessionGraceTime and handed back to whoever registers with its resume token.
+
+const PORT = 19210;
+const SHORT_PORT = 19211;
+
+const server = new TCPServer(PORT, '127.0.0.1', { logLevel: 'error', statsInterval: 0, sessionGraceTime: 5000 });
+const shortServer = new TCPServer(SHORT_PORT, '127.0.0.1', { logLevel: 'error', statsInterval: 0, sessionGraceTime: 300 });
+server.start();
+shortServer.start();
+
+let alice;
+let bob;
+let token;
+
+runChecks([
+    ['register hands out a resume token', async () => {
+        alice = await connect(PORT);
+        bob = await connect(PORT);
+        const registered = await alice.register('lab', 'alice');
+        await bob.register('lab', 'bob');
+        assert.strictEqual(typeof registered.resumeToken, 'string');
+        token = registered.resumeToken;
+
+        alice.send({ type: 'join_room', room: 'ops' });
+        await alice.next('room_joined');
+        bob.send({ type: 'join_room', room: 'ops' });
+        await bob.next('room_joined');
+    }],
+
+    ['a dropped client is held without telling anyone', async () => {
+        alice.close();
+        await wait(200);
+        assert.ok(!bob.messages.some(message => message.type === 'client_left' || message.type === 'room_client_left'));
+        assert.ok(server.sessions.get('lab.alice').connectionId === null);
+    }],
+
+    ['a held ID refuses registration without the token', async () => {
+        const intruder = await connect(PORT);
+        intruder.send({ type: 'register', systemId: 'lab', clientId: 'alice' });
+        assert.strictEqual((await intruder.next('error')).code, 'ID_RESERVED');
+        intruder.send({ type: 'register', systemId: 'lab', clientId: 'alice', resumeToken: 'f'.repeat(48) });
+        assert.strictEqual((await intruder.next('error')).code, 'ID_RESERVED');
+        intruder.close();
+    }],
+
+    ['messages sent meanwhile and rooms come back on resume', async () => {
+        bob.send({ type: 'private_message', target: 'lab.alice', content: 'while you were out' });
+        await bob.next(message => message.type === 'private_sent' || message.type === 'private_queued');
+
+        alice = await connect(PORT);
+        const registered = await alice.register('lab', 'alice', { resumeToken: token });
+        assert.strictEqual(registered.resumed, true);
+        assert.notStrictEqual(registered.resumeToken, token, 'a resume issues a fresh token');
+        token = registered.resumeToken;
+
+        const missed = await alice.next('private_message');
+        assert.strictEqual(missed.content, 'while you were out');
+
+        alice.send({ type: 'room_message', room: 'ops', content: 'back' });
+        assert.strictEqual((await bob.next('room_message')).content, 'back');
+        assert.ok(!bob.messages.some(message => message.type === 'client_joined' && message.fullId === 'lab.alice'));
+    }],
+
+    ['the old token is spent', async () => {
+        alice.close();
+        await wait(200);
+        const again = await connect(PORT);
+        again.send({ type: 'register', systemId: 'lab', clientId: 'alice', resumeToken: 'stale' });
+        assert.strictEqual((await again.next('error')).code, 'ID_RESERVED');
+        assert.strictEqual((await again.register('lab', 'alice', { resumeToken: token })).resumed, true);
+        alice = again;
+    }],
+
+    ['registering under another ID releases the old one', async () => {
+        alice.send({ type: 'register', systemId: 'lab', clientId: 'carol' });
+        await alice.next('registered');
+        assert.strictEqual((await bob.next(message => message.type === 'client_left')).fullId, 'lab.alice');
+        assert.ok(!server.sessions.has('lab.alice'));
+        assert.ok(!server.clientMap.has('lab.alice'));
+
+        bob.send({ type: 'list_rooms' });
+        const rooms = (await bob.next('room_list')).rooms;
+        assert.deepStrictEqual(rooms.map(room => [room.name, room.count]), [['ops', 1]]);
+    }],
+
+    ['peers hear about the client once the grace period runs out', async () => {
+        const dave = await connect(SHORT_PORT);
+        const erin = await connect(SHORT_PORT);
+        await dave.register('lab', 'dave');
+        await erin.register('lab', 'erin');
+        dave.close();
+        await wait(100);
+        assert.ok(!erin.messages.some(message => message.type === 'client_left'));
+        const left = await erin.next('client_left', 1000);
+        assert.strictEqual(left.fullId, 'lab.dave');
+        assert.ok(!shortServer.sessions.has('lab.dave'));
+        erin.close();
+    }],
+
+    ['clean up', async () => {
+        alice.close();
+        bob.close();
+        server.stop();
+        shortServer.stop();
+    }]
+]);
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const net = require('net');
+const TCPServer = require('../server');
+const { assert, wait, runChecks } = require('./helpers');
+
+// WebSocket gateway: the RFC 6455 handshake, the Origin check and the framing that
+// carries the chat protocol to browsers.
+
+const CHAT_PORT = 19220;
+const WS_PORT = 19221;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const server = new TCPServer(CHAT_PORT, '127.0.0.1', {
+    logLevel: 'error',
+    statsInterval: 0,
+    websocket: { port: WS_PORT, origins: ['https://chat.example.com'] }
+});
+server.start();
+
+// Sends an upgrade request and resolves with {status, headers, socket, frames}
+function upgrade(headers) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(WS_PORT, '127.0.0.1');
+        let buffer = Buffer.alloc(0);
+        let response = null;
+        const frames = [];
+
+        socket.on('error', reject);
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            if (!response) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end < 0) return;
+                const lines = buffer.slice(0, end).toString().split('\r\n');
+                buffer = buffer.slice(end + 4);
+                response = { status: Number(lines[0].split(' ')[1]), headers: {}, socket: socket, frames: frames };
+                lines.slice(1).forEach((line) => {
+                    const separator = line.indexOf(':');
+                    response.headers[line.slice(0, separator).toLowerCase()] = line.slice(separator + 1).trim();
+                });
+                resolve(response);
+            }
+            // Server frames are unmasked and small here: FIN/opcode, 7-bit or 16-bit length
+            while (buffer.length >= 2) {
+                let length = buffer[1] & 0x7f;
+                let offset = 2;
+                if (length === 126) {
+                    if (buffer.length < 4) return;
+                    length = buffer.readUInt16BE(2);
+                    offset = 4;
+                }
+                if (buffer.length < offset + length) return;
+                frames.push({ opcode: buffer[0] & 0x0f, payload: buffer.slice(offset, offset + length) });
+                buffer = buffer.slice(offset + length);
+            }
+        });
+
+        const request = ['GET /ws HTTP/1.1', `Host: 127.0.0.1:${WS_PORT}`];
+        Object.entries(headers).forEach(([name, value]) => request.push(`${name}: ${value}`));
+        socket.write(request.concat(['', '']).join('\r\n'));
+    });
+}
+
+function handshakeHeaders(extra = {}) {
+    return Object.assign({
+        Upgrade: 'websocket',
+        Connection: 'Upgrade',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13'
+    }, extra);
+}
+
+// Browsers mask every frame they send
+function clientFrame(opcode, text, masked = true) {
+    const payload = Buffer.from(text);
+    const mask = crypto.randomBytes(4);
+    const header = Buffer.from([0x80 | opcode, (masked ? 0x80 : 0) | payload.length]);
+    if (!masked) return Buffer.concat([header, payload]);
+    return Buffer.concat([header, mask, payload.map((byte, index) => byte ^ mask[index % 4])]);
+}
+
+async function nextFrame(connection, test, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const frame = connection.frames.find(test);
+        if (frame) {
+            connection.frames.splice(connection.frames.indexOf(frame), 1);
+            return frame;
+        }
+        await wait(20);
+    }
+    throw new Error('no matching frame');
+}
+
+const textMessage = type => frame => frame.opcode === 0x1 && JSON.parse(frame.payload).type === type;
+
+let browser;
+
+runChecks([
+    ['the handshake answers with the key\'s accept hash', async () => {
+        const headers = handshakeHeaders();
+        browser = await upgrade(headers);
+        assert.strictEqual(browser.status, 101);
+        const expected = crypto.createHash('sha1').update(headers['Sec-WebSocket-Key'] + WS_GUID).digest('base64');
+        assert.strictEqual(browser.headers['sec-websocket-accept'], expected);
+    }],
+
+    ['a browser only gets newline framing and can register', async () => {
+        const welcome = JSON.parse((await nextFrame(browser, textMessage('welcome'))).payload);
+        assert.deepStrictEqual(welcome.framings, ['newline']);
+
+        browser.socket.write(clientFrame(0x1, JSON.stringify({ type: 'register', systemId: 'web', clientId: 'ann' })));
+        const registered = JSON.parse((await nextFrame(browser, textMessage('registered'))).payload);
+        assert.strictEqual(registered.fullId, 'web.ann');
+    }],
+
+    ['a newline inside a frame stays one message', async () => {
+        browser.socket.write(clientFrame(0x1, '{"type":\n"ping",\n"requestId": "p1"}'));
+        const pong = JSON.parse((await nextFrame(browser, textMessage('pong'))).payload);
+        assert.strictEqual(pong.requestId, 'p1');
+    }],
+
+    ['a ping frame gets a pong frame', async () => {
+        browser.socket.write(clientFrame(0x9, 'hi'));
+        const pong = await nextFrame(browser, frame => frame.opcode === 0xA);
+        assert.strictEqual(pong.payload.toString(), 'hi');
+    }],
+
+    ['an unmasked frame closes the connection with 1002', async () => {
+        browser.socket.write(clientFrame(0x1, '{"type":"ping"}', false));
+        const close = await nextFrame(browser, frame => frame.opcode === 0x8);
+        assert.strictEqual(close.payload.readUInt16BE(0), 1002);
+        browser.socket.destroy();
+    }],
+
+    ['bad upgrade requests get 400', async () => {
+        for (const headers of [handshakeHeaders({ 'Sec-WebSocket-Version': '8' }), handshakeHeaders({ Upgrade: 'h2c' })]) {
+            const response = await upgrade(headers);
+            assert.strictEqual(response.status, 400);
+            response.socket.destroy();
+        }
+    }],
+
+    ['pages from other sites are refused with 403', async () => {
+        const response = await upgrade(handshakeHeaders({ Origin: 'https://evil.example' }));
+        assert.strictEqual(response.status, 403);
+        response.socket.destroy();
+    }],
+
+    ['the gateway\'s own pages and configured origins are let in', async () => {
+        for (const origin of [`http://127.0.0.1:${WS_PORT}`, 'https://chat.example.com']) {
+            const response = await upgrade(handshakeHeaders({ Origin: origin }));
+            assert.strictEqual(response.status, 101, origin);
+            response.socket.destroy();
+        }
+    }],
+
+    ['clean up', async () => {
+        server.stop();
+    }]
+]);
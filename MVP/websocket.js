@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { Logger } = require('./logger');
+
+// Minimal RFC 6455 server side. A WebSocketConnection looks enough like a net.Socket
+// (data/close/error/timeout events, write/end/destroy) that TCPServer can treat a
+// browser exactly like a TCP client: every text frame becomes one newline-delimited
+// JSON message, and every line TCPServer writes goes out as one text frame.
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+        header.writeUInt32BE(length % 0x100000000, 6);
+    }
+
+    header[0] = 0x80 | opcode; // FIN + opcode; server frames are never masked
+    return Buffer.concat([header, payload]);
+}
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, head, options = {}) {
+        super();
+        this.socket = socket;
+        this.maxPayload = options.maxPayload || 1048576; // 1 MB per message
+        this.buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+        this.fragments = []; // Payloads of a fragmented message in progress
+        this.closeSent = false;
+        this.remoteAddress = socket.remoteAddress;
+        this.remotePort = socket.remotePort;
+        this.isWebSocket = true;
+
+        socket.on('data', (data) => this.handleData(data));
+        socket.on('close', () => this.emit('close'));
+        socket.on('error', (err) => this.emit('error', err));
+        socket.on('timeout', () => this.emit('timeout'));
+        socket.on('drain', () => this.emit('drain'));
+
+        // Frames that arrived together with the upgrade request
+        if (this.buffer.length > 0) {
+            process.nextTick(() => this.handleData(Buffer.alloc(0)));
+        }
+    }
+
+    get writable() {
+        return this.socket.writable && !this.closeSent;
+    }
+
+    get destroyed() {
+        return this.socket.destroyed;
+    }
+
+    // Socket-compatible no-ops and pass-throughs
+    setEncoding() {}
+
+    setKeepAlive(enable, delay) {
+        this.socket.setKeepAlive(enable, delay);
+    }
+
+    setTimeout(timeout) {
+        this.socket.setTimeout(timeout);
+    }
+
+    pause() {
+        this.socket.pause();
+    }
+
+    resume() {
+        this.socket.resume();
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                if (this.buffer.readUInt32BE(2) !== 0) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                length = this.buffer.readUInt32BE(6);
+                offset = 10;
+            }
+
+            // Browsers must mask every frame they send
+            if (!masked) {
+                this.close(1002, 'Client frames must be masked');
+                return;
+            }
+            if (length > this.maxPayload) {
+                this.close(1009, 'Message too big');
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.slice(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.slice(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.slice(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+            if (this.socket.destroyed) return;
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation: {
+                if (opcode !== OPCODES.continuation) {
+                    this.fragments = [];
+                }
+                this.fragments.push(payload);
+
+                const total = this.fragments.reduce((sum, part) => sum + part.length, 0);
+                if (total > this.maxPayload) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (!fin) return;
+
+                // One frame is one message: flatten any newlines (only valid as JSON
+                // whitespace) so TCPServer's line framing sees exactly one line
+                const message = Buffer.concat(this.fragments).toString('utf8').replace(/[\r\n]+/g, ' ');
+                this.fragments = [];
+                this.emit('data', message + '\n');
+                break;
+            }
+
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, payload));
+                break;
+
+            case OPCODES.pong:
+                break;
+
+            case OPCODES.close: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1000;
+                this.close(code);
+                break;
+            }
+
+            default:
+                this.close(1002, `Unknown opcode ${opcode}`);
+        }
+    }
+
+    // Each newline-delimited JSON message becomes its own text frame. Like net.Socket,
+    // returns false once the underlying socket is buffering and emits 'drain' later.
+    write(data) {
+        if (!this.writable) return false;
+
+        let flushed = true;
+        String(data).split('\n').filter(line => line.trim()).forEach((line) => {
+            flushed = this.socket.write(encodeFrame(OPCODES.text, Buffer.from(line, 'utf8'))) && flushed;
+        });
+        return flushed;
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.closeSent && this.socket.writable) {
+            const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+            payload.writeUInt16BE(code, 0);
+            payload.write(reason, 2);
+            this.socket.write(encodeFrame(OPCODES.close, payload));
+        }
+        this.closeSent = true;
+        this.socket.end();
+    }
+
+    end(data) {
+        if (data) {
+            this.write(data);
+        }
+        this.close(1000);
+    }
+
+    destroy() {
+        this.closeSent = true;
+        this.socket.destroy();
+    }
+}
+
+// HTTP(S) listener that upgrades /ws to a WebSocketConnection and serves the
+// reference browser client from ./public on the same port
+class WebSocketGateway {
+    constructor(onConnection, port = 8081, host = '0.0.0.0', options = {}) {
+        this.onConnection = onConnection;
+        this.port = port;
+        this.host = host;
+        this.tlsOptions = options.tlsOptions || null; // Same cert/key as the TCP listener gives wss://
+        this.maxPayload = options.maxPayload;
+        this.logger = options.logger || new Logger();
+        this.listener = options.listener || null; // Already-listening server to take over (restart handoff)
+        this.origins = options.origins || []; // Extra page origins allowed to connect, e.g. "https://chat.example.com"
+        this.publicDir = path.join(__dirname, 'public');
+        this.staticFiles = {
+            '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+            '/index.html': { file: 'index.html', type: 'text/html; charset=utf-8' },
+            '/chat.js': { file: 'chat.js', type: 'application/javascript; charset=utf-8' }
+        };
+        this.server = null;
+    }
+
+    start() {
+        const handler = (req, res) => this.handleRequest(req, res);
+        this.server = this.tlsOptions ? https.createServer(this.tlsOptions, handler) : http.createServer(handler);
+
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        this.server.on('error', (err) => {
+            this.logger.error('WebSocket gateway error', { error: err.message });
+        });
+
+        const listening = () => {
+            const scheme = this.tlsOptions ? 'https' : 'http';
+            this.logger.info('Web client listening (WebSocket at /ws)', { url: `${scheme}://${this.host}:${this.port}/` });
+        };
+        if (this.listener) {
+            this.server.listen(this.listener, listening);
+        } else {
+            this.server.listen(this.port, this.host, listening);
+        }
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    handleRequest(req, res) {
+        const entry = this.staticFiles[req.url.split('?')[0]];
+        if (req.method !== 'GET' || !entry) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found\n');
+            return;
+        }
+
+        fs.readFile(path.join(this.publicDir, entry.file), (err, body) => {
+            if (err) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Could not read file\n');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': entry.type, 'Content-Length': body.length });
+            res.end(body);
+        });
+    }
+
+    // Browsers attach the page's Origin to every WebSocket, cookies and all, so without this
+    // any site a user visits could open a chat connection from their machine. Pages served
+    // by this gateway (same host and port) and the configured origins may connect; clients
+    // that send no Origin are not browsers and are let through.
+    originAllowed(req) {
+        const origin = req.headers.origin;
+        if (origin === undefined) return true;
+        if (this.origins.includes('*') || this.origins.includes(origin)) return true;
+
+        try {
+            return new URL(origin).host === (req.headers.host || '').toLowerCase();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    handleUpgrade(req, socket, head) {
+        const key = req.headers['sec-websocket-key'];
+        const isWebSocket = (req.headers.upgrade || '').toLowerCase() === 'websocket';
+
+        if (req.url.split('?')[0] !== '/ws' || !isWebSocket || !key || req.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        if (!this.originAllowed(req)) {
+            this.logger.warn('Refused WebSocket from another site', { origin: req.headers.origin, remoteAddress: socket.remoteAddress });
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        socket.setNoDelay(true);
+        this.onConnection(new WebSocketConnection(socket, head, { maxPayload: this.maxPayload }));
+    }
+}
+
+module.exports = {
+    WebSocketConnection,
+    WebSocketGateway,
+    encodeFrame
+};